@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+// TempShare command-line client
+//
+//   tempshare [file]            Upload a file (or stdin) and print the password and link
+//   tempshare get <password>    Print a paste to stdout (a share link works too)
+//
+// --attach adds files to the share as attachments, `get --output <dir>` saves them.
+//
+// The server comes from --server, the TEMPSHARE_SERVER env var or ~/.tempsharerc ({ "server": "..." }).
+
+import { realpathSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { basename, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_SERVER = 'https://paste.363749768.xyz';
+const CONFIG_FILE = join(homedir(), '.tempsharerc');
+
+const USAGE = `Usage:
+  tempshare [options] [file]          Upload a file, or stdin when no file is given
+  tempshare get [options] <password>  Print a paste to stdout (accepts a share link)
+
+Upload options:
+  -e, --expiry <hours>       Expiry in hours, fractions allowed (default 24, the server sets the maximum)
+      --expires-at <time>    Expire at an absolute time (ISO 8601, e.g. 2030-01-31T18:00)
+      --not-before <time>    Keep the paste locked until this time, the expiry counts from it
+  -b, --burn                 Delete the paste after the first read
+  -m, --max-views <n>        Delete the paste after n reads
+  -f, --format <name>        Render as plain, markdown or a language such as python, auto detects it
+  -a, --attach <file>        Attach a file, repeat for more (the text becomes optional)
+  -p, --password <text>      Use a custom password instead of a generated one
+      --json                 Print the raw JSON response
+
+Get options:
+  -k, --key <key>            Decryption key of an end-to-end encrypted paste
+  -o, --output <dir>         Save the attachments into this directory
+
+Common options:
+  -s, --server <url>         Server URL (default: $TEMPSHARE_SERVER, ~/.tempsharerc, ${DEFAULT_SERVER})
+  -h, --help                 Show this help
+`;
+
+// Flags that take a value, mapped to their option name
+const VALUE_FLAGS = {
+  '-e': 'expiry', '--expiry': 'expiry',
+  '--expires-at': 'expiresAt',
+  '--not-before': 'notBefore',
+  '-m': 'maxViews', '--max-views': 'maxViews',
+  '-f': 'format', '--format': 'format',
+  '-a': 'attach', '--attach': 'attach',
+  '-o': 'output', '--output': 'output',
+  '-p': 'password', '--password': 'password',
+  '-k': 'key', '--key': 'key',
+  '-s': 'server', '--server': 'server'
+};
+
+// Value flags that may be repeated, collected into an array
+const LIST_OPTIONS = ['attach'];
+
+const BOOLEAN_FLAGS = {
+  '-b': 'burn', '--burn': 'burn',
+  '--json': 'json',
+  '-h': 'help', '--help': 'help'
+};
+
+export class CliError extends Error {}
+
+export function parseArgs(argv) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s) : [arg];
+
+    if (VALUE_FLAGS[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) throw new CliError(`Missing value for ${flag}`);
+      const name = VALUE_FLAGS[flag];
+      options[name] = LIST_OPTIONS.includes(name) ? [...(options[name] || []), value] : value;
+    } else if (BOOLEAN_FLAGS[flag]) {
+      options[BOOLEAN_FLAGS[flag]] = true;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new CliError(`Unknown option ${arg}`);
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return { options, positionals };
+}
+
+async function resolveServer(options) {
+  if (options.server) return options.server;
+  if (process.env.TEMPSHARE_SERVER) return process.env.TEMPSHARE_SERVER;
+
+  try {
+    const config = JSON.parse(await readFile(CONFIG_FILE, 'utf8'));
+    if (config.server) return config.server;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new CliError(`Cannot read ${CONFIG_FILE}: ${error.message}`);
+    }
+  }
+
+  return DEFAULT_SERVER;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// POST JSON (or a FormData upload) to the Worker
+async function send(server, path, body) {
+  try {
+    return await fetch(new URL(path, server), body instanceof FormData
+      ? { method: 'POST', body }
+      : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  } catch (error) {
+    throw new CliError(`Cannot reach ${server}: ${error.message}`);
+  }
+}
+
+// The Worker answers { success, message?, ... } on every route
+async function callApi(server, path, body) {
+  const response = await send(server, path, body);
+
+  let result;
+  try {
+    result = await response.json();
+  } catch (error) {
+    throw new CliError(`Unexpected response from ${server} (HTTP ${response.status})`);
+  }
+
+  if (!result.success) {
+    throw new CliError(result.message || `Request failed (HTTP ${response.status})`);
+  }
+  return result;
+}
+
+// Local or zoned ISO 8601 time, sent to the server in UTC
+function parseTime(value, flag) {
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw new CliError(`Invalid time for ${flag}, use ISO 8601 such as 2030-01-31T18:00`);
+  }
+  return time.toISOString();
+}
+
+async function upload(options, positionals) {
+  if (positionals.length > 1) throw new CliError('Only one file can be uploaded at a time');
+
+  const file = positionals[0];
+  const attachments = options.attach || [];
+
+  // With attachments only, an interactive terminal is not waited on for text
+  let content = '';
+  if (file && file !== '-') {
+    content = await readFile(file, 'utf8');
+  } else if (!attachments.length || !process.stdin.isTTY) {
+    content = await readStdin();
+  }
+  if (!content && !attachments.length) throw new CliError('Nothing to upload');
+
+  const body = {};
+  if (content) {
+    body.content = content;
+  }
+
+  if (options.expiry !== undefined) {
+    const hours = Number(options.expiry);
+    if (!(hours > 0)) {
+      throw new CliError('Invalid expiry, use a positive number of hours');
+    }
+    body.expiryHours = hours;
+  }
+
+  if (options.expiresAt !== undefined) {
+    body.expiresAt = parseTime(options.expiresAt, '--expires-at');
+  }
+
+  if (options.notBefore !== undefined) {
+    body.notBefore = parseTime(options.notBefore, '--not-before');
+  }
+
+  if (options.burn) {
+    body.maxViews = 1;
+  } else if (options.maxViews !== undefined) {
+    body.maxViews = Number(options.maxViews);
+  }
+
+  if (options.password !== undefined) {
+    body.password = options.password;
+  }
+
+  if (options.format !== undefined) {
+    body.format = options.format;
+  }
+
+  const server = await resolveServer(options);
+  const result = await callApi(server, '/api/v1/upload', attachments.length ? await buildForm(body, attachments) : body);
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  console.log(`Password:     ${result.password}`);
+  console.log(`Link:         ${result.shareUrl}`);
+  console.log(`Manage token: ${result.manageToken}`);
+  if (result.notBefore) {
+    console.log(`Released:     ${new Date(result.notBefore).toLocaleString()}`);
+  }
+  console.log(`Expires:      ${new Date(result.expiresAt).toLocaleString()}`);
+  if (result.maxViews) {
+    console.log(`Max views:    ${result.maxViews}`);
+  }
+  if (result.format && result.format !== 'plain') {
+    console.log(`Format:       ${result.format}`);
+  }
+  for (const attachment of result.attachments || []) {
+    console.log(`Attached:     ${attachment.name} (${attachment.size} bytes)`);
+  }
+}
+
+// Multipart upload: the JSON fields as strings, each file as a `file` part
+async function buildForm(body, attachments) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(body)) {
+    form.append(name, String(value));
+  }
+  for (const path of attachments) {
+    let data;
+    try {
+      data = await readFile(path);
+    } catch (error) {
+      throw new CliError(`Cannot read ${path}: ${error.message}`);
+    }
+    form.append('file', new Blob([data]), basename(path));
+  }
+  return form;
+}
+
+// Save every attachment of a paste into `dir` under its own name
+async function saveAttachments(server, body, result, dir) {
+  for (const attachment of result.attachments) {
+    const request = { ...body, index: attachment.index };
+    if (result.downloadToken) request.downloadToken = result.downloadToken;
+
+    const response = await send(server, '/api/v1/file', request);
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new CliError(`Cannot download ${attachment.name}: ${error.message || `HTTP ${response.status}`}`);
+    }
+
+    const path = join(dir, basename(attachment.name));
+    await writeFile(path, Buffer.from(await response.arrayBuffer()));
+    console.error(`tempshare: saved ${path}`);
+  }
+}
+
+// Accepts a bare password or a share link (https://host/p/<id>#p=<password>&k=<key>)
+export function parseTarget(target) {
+  if (!/^https?:\/\//.test(target)) {
+    return { password: target };
+  }
+
+  const url = new URL(target);
+  const match = url.pathname.match(/^\/p\/([A-Za-z0-9]+)$/);
+  const fragment = new URLSearchParams(url.hash.slice(1));
+  if (!match || !fragment.get('p')) {
+    throw new CliError('Link does not contain a password, pass the password instead');
+  }
+
+  return {
+    server: url.origin,
+    id: match[1],
+    password: fragment.get('p'),
+    key: fragment.get('k') || undefined
+  };
+}
+
+// Same AES-GCM scheme as the web page: base64 ciphertext, IV and raw 256-bit key
+// A malformed key fails on import, a wrong one on decryption
+export async function decrypt(content, iv, key) {
+  try {
+    const cryptoKey = await crypto.subtle.importKey('raw', Buffer.from(key, 'base64'), { name: 'AES-GCM' }, false, ['decrypt']);
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: Buffer.from(iv, 'base64') },
+      cryptoKey,
+      Buffer.from(content, 'base64')
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    throw new CliError('Decryption failed, check the key');
+  }
+}
+
+async function get(options, positionals) {
+  if (positionals.length !== 1) throw new CliError('Usage: tempshare get <password|link>');
+
+  const target = parseTarget(positionals[0]);
+  const server = options.server ? options.server : target.server || await resolveServer(options);
+  const key = options.key || target.key;
+
+  const body = { password: target.password };
+  if (target.id) body.id = target.id;
+
+  const result = await callApi(server, '/api/v1/view', body);
+  let content = result.content;
+
+  if (result.encrypted) {
+    if (!key) throw new CliError('Paste is end-to-end encrypted, pass its key with --key');
+    content = await decrypt(result.content, result.iv, key);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...result, content }, null, 2));
+    return;
+  }
+
+  process.stdout.write(content);
+
+  const attachments = result.attachments || [];
+  if (attachments.length && options.output) {
+    await saveAttachments(server, body, result, options.output);
+  } else if (attachments.length) {
+    for (const attachment of attachments) {
+      console.error(`tempshare: attachment ${attachment.name} (${attachment.size} bytes), save with --output <dir>`);
+    }
+  }
+
+  if (result.remainingViews === 0) {
+    console.error('tempshare: this was the last allowed view, the paste is now deleted');
+  }
+}
+
+async function main() {
+  if (typeof fetch !== 'function') {
+    throw new CliError('Node.js 18 or later is required');
+  }
+
+  const { options, positionals } = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  if (positionals[0] === 'get') {
+    await get(options, positionals.slice(1));
+  } else {
+    await upload(options, positionals);
+  }
+}
+
+// Runs when executed (also through the npm bin link), not when the tests import it
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error(`tempshare: ${error instanceof CliError ? error.message : error.stack}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,238 @@
+// Admin dashboard script, served from its source text like home.js
+
+export function adminScript() {
+  const STORAGE_KEY = 'tempshare-admin';
+  const MAX_PURGE_ROUNDS = 100; // Requests of one purge, the server deletes a bounded share per request
+  const LOCALE = document.documentElement.lang;
+  const MESSAGES = JSON.parse(document.getElementById('messages').textContent);
+
+  function t(key, params) {
+    let text = MESSAGES[key] || key;
+    Object.keys(params || {}).forEach(function(name) {
+      text = text.split('{' + name + '}').join(params[name]);
+    });
+    return text;
+  }
+
+  // API request with the admin bearer token
+  async function adminFetch(route, options) {
+    const response = await fetch('/api/v1/admin/' + route, Object.assign({}, options, {
+      headers: {
+        'Authorization': 'Bearer ' + sessionStorage.getItem(STORAGE_KEY),
+        'Accept-Language': LOCALE
+      }
+    }));
+    const result = await response.json();
+    if (response.status === 401) {
+      logout();
+    }
+    if (!result.success) {
+      throw new Error(result.message || t('requestFailed'));
+    }
+    return result;
+  }
+
+  // Load list and totals
+  async function loadDashboard() {
+    try {
+      const result = await adminFetch('pastes');
+      document.getElementById('loginForm').style.display = 'none';
+      document.getElementById('dashboard').style.display = 'block';
+      renderStats(result.stats);
+      renderPastes(result.pastes);
+    } catch (error) {
+      showMessage(error.message, 'error');
+    }
+  }
+
+  function renderStats(stats) {
+    const items = [
+      [t('stats.total'), stats.total],
+      [t('stats.active'), stats.active],
+      [t('stats.expired'), stats.expired],
+      [t('stats.consumed'), stats.consumed],
+      [t('stats.encrypted'), stats.encrypted],
+      [t('stats.views'), stats.views],
+      [t('stats.size'), formatSize(stats.size)]
+    ];
+    const container = document.getElementById('stats');
+    container.innerHTML = '';
+    items.forEach(function(item) {
+      const stat = document.createElement('div');
+      stat.className = 'stat';
+      const label = document.createElement('span');
+      label.textContent = item[0];
+      const value = document.createElement('strong');
+      value.textContent = item[1];
+      stat.appendChild(label);
+      stat.appendChild(value);
+      container.appendChild(stat);
+    });
+  }
+
+  function renderPastes(pastes) {
+    const list = document.getElementById('pasteList');
+    list.innerHTML = '';
+
+    if (pastes.length === 0) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 7;
+      cell.className = 'empty';
+      cell.textContent = t('empty');
+      row.appendChild(cell);
+      list.appendChild(row);
+      return;
+    }
+
+    pastes.sort(function(a, b) {
+      return new Date(b.createdAt) - new Date(a.createdAt);
+    });
+
+    pastes.forEach(function(paste) {
+      const row = document.createElement('tr');
+      addCell(row, paste.id, 'id');
+      addCell(row, formatDate(paste.createdAt));
+      addCell(row, formatDate(paste.expiresAt));
+      addCell(row, paste.maxViews ? paste.views + ' / ' + paste.maxViews : String(paste.views));
+      addCell(row, formatSize(paste.size));
+
+      const tags = addCell(row, '');
+      if (paste.encrypted) addTag(tags, t('tag.encrypted'), '');
+      if (paste.expired) addTag(tags, t('tag.expired'), 'expired');
+      if (paste.consumed) addTag(tags, t('tag.consumed'), 'consumed');
+
+      const actions = addCell(row, '', 'actions');
+      addButton(actions, t('view'), 'secondary', function() {
+        revealContent(paste.id);
+      });
+      addButton(actions, t('delete'), 'danger', function() {
+        deletePaste(paste.id);
+      });
+
+      list.appendChild(row);
+    });
+  }
+
+  function addCell(row, text, className) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (className) cell.className = className;
+    row.appendChild(cell);
+    return cell;
+  }
+
+  function addTag(cell, text, className) {
+    const tag = document.createElement('span');
+    tag.className = 'tag ' + className;
+    tag.textContent = text;
+    cell.appendChild(tag);
+  }
+
+  function addButton(cell, text, className, onClick) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    cell.appendChild(button);
+  }
+
+  // Content is only fetched after explicit confirmation
+  async function revealContent(id) {
+    if (!confirm(t('confirmView'))) return;
+    try {
+      const result = await adminFetch('pastes/' + id + '/content');
+      const preview = document.getElementById('contentPreview');
+      preview.textContent = result.encrypted ? t('encryptedPrefix') + result.content : result.content;
+      preview.style.display = 'block';
+    } catch (error) {
+      showMessage(error.message, 'error');
+    }
+  }
+
+  async function deletePaste(id) {
+    if (!confirm(t('confirmDelete'))) return;
+    try {
+      await adminFetch('pastes/' + id, { method: 'DELETE' });
+      showMessage(t('deleted'), 'success');
+      hidePreview();
+      loadDashboard();
+    } catch (error) {
+      showMessage(error.message, 'error');
+    }
+  }
+
+  async function purgeAll() {
+    if (prompt(t('confirmPurge')) !== 'PURGE') return;
+    try {
+      // Each request deletes a bounded share and says whether anything is left
+      let deleted = 0;
+      let complete = false;
+      for (let round = 0; round < MAX_PURGE_ROUNDS && !complete; round++) {
+        const result = await adminFetch('purge', { method: 'POST' });
+        deleted += result.deleted;
+        complete = result.complete;
+      }
+      showMessage(t(complete ? 'purged' : 'purgeIncomplete', { count: deleted }), complete ? 'success' : 'error');
+      hidePreview();
+      loadDashboard();
+    } catch (error) {
+      showMessage(error.message, 'error');
+    }
+  }
+
+  function logout() {
+    sessionStorage.removeItem(STORAGE_KEY);
+    document.getElementById('dashboard').style.display = 'none';
+    document.getElementById('loginForm').style.display = 'block';
+    hidePreview();
+  }
+
+  function hidePreview() {
+    const preview = document.getElementById('contentPreview');
+    preview.textContent = '';
+    preview.style.display = 'none';
+  }
+
+  function formatDate(value) {
+    if (!value) return '-';
+    return new Date(value).toLocaleString(LOCALE, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  function formatSize(size) {
+    if (size < 1024) return size + ' B';
+    if (size < 1024 * 1024) return (size / 1024).toFixed(1) + ' KB';
+    return (size / (1024 * 1024)).toFixed(1) + ' MB';
+  }
+
+  function showMessage(text, type) {
+    const msg = document.getElementById('message');
+    msg.textContent = text;
+    msg.className = 'message ' + type;
+    msg.style.display = 'block';
+    setTimeout(function() {
+      msg.style.display = 'none';
+    }, 4000);
+  }
+
+  document.getElementById('loginForm').addEventListener('submit', function(e) {
+    e.preventDefault();
+    sessionStorage.setItem(STORAGE_KEY, document.getElementById('adminPassword').value);
+    document.getElementById('adminPassword').value = '';
+    loadDashboard();
+  });
+
+  document.getElementById('refreshBtn').addEventListener('click', loadDashboard);
+  document.getElementById('purgeBtn').addEventListener('click', purgeAll);
+  document.getElementById('logoutBtn').addEventListener('click', logout);
+
+  if (sessionStorage.getItem(STORAGE_KEY)) {
+    loadDashboard();
+  }
+}
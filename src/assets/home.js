@@ -0,0 +1,1141 @@
+// Home page script: upload form, view panel and share links
+//
+// Like render.js this is served to the browser from its source text (see ASSET_SOURCES in
+// index.js), so everything lives inside homeScript() and nothing may be imported. Upload limits
+// and the share id come from data attributes on <body>, the messages from the #messages block.
+
+export function homeScript() {
+  // Page language and its messages, chosen by the server
+  const LOCALE = document.documentElement.lang;
+  const MESSAGES = JSON.parse(document.getElementById('messages').textContent);
+
+  function t(key, params) {
+    let text = MESSAGES[key] || key;
+    Object.keys(params || {}).forEach(name => {
+      text = text.split('{' + name + '}').join(params[name]);
+    });
+    return text;
+  }
+
+  // Language switch: reload in the other language, keeping the fragment (it may hold the password)
+  document.querySelectorAll('[data-lang]').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      const url = new URL(location.href);
+      url.searchParams.set('lang', link.dataset.lang);
+      location.href = url.href;
+    });
+  });
+
+  // Upload limits set by the server (content in UTF-8 bytes, files per upload and bytes per file)
+  const MAX_BYTES = Number(document.body.dataset.maxBytes);
+  const MAX_FILES = Number(document.body.dataset.maxFiles);
+  const MAX_FILE_BYTES = Number(document.body.dataset.maxFileBytes);
+  const MAX_UPLOAD_BYTES = Number(document.body.dataset.maxUploadBytes);
+
+  // Set when opened through a share link (/p/<id>), with the format an encrypted share's link names
+  let shareId = document.body.dataset.shareId || '';
+  let linkFormat = '';
+
+  // Tab switching
+  function switchTab(tab) {
+    const uploadTab = document.getElementById('uploadTab');
+    const viewTab = document.getElementById('viewTab');
+    const uploadForm = document.getElementById('uploadForm');
+    const viewForm = document.getElementById('viewForm');
+    const resultBox = document.getElementById('resultBox');
+    const viewResult = document.getElementById('viewResult');
+
+    if (tab === 'upload') {
+      shareId = '';
+      linkFormat = '';
+      uploadTab.classList.add('active');
+      viewTab.classList.remove('active');
+      uploadForm.style.display = 'block';
+      viewForm.style.display = 'none';
+      resultBox.style.display = 'none';
+      viewResult.style.display = 'none';
+    } else {
+      viewTab.classList.add('active');
+      uploadTab.classList.remove('active');
+      viewForm.style.display = 'block';
+      uploadForm.style.display = 'none';
+      resultBox.style.display = 'none';
+      viewResult.style.display = 'none';
+    }
+    hideMessage();
+  }
+
+  // Size in UTF-8 bytes, the unit the server limit is counted in
+  function byteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  function formatSize(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return Number((bytes / 1024).toFixed(1)) + ' KB';
+    return Number((bytes / (1024 * 1024)).toFixed(1)) + ' MB';
+  }
+
+  function updateCharCount() {
+    const count = byteLength(document.getElementById('content').value);
+    const countEl = document.getElementById('charCount');
+    countEl.textContent = formatSize(count) + ' / ' + formatSize(MAX_BYTES);
+    if (count > MAX_BYTES * 0.9) {
+      countEl.classList.add('warning');
+    } else {
+      countEl.classList.remove('warning');
+    }
+  }
+
+  document.getElementById('content').addEventListener('input', updateCharCount);
+
+  function formatDateTime(value) {
+    return new Date(value).toLocaleString(LOCALE, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  // Value for a datetime-local input (local time, minute precision)
+  function toLocalInputValue(date) {
+    const pad = function(number) { return String(number).padStart(2, '0'); };
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) +
+      'T' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+  }
+
+  // Custom deadline and scheduled release pickers
+  document.getElementById('expiry').addEventListener('change', function() {
+    const picker = document.getElementById('expiresAt');
+    picker.style.display = this.value === 'custom' ? 'block' : 'none';
+    picker.min = toLocalInputValue(new Date());
+    if (this.value === 'custom' && !picker.value) {
+      picker.value = toLocalInputValue(new Date(Date.now() + 24 * 60 * 60 * 1000));
+    }
+  });
+
+  document.getElementById('useNotBefore').addEventListener('change', function() {
+    const picker = document.getElementById('notBefore');
+    document.getElementById('notBeforeGroup').style.display = this.checked ? 'block' : 'none';
+    picker.min = toLocalInputValue(new Date());
+    if (this.checked && !picker.value) {
+      picker.value = toLocalInputValue(new Date(Date.now() + 60 * 60 * 1000));
+    }
+  });
+
+  // Custom password toggle and strength meter
+  const MIN_PASSPHRASE_LENGTH = 8;
+  const MIN_PASSPHRASE_SCORE = 2;
+  const STRENGTH_LABELS = [0, 1, 2, 3, 4].map(score => t('strength' + score));
+  const STRENGTH_COLORS = ['var(--ios-danger)', 'var(--ios-danger)', 'var(--ios-warning)', 'var(--ios-success)', 'var(--ios-success)'];
+
+  // Same scoring as the Worker's passphraseStrength()
+  function passphraseStrength(passphrase) {
+    const chars = Array.from(passphrase);
+    let score = 0;
+
+    if (chars.length >= MIN_PASSPHRASE_LENGTH) score++;
+    if (chars.length >= 12) score++;
+    if (chars.length >= 20) score++;
+
+    let classes = 0;
+    if (/[a-z]/.test(passphrase)) classes++;
+    if (/[A-Z]/.test(passphrase)) classes++;
+    if (/[0-9]/.test(passphrase)) classes++;
+    if (/[^A-Za-z0-9]/.test(passphrase)) classes++;
+    if (classes >= 2) score++;
+    if (classes >= 3) score++;
+
+    if (new Set(chars).size < chars.length / 3) score--;
+
+    return Math.max(0, Math.min(score, 4));
+  }
+
+  function isPassphraseAcceptable(passphrase) {
+    return Array.from(passphrase).length >= MIN_PASSPHRASE_LENGTH &&
+      passphraseStrength(passphrase) >= MIN_PASSPHRASE_SCORE &&
+      passphrase.trim() === passphrase;
+  }
+
+  document.getElementById('useCustomPassword').addEventListener('change', function() {
+    document.getElementById('customPasswordGroup').style.display = this.checked ? 'block' : 'none';
+  });
+
+  document.getElementById('customPassword').addEventListener('input', function() {
+    const bar = document.getElementById('strengthBar');
+    const text = document.getElementById('strengthText');
+    if (!this.value) {
+      bar.style.width = '0';
+      text.textContent = t('strengthEmpty');
+      return;
+    }
+    const score = passphraseStrength(this.value);
+    bar.style.width = ((score + 1) * 20) + '%';
+    bar.style.background = STRENGTH_COLORS[score];
+    text.textContent = t('strength', { label: STRENGTH_LABELS[score] }) +
+      (isPassphraseAcceptable(this.value) ? '' : t('strengthHint'));
+  });
+
+  // Upload form
+  document.getElementById('uploadForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const content = document.getElementById('content').value;
+    const format = document.getElementById('format').value;
+    const expiry = document.getElementById('expiry').value;
+    const useNotBefore = document.getElementById('useNotBefore').checked;
+    const maxViews = parseInt(document.getElementById('maxViews').value);
+    const encrypt = document.getElementById('encrypt').checked;
+    const useCustomPassword = document.getElementById('useCustomPassword').checked;
+    const customPassword = document.getElementById('customPassword').value;
+    const files = Array.from(document.getElementById('files').files);
+    const btn = document.getElementById('uploadBtn');
+
+    if (!content && !files.length) {
+      showMessage(t('contentOrFiles'), 'error');
+      return;
+    }
+
+    if (files.length > MAX_FILES) {
+      showMessage(t('tooManyFiles', { max: MAX_FILES }), 'error');
+      return;
+    }
+
+    const oversized = files.find(file => file.size > MAX_FILE_BYTES);
+    if (oversized) {
+      showMessage(t('fileTooLarge', { name: oversized.name, max: formatSize(MAX_FILE_BYTES) }), 'error');
+      return;
+    }
+
+    // Files reach the server as they are, so they cannot join an end-to-end encrypted share
+    if (encrypt && files.length) {
+      showMessage(t('encryptFiles'), 'error');
+      return;
+    }
+
+    if (useCustomPassword && !isPassphraseAcceptable(customPassword)) {
+      showMessage(t('weakPassword'), 'error');
+      return;
+    }
+
+    if (byteLength(content) > MAX_BYTES) {
+      showMessage(t('contentTooLarge', { max: formatSize(MAX_BYTES) }), 'error');
+      return;
+    }
+
+    // A form with files is read whole by the server, which caps its total size
+    if (files.length && files.reduce((total, file) => total + file.size, byteLength(content)) > MAX_UPLOAD_BYTES) {
+      showMessage(t('uploadTooLarge', { max: formatSize(MAX_UPLOAD_BYTES) }), 'error');
+      return;
+    }
+
+    // An encrypted share sends no format, it would tell the server what the content is; a chosen
+    // one travels in the link fragment next to the key, otherwise the reader's browser detects it
+    const payload = { maxViews };
+    if (!encrypt) {
+      payload.format = format === 'auto' ? TempShareRender.detectFormat(content) : format;
+    }
+    if (content) {
+      payload.content = content;
+    }
+
+    // Preset durations, or an absolute deadline from the picker (local time, sent as UTC)
+    if (expiry === 'custom') {
+      const deadline = document.getElementById('expiresAt').value;
+      if (!deadline) {
+        showMessage(t('chooseExpiry'), 'error');
+        return;
+      }
+      payload.expiresAt = new Date(deadline).toISOString();
+    } else {
+      payload.expiryHours = parseInt(expiry);
+    }
+
+    if (useNotBefore) {
+      const release = document.getElementById('notBefore').value;
+      if (!release) {
+        showMessage(t('chooseRelease'), 'error');
+        return;
+      }
+      payload.notBefore = new Date(release).toISOString();
+    }
+
+    // Show loading
+    btn.classList.add('loading');
+    btn.innerHTML = '<span class="spinner"></span>' + escapeHtml(t('uploading'));
+
+    try {
+      if (useCustomPassword) {
+        payload.password = customPassword;
+      }
+      let key = '';
+      let keyFormat = '';
+
+      // Encrypt locally, the key never leaves the browser
+      if (encrypt) {
+        const sealed = await encryptContent(content);
+        payload.content = sealed.content;
+        payload.iv = sealed.iv;
+        payload.encrypted = true;
+        key = sealed.key;
+        keyFormat = format === 'auto' ? '' : format;
+      }
+
+      const label = historyLabel(content, files);
+      let response;
+      try {
+        response = await sendUpload(payload, files);
+      } catch (error) {
+        // No network: keep the upload and send it once the connection is back
+        await queueUpload({ payload, files, key, format: keyFormat, label });
+        btn.classList.remove('loading');
+        btn.textContent = t('uploadSubmit');
+        showMessage(t('uploadQueued'), 'success');
+        return;
+      }
+
+      const result = await response.json();
+
+      // Reset button
+      btn.classList.remove('loading');
+      btn.textContent = t('uploadSubmit');
+
+      if (result.success) {
+        showUploadResult(result, key, keyFormat, label);
+      } else {
+        showMessage(result.message || t('uploadFailed'), 'error');
+      }
+    } catch (error) {
+      btn.classList.remove('loading');
+      btn.textContent = t('uploadSubmit');
+      showMessage(t('networkError'), 'error');
+    }
+  });
+
+  // Files go as a multipart form next to the same fields, the browser sets its boundary
+  function sendUpload(payload, files) {
+    let request = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept-Language': LOCALE },
+      body: JSON.stringify(payload)
+    };
+    if (files.length) {
+      const form = new FormData();
+      Object.keys(payload).forEach(name => form.append(name, String(payload[name])));
+      files.forEach(file => form.append('file', file));
+      request = { method: 'POST', headers: { 'Accept-Language': LOCALE }, body: form };
+    }
+    return fetch('/api/v1/upload', request);
+  }
+
+  function showUploadResult(result, key, format, label) {
+    document.getElementById('uploadForm').style.display = 'none';
+    document.getElementById('resultBox').style.display = 'block';
+    document.getElementById('resultPassword').textContent = result.password;
+    // The decryption key (and format) join the password in the fragment, none of them reaches the server
+    document.getElementById('resultLink').textContent = result.shareUrl +
+      (key ? '&k=' + encodeURIComponent(key) : '') + (format ? '&f=' + encodeURIComponent(format) : '');
+    document.getElementById('resultManageToken').textContent = result.manageToken;
+    document.getElementById('resultKey').textContent = key;
+    document.getElementById('resultKeyItem').style.display = key ? 'block' : 'none';
+    document.getElementById('resultExpiry').textContent = formatDateTime(result.expiresAt) +
+      (result.notBefore ? t('releasedFrom', { time: formatDateTime(result.notBefore) }) : '');
+    showMessage(t('uploaded'), 'success');
+    rememberShare({
+      id: result.id,
+      label,
+      password: result.password,
+      link: document.getElementById('resultLink').textContent,
+      expiresAt: result.expiresAt
+    }).catch(error => console.error('History error:', error));
+  }
+
+  // View form
+  document.getElementById('viewForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const password = document.getElementById('password').value.trim();
+    const decryptKey = document.getElementById('decryptKey').value.trim();
+    const btn = document.getElementById('viewBtn');
+
+    if (!password) {
+      showMessage(t('enterPassword'), 'error');
+      return;
+    }
+
+    // Show loading
+    btn.classList.add('loading');
+    btn.innerHTML = '<span class="spinner"></span>' + escapeHtml(t('loading'));
+
+    try {
+      // API error messages come back in the page language
+      const response = await fetch('/api/v1/view', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept-Language': LOCALE },
+        body: JSON.stringify(shareId ? { password, id: shareId } : { password })
+      });
+
+      const result = await response.json();
+
+      // Reset button
+      btn.classList.remove('loading');
+      btn.textContent = t('viewSubmit');
+
+      if (result.success) {
+        let content = result.content;
+
+        // Decrypt locally with the key supplied by the sharer
+        if (result.encrypted) {
+          if (!decryptKey) {
+            showMessage(t('needKey'), 'error');
+            return;
+          }
+          try {
+            content = await decryptContent(result.content, result.iv, decryptKey);
+          } catch (error) {
+            showMessage(t('decryptFailed'), 'error');
+            return;
+          }
+        }
+
+        document.getElementById('viewForm').style.display = 'none';
+        document.getElementById('viewResult').style.display = 'block';
+        // Encrypted shares are stored as plain, their format comes from the link or the decrypted content
+        const format = result.encrypted && (result.format || 'plain') === 'plain'
+          ? linkFormat || TempShareRender.detectFormat(content)
+          : result.format || 'plain';
+        viewed = {
+          content,
+          format,
+          raw: false,
+          password,
+          id: shareId,
+          files: result.attachments || [],
+          downloadToken: result.downloadToken || ''
+        };
+        renderViewContent();
+        renderViewFiles();
+        document.getElementById('viewExpiry').textContent = formatDateTime(result.expiresAt);
+        document.getElementById('viewViews').textContent = t('views', { count: result.views });
+        document.getElementById('viewRemainingItem').style.display = result.maxViews ? 'block' : 'none';
+        document.getElementById('viewRemaining').textContent = result.remainingViews === 0
+          ? t('remainingZero')
+          : t('views', { count: result.remainingViews });
+      } else if (result.code === 'LOCKED') {
+        showMessage(t('locked', { time: formatDateTime(result.notBefore) }), 'error');
+      } else {
+        showMessage(result.message || t('viewFailed'), 'error');
+      }
+    } catch (error) {
+      btn.classList.remove('loading');
+      btn.textContent = t('viewSubmit');
+      showMessage(t('networkError'), 'error');
+    }
+  });
+
+  // Viewed paste, rendered by format or shown raw, with what its file downloads need
+  let viewed = { content: '', format: 'plain', raw: false, files: [] };
+
+  function renderViewContent() {
+    const container = document.getElementById('viewContent');
+    const toggle = document.getElementById('rawToggle');
+    const format = TempShareRender.formats.find(entry => entry.id === viewed.format);
+
+    // The renderer escapes everything it outputs, raw mode sets plain text
+    if (viewed.raw || viewed.format === 'plain') {
+      const pre = document.createElement('pre');
+      pre.textContent = viewed.content;
+      container.replaceChildren(pre);
+    } else {
+      container.innerHTML = TempShareRender.render(viewed.content, viewed.format);
+    }
+
+    document.getElementById('viewFormat').textContent = format && viewed.format !== 'plain' ? format.label : '';
+    toggle.style.display = viewed.format === 'plain' ? 'none' : '';
+    toggle.textContent = viewed.raw ? t('showRendered') : t('showRaw');
+  }
+
+  document.getElementById('rawToggle').addEventListener('click', () => {
+    viewed.raw = !viewed.raw;
+    renderViewContent();
+  });
+
+  // Attachment list, a share with only files hides the empty content box
+  function renderViewFiles() {
+    const rows = viewed.files.map(file => {
+      const row = document.createElement('div');
+      row.className = 'file-row';
+      const name = document.createElement('span');
+      name.className = 'file-name';
+      name.textContent = file.name;
+      const size = document.createElement('span');
+      size.className = 'file-size';
+      size.textContent = formatSize(file.size);
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'copy-btn';
+      button.textContent = t('download');
+      button.addEventListener('click', () => downloadFile(file));
+      row.append(name, size, button);
+      return row;
+    });
+
+    document.getElementById('viewFiles').replaceChildren(...rows);
+    document.getElementById('viewFilesItem').style.display = rows.length ? 'block' : 'none';
+    document.getElementById('viewContentItem').style.display = viewed.content || !rows.length ? 'block' : 'none';
+  }
+
+  // Downloads post the password like a view, then save the body under its original name
+  async function downloadFile(file) {
+    const payload = { password: viewed.password, index: file.index };
+    if (viewed.id) payload.id = viewed.id;
+    if (viewed.downloadToken) payload.downloadToken = viewed.downloadToken;
+
+    try {
+      const response = await fetch('/api/v1/file', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept-Language': LOCALE },
+        body: JSON.stringify(payload)
+      });
+
+      if (!response.ok) {
+        const result = await response.json();
+        showMessage(result.code === 'CONSUMED' ? t('downloadExpired') : (result.message || t('downloadFailed')), 'error');
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = file.name;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      showMessage(t('networkError'), 'error');
+    }
+  }
+
+  function copyViewContent() {
+    if (!viewed.content) return;
+    navigator.clipboard.writeText(viewed.content).then(() => {
+      showMessage(t('copied'), 'success');
+    }).catch(() => {
+      showMessage(t('copyFailed'), 'error');
+    });
+  }
+
+  // Copy text
+  function copyText(elementId) {
+    copyValue(document.getElementById(elementId).textContent);
+  }
+
+  function copyValue(text) {
+    if (!text) return;
+    navigator.clipboard.writeText(text).then(() => {
+      showMessage(t('copied'), 'success');
+    }).catch(() => {
+      showMessage(t('copyFailed'), 'error');
+    });
+  }
+
+  // Reset forms
+  function resetForm() {
+    document.getElementById('content').value = '';
+    document.getElementById('files').value = '';
+    updateCharCount();
+    document.getElementById('resultManageToken').textContent = '';
+    document.getElementById('resultLink').textContent = '';
+    document.getElementById('resultKey').textContent = '';
+    document.getElementById('customPassword').value = '';
+    document.getElementById('strengthBar').style.width = '0';
+    document.getElementById('strengthText').textContent = t('strengthEmpty');
+    document.getElementById('resultBox').style.display = 'none';
+    document.getElementById('uploadForm').style.display = 'block';
+    switchTab('upload');
+    retryQueue();
+  }
+
+  function resetView() {
+    shareId = '';
+    linkFormat = '';
+    document.getElementById('password').value = '';
+    document.getElementById('decryptKey').value = '';
+    viewed = { content: '', format: 'plain', raw: false, files: [] };
+    document.getElementById('viewContent').replaceChildren();
+    document.getElementById('viewFiles').replaceChildren();
+    document.getElementById('viewResult').style.display = 'none';
+    document.getElementById('viewForm').style.display = 'block';
+    hideMessage();
+  }
+
+  // Show/hide message
+  function showMessage(text, type) {
+    const msg = document.getElementById('message');
+    msg.textContent = text;
+    msg.className = 'message ' + type;
+    msg.style.display = 'block';
+    setTimeout(() => {
+      hideMessage();
+    }, 4000);
+  }
+
+  function hideMessage() {
+    document.getElementById('message').style.display = 'none';
+  }
+
+  // Base64 helpers for binary WebCrypto values
+  function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  // End-to-end encryption (AES-GCM, 256-bit key generated per share)
+  async function encryptContent(text) {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    const rawKey = await crypto.subtle.exportKey('raw', key);
+    return {
+      content: bytesToBase64(new Uint8Array(ciphertext)),
+      iv: bytesToBase64(iv),
+      key: bytesToBase64(new Uint8Array(rawKey))
+    };
+  }
+
+  async function decryptContent(content, iv, keyText) {
+    const key = await crypto.subtle.importKey('raw', base64ToBytes(keyText), { name: 'AES-GCM' }, false, ['decrypt']);
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(content));
+    return new TextDecoder().decode(plaintext);
+  }
+
+  // My shares: an opt-in list of created shares in localStorage, so a closed tab does not lose a password
+  // The record is { entries } or, with a local PIN, { salt, iv, data } holding the entries AES-GCM encrypted
+  // with a PBKDF2 key of the PIN. There is no record until the list is turned on, forgetting all removes it.
+  // A PIN list also has an ECDH key pair, { publicKey, privateKey } with the private key encrypted like the
+  // entries: shares created while it is locked are sealed to the public key in a separate log, merged on unlock.
+  const HISTORY_KEY = 'tempshare-history';
+  const HISTORY_PENDING_KEY = 'tempshare-history-pending';
+  const HISTORY_SEAL_CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+  const HISTORY_PIN_ITERATIONS = 200000;
+  const HISTORY_MIN_PIN_LENGTH = 4;
+  const HISTORY_LABEL_LENGTH = 60;
+
+  // Readable list: { entries, key, salt }, key is null without a PIN; stays null while locked.
+  // PIN lists add { publicKey, sealedPrivateKey, privateKey } for the pending log
+  let myShares = null;
+  // Shares created while a list from before the key pair is locked, saved once it is unlocked
+  let pendingEntries = [];
+
+  function readHistoryRecord() {
+    try {
+      const record = JSON.parse(localStorage.getItem(HISTORY_KEY));
+      return record && (Array.isArray(record.entries) || record.data) ? record : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async function derivePinKey(pin, salt) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: HISTORY_PIN_ITERATIONS, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async function encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+  }
+
+  async function decryptBytes(key, { iv, data }) {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data)));
+  }
+
+  // Throws when the key does not fit, i.e. a wrong PIN
+  async function openHistoryRecord(record, key) {
+    if (!record.data) return record.entries;
+    return JSON.parse(new TextDecoder().decode(await decryptBytes(key, record)));
+  }
+
+  async function createSealKeys(pinKey) {
+    const pair = await crypto.subtle.generateKey(HISTORY_SEAL_CURVE, true, ['deriveKey']);
+    const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey));
+    const privateKey = new Uint8Array(await crypto.subtle.exportKey('pkcs8', pair.privateKey));
+    return {
+      publicKey: bytesToBase64(publicKey),
+      sealedPrivateKey: await encryptBytes(pinKey, privateKey),
+      privateKey: pair.privateKey
+    };
+  }
+
+  async function openSealKeys(record, pinKey) {
+    const privateKey = await crypto.subtle.importKey('pkcs8', await decryptBytes(pinKey, record.privateKey), HISTORY_SEAL_CURVE, false, ['deriveKey']);
+    return { publicKey: record.publicKey, sealedPrivateKey: record.privateKey, privateKey };
+  }
+
+  async function deriveSealKey(publicKeyText, privateKey) {
+    const publicKey = await crypto.subtle.importKey('raw', base64ToBytes(publicKeyText), HISTORY_SEAL_CURVE, false, []);
+    return crypto.subtle.deriveKey({ name: 'ECDH', public: publicKey }, privateKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  }
+
+  // Encrypted with a key agreed between a one-off key pair and the list's public key, only the list's
+  // private key opens it again
+  async function sealEntry(entry, publicKey) {
+    const pair = await crypto.subtle.generateKey(HISTORY_SEAL_CURVE, true, ['deriveKey']);
+    const sealed = await encryptBytes(await deriveSealKey(publicKey, pair.privateKey), new TextEncoder().encode(JSON.stringify(entry)));
+    sealed.key = bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey)));
+    return sealed;
+  }
+
+  async function openSealedEntry(sealed, privateKey) {
+    return JSON.parse(new TextDecoder().decode(await decryptBytes(await deriveSealKey(sealed.key, privateKey), sealed)));
+  }
+
+  function readPendingLog() {
+    try {
+      const log = JSON.parse(localStorage.getItem(HISTORY_PENDING_KEY));
+      return Array.isArray(log) ? log : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Move the sealed entries into the unlocked list, newest first, then drop the ones merged
+  // (another tab may have appended meanwhile)
+  async function mergePendingLog() {
+    const log = readPendingLog();
+    if (!log.length) return;
+    const added = await Promise.all(log.map(sealed => openSealedEntry(sealed, myShares.privateKey)));
+    const known = new Set(myShares.entries.map(entry => entry.id));
+    myShares.entries = added.reverse().filter(entry => !known.has(entry.id)).concat(myShares.entries);
+    await writeHistory();
+
+    const rest = readPendingLog().slice(log.length);
+    if (rest.length) {
+      localStorage.setItem(HISTORY_PENDING_KEY, JSON.stringify(rest));
+    } else {
+      localStorage.removeItem(HISTORY_PENDING_KEY);
+    }
+  }
+
+  async function writeHistory() {
+    const entries = myShares.entries.filter(entry => new Date(entry.expiresAt) > Date.now());
+    myShares.entries = entries;
+    if (!myShares.key) {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify({ entries }));
+      return;
+    }
+    const { iv, data } = await encryptBytes(myShares.key, new TextEncoder().encode(JSON.stringify(entries)));
+    localStorage.setItem(HISTORY_KEY, JSON.stringify({
+      salt: myShares.salt,
+      iv,
+      data,
+      publicKey: myShares.publicKey,
+      privateKey: myShares.sealedPrivateKey
+    }));
+  }
+
+  // Pick up changes made in other tabs before writing over them
+  async function reloadHistory() {
+    const record = readHistoryRecord();
+    if (!record) {
+      myShares = null;
+    } else if (!record.data) {
+      myShares = { entries: record.entries, key: null, salt: '' };
+    } else if (myShares && myShares.key && myShares.salt === record.salt) {
+      myShares.entries = await openHistoryRecord(record, myShares.key);
+      await mergePendingLog();
+    } else {
+      myShares = null;
+    }
+  }
+
+  async function enableHistory(pin) {
+    myShares = { entries: [], key: null, salt: '' };
+    if (pin) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      myShares.salt = bytesToBase64(salt);
+      myShares.key = await derivePinKey(pin, salt);
+      Object.assign(myShares, await createSealKeys(myShares.key));
+    }
+    localStorage.removeItem(HISTORY_PENDING_KEY);
+    await writeHistory();
+  }
+
+  async function unlockHistory(pin) {
+    const record = readHistoryRecord();
+    const key = await derivePinKey(pin, base64ToBytes(record.salt));
+    myShares = { entries: await openHistoryRecord(record, key), key, salt: record.salt };
+    // A list from before the key pair gets one now
+    Object.assign(myShares, record.publicKey ? await openSealKeys(record, key) : await createSealKeys(key));
+    myShares.entries = pendingEntries.concat(myShares.entries);
+    pendingEntries = [];
+    await writeHistory();
+    await mergePendingLog();
+  }
+
+  async function rememberShare(entry) {
+    const record = readHistoryRecord();
+    if (!record) return;
+    await reloadHistory();
+    if (myShares) {
+      myShares.entries.unshift(entry);
+      await writeHistory();
+    } else if (record.publicKey) {
+      const sealed = await sealEntry(entry, record.publicKey);
+      localStorage.setItem(HISTORY_PENDING_KEY, JSON.stringify(readPendingLog().concat([sealed])));
+    } else {
+      pendingEntries.unshift(entry);
+    }
+    renderHistory();
+  }
+
+  async function forgetShare(id) {
+    await reloadHistory();
+    if (!myShares) return;
+    myShares.entries = myShares.entries.filter(entry => entry.id !== id);
+    await writeHistory();
+    renderHistory();
+  }
+
+  function forgetHistory() {
+    if (!confirm(t('historyConfirmForget'))) return;
+    localStorage.removeItem(HISTORY_KEY);
+    localStorage.removeItem(HISTORY_PENDING_KEY);
+    myShares = null;
+    pendingEntries = [];
+    renderHistory();
+  }
+
+  // First line of the text, or the file names for a share without text
+  function historyLabel(content, files) {
+    const line = content.trim().split('\n')[0].trim();
+    const label = line || files.map(file => file.name).join(', ');
+    return label.length > HISTORY_LABEL_LENGTH ? label.slice(0, HISTORY_LABEL_LENGTH) + '…' : label;
+  }
+
+  function formatCountdown(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(total / 86400);
+    const hours = Math.floor(total % 86400 / 3600);
+    const minutes = Math.floor(total % 3600 / 60);
+    if (days) return t('historyDays', { days, hours });
+    if (hours) return t('historyHours', { hours, minutes });
+    return t('historyMinutes', { minutes, seconds: total % 60 });
+  }
+
+  function renderHistory() {
+    const record = readHistoryRecord();
+    document.getElementById('historyEnable').style.display = record ? 'none' : 'block';
+    document.getElementById('historyUnlock').style.display = record && !myShares ? 'block' : 'none';
+    document.getElementById('historyForget').style.display = record ? 'block' : 'none';
+    const pending = myShares ? 0 : readPendingLog().length + pendingEntries.length;
+    document.getElementById('historyPending').textContent = pending ? t('historyPending', { count: pending }) : '';
+
+    const list = document.getElementById('historyList');
+    list.replaceChildren();
+    if (!myShares) return;
+
+    if (!myShares.entries.length) {
+      const empty = document.createElement('li');
+      empty.className = 'history-empty';
+      empty.textContent = t('historyEmpty');
+      list.appendChild(empty);
+      return;
+    }
+
+    myShares.entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'history-item';
+
+      const link = document.createElement('a');
+      link.href = entry.link;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = entry.label || entry.id;
+
+      const meta = document.createElement('div');
+      meta.className = 'history-meta';
+      const password = document.createElement('code');
+      password.textContent = entry.password;
+      const countdown = document.createElement('span');
+      countdown.className = 'history-countdown';
+      countdown.dataset.expiresAt = entry.expiresAt;
+      meta.append(password, countdown);
+
+      const actions = document.createElement('div');
+      actions.className = 'history-actions';
+      const copy = document.createElement('button');
+      copy.type = 'button';
+      copy.className = 'copy-btn';
+      copy.textContent = t('historyCopy');
+      copy.addEventListener('click', () => copyValue(entry.password));
+      const forget = document.createElement('button');
+      forget.type = 'button';
+      forget.className = 'copy-btn forget';
+      forget.textContent = t('historyForget');
+      forget.addEventListener('click', () => forgetShare(entry.id));
+      actions.append(copy, forget);
+
+      item.append(link, meta, actions);
+      list.appendChild(item);
+    });
+    updateCountdowns();
+  }
+
+  // Once a second: refresh the countdowns and drop the entries that just expired
+  function updateCountdowns() {
+    let expired = false;
+    document.querySelectorAll('.history-countdown').forEach(countdown => {
+      const left = new Date(countdown.dataset.expiresAt) - Date.now();
+      expired = expired || left <= 0;
+      countdown.textContent = t('historyExpiresIn', { time: formatCountdown(left) });
+    });
+    if (expired && myShares) {
+      writeHistory().then(renderHistory);
+    }
+  }
+
+  document.getElementById('historyEnable').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const pin = document.getElementById('historyNewPin').value;
+    if (pin && pin.length < HISTORY_MIN_PIN_LENGTH) {
+      showMessage(t('historyPinTooShort', { min: HISTORY_MIN_PIN_LENGTH }), 'error');
+      return;
+    }
+    document.getElementById('historyNewPin').value = '';
+    await enableHistory(pin);
+    renderHistory();
+  });
+
+  document.getElementById('historyUnlock').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('historyPin');
+    try {
+      await unlockHistory(input.value);
+      input.value = '';
+      renderHistory();
+    } catch (error) {
+      showMessage(t('historyWrongPin'), 'error');
+    }
+  });
+
+  document.getElementById('historyForget').addEventListener('click', forgetHistory);
+
+  window.addEventListener('storage', (e) => {
+    if (e.key !== HISTORY_KEY && e.key !== HISTORY_PENDING_KEY) return;
+    reloadHistory().then(renderHistory, () => {
+      myShares = null;
+      renderHistory();
+    });
+  });
+
+  reloadHistory().then(() => {
+    if (myShares) return writeHistory();
+  }).then(renderHistory);
+  setInterval(updateCountdowns, 1000);
+
+  // Upload queue: uploads that found no network wait in IndexedDB, files included, and are sent again
+  // when the browser is back online. One at a time, and only while no other result is on screen,
+  // so the password of every queued share gets shown.
+  const QUEUE_DB = 'tempshare';
+  const QUEUE_STORE = 'uploads';
+  let retrying = false;
+  let retryTimer = null;
+
+  function openQueue() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(QUEUE_DB, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Run one request against the store, resolved with its result once the transaction is done
+  async function withQueue(mode, action) {
+    const db = await openQueue();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(QUEUE_STORE, mode);
+      const request = action(transaction.objectStore(QUEUE_STORE));
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    });
+  }
+
+  async function queueUpload(item) {
+    await withQueue('readwrite', store => store.add(Object.assign({ queuedAt: Date.now() }, item)));
+    await renderQueue();
+  }
+
+  async function renderQueue() {
+    const count = await withQueue('readonly', store => store.count());
+    document.getElementById('queueBanner').style.display = count ? 'flex' : 'none';
+    document.getElementById('queueText').textContent = t('queuePending', { count });
+  }
+
+  // Retry delay after a rate limit or server error: the server's Retry-After, else doubling from 30 seconds up to 30 minutes
+  function retryDelay(response, attempts) {
+    const seconds = parseInt(response.headers.get('Retry-After'));
+    return seconds > 0 ? seconds * 1000 : Math.min(30000 * 2 ** attempts, 30 * 60000);
+  }
+
+  // A queued share whose deadline or release time has passed would only be refused by the server
+  function staleReason(payload) {
+    const now = Date.now();
+    if (payload.expiresAt && new Date(payload.expiresAt) <= now) {
+      return t('queueExpired', { time: formatDateTime(payload.expiresAt) });
+    }
+    if (payload.notBefore && new Date(payload.notBefore) <= now) {
+      return t('queueReleasePassed', { time: formatDateTime(payload.notBefore) });
+    }
+    return null;
+  }
+
+  async function retryQueue(force = false) {
+    const busy = !document.getElementById('uploadTab').classList.contains('active') ||
+      document.getElementById('resultBox').style.display === 'block';
+    if (retrying || busy || !navigator.onLine) return;
+    retrying = true;
+    clearTimeout(retryTimer);
+    try {
+      const [item] = await withQueue('readonly', store => store.getAll(undefined, 1));
+      if (!item) return;
+
+      // Backing off: wait for the scheduled time unless the user asked to send now
+      if (!force && item.retryAt > Date.now()) {
+        retryTimer = setTimeout(retryQueue, item.retryAt - Date.now());
+        return;
+      }
+
+      const stale = staleReason(item.payload);
+      if (stale) {
+        await withQueue('readwrite', store => store.delete(item.id));
+        showMessage(stale, 'error');
+        return;
+      }
+
+      let response;
+      try {
+        response = await sendUpload(item.payload, item.files);
+      } catch (error) {
+        return;
+      }
+      const result = await response.json().catch(() => ({}));
+
+      // Rate limits, lockouts and server errors pass, the upload stays queued and is tried again later
+      if (!result.success && (response.status === 429 || response.status >= 500)) {
+        const delay = retryDelay(response, item.attempts || 0);
+        item.attempts = (item.attempts || 0) + 1;
+        item.retryAt = Date.now() + delay;
+        await withQueue('readwrite', store => store.put(item));
+        retryTimer = setTimeout(retryQueue, delay);
+        showMessage(t('queueRetryLater', {
+          message: result.message || t('uploadFailed'),
+          time: formatDateTime(item.retryAt)
+        }), 'error');
+        return;
+      }
+
+      // Any other answer is final: sent, or refused for a reason a retry would not change
+      await withQueue('readwrite', store => store.delete(item.id));
+      if (result.success) {
+        showUploadResult(result, item.key, item.format, item.label);
+      } else {
+        showMessage(result.message || t('uploadFailed'), 'error');
+      }
+    } catch (error) {
+      console.error('Upload queue error:', error);
+    } finally {
+      retrying = false;
+      renderQueue().catch(() => {});
+    }
+  }
+
+  document.getElementById('queueRetry').addEventListener('click', () => {
+    switchTab('upload');
+    retryQueue(true);
+  });
+  window.addEventListener('online', () => retryQueue());
+
+  if ('indexedDB' in window) {
+    renderQueue().then(retryQueue, error => console.error('Upload queue error:', error));
+  }
+
+  // Web Share Target: the service worker keeps the shared text in a cache and opens /?shared
+  async function takeSharedText() {
+    if (!new URLSearchParams(location.search).has('shared')) return;
+    window.history.replaceState(null, '', location.pathname + location.hash);
+    if (!('caches' in window)) return;
+
+    const cache = await caches.open('tempshare-share');
+    const shared = await cache.match('/share-target');
+    if (!shared) return;
+    await cache.delete('/share-target');
+    document.getElementById('content').value = await shared.text();
+    updateCharCount();
+  }
+
+  takeSharedText().catch(error => console.error('Share target error:', error));
+
+  // Installable app with an offline shell, see sw.js
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(error => console.error('Service worker error:', error));
+  }
+
+  // Buttons, wired here because the Content-Security-Policy blocks inline handlers
+  document.getElementById('uploadTab').addEventListener('click', () => switchTab('upload'));
+  document.getElementById('viewTab').addEventListener('click', () => switchTab('view'));
+  document.querySelectorAll('[data-copy]').forEach(button => {
+    button.addEventListener('click', () => copyText(button.dataset.copy));
+  });
+  document.getElementById('againBtn').addEventListener('click', resetForm);
+  document.getElementById('copyViewBtn').addEventListener('click', copyViewContent);
+  document.getElementById('backBtn').addEventListener('click', resetView);
+
+  // Share link: open the view tab, prefilled from the fragment (#p=<password>&k=<key>&f=<format>)
+  if (shareId) {
+    switchTab('view');
+    const fragment = new URLSearchParams(location.hash.slice(1));
+    document.getElementById('password').value = fragment.get('p') || '';
+    document.getElementById('decryptKey').value = fragment.get('k') || '';
+    linkFormat = TempShareRender.formats.some(entry => entry.id === fragment.get('f')) ? fragment.get('f') : '';
+    if (!fragment.get('p')) {
+      document.getElementById('password').focus();
+    }
+  }
+
+  // Escape HTML
+  function escapeHtml(text) {
+    if (typeof text !== 'string') return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,81 @@
+// Service worker: offline app shell, cached assets and the Web Share Target
+//
+// Served from /sw.js (its scope has to be the whole site) as the source text of serviceWorker(), called
+// with the hashed asset paths of the current deployment, so a deployment with new assets installs a new
+// worker. Pages carry no-store and a per-request nonce: they are always fetched while online, the last
+// home page is only kept as the offline fallback. Hashed assets never change and are served cache first.
+
+export function serviceWorker({ version, assets }) {
+  const CACHE = 'tempshare-' + version;
+  const SHARE_CACHE = 'tempshare-share';
+  const SHELL_PATH = '/';
+  const SHARE_TARGET_PATH = '/share-target';
+  // Pages that are not part of the app shell
+  const ONLINE_ONLY = ['/admin'];
+
+  self.addEventListener('install', (event) => {
+    event.waitUntil(
+      caches.open(CACHE)
+        .then(cache => cache.addAll([SHELL_PATH].concat(assets)))
+        .then(() => self.skipWaiting())
+    );
+  });
+
+  // Drop the caches of earlier deployments, the shared text waits in its own cache
+  self.addEventListener('activate', (event) => {
+    event.waitUntil(
+      caches.keys()
+        .then(keys => Promise.all(keys
+          .filter(key => key !== CACHE && key !== SHARE_CACHE)
+          .map(key => caches.delete(key))))
+        .then(() => self.clients.claim())
+    );
+  });
+
+  self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.method === 'POST' && url.pathname === SHARE_TARGET_PATH) {
+      event.respondWith(receiveShare(request));
+    } else if (request.method !== 'GET' || url.pathname.startsWith('/api/')) {
+      return;
+    } else if (request.mode === 'navigate' && !ONLINE_ONLY.includes(url.pathname)) {
+      event.respondWith(networkFirst(request, url));
+    } else if (url.pathname.startsWith('/assets/')) {
+      event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+    }
+  });
+
+  // The network answer wins, the cached home page only stands in when there is none
+  async function networkFirst(request, url) {
+    try {
+      const response = await fetch(request);
+      if (url.pathname === SHELL_PATH && response.ok) {
+        const cache = await caches.open(CACHE);
+        await cache.put(SHELL_PATH, response.clone());
+      }
+      return response;
+    } catch (error) {
+      const cached = await caches.match(SHELL_PATH, { cacheName: CACHE });
+      return cached || Response.error();
+    }
+  }
+
+  // Web Share Target: keep the shared text for the page, which picks it up from /?shared
+  async function receiveShare(request) {
+    const form = await request.formData();
+    const parts = [];
+    ['title', 'text', 'url'].forEach(name => {
+      const value = typeof form.get(name) === 'string' ? form.get(name).trim() : '';
+      // Apps often repeat the link inside the text
+      if (value && !parts.some(part => part.includes(value))) {
+        parts.push(value);
+      }
+    });
+    const cache = await caches.open(SHARE_CACHE);
+    await cache.put(SHARE_TARGET_PATH, new Response(parts.join('\n')));
+    return Response.redirect('/?shared', 303);
+  }
+}
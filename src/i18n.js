@@ -0,0 +1,479 @@
+// Message catalog - page text and API error messages in Simplified Chinese and English
+//
+// Keys are namespaced by where they are used:
+//   page.*        home page markup, rendered by the Worker
+//   client.*      text the home page script sets at runtime (sent to the page as JSON)
+//   admin.*       admin page, markup and script
+//   errorPage.*   404 / 410 / 500 pages
+//   error.<CODE>  API error messages, error.<CODE>.detail when the error carries params
+// `{name}` placeholders are filled from params. Every key exists in every locale.
+
+export const LOCALES = ['zh-CN', 'en'];
+export const DEFAULT_LOCALE = 'zh-CN';
+
+// Shown in the language switch, each in its own language
+export const LOCALE_NAMES = { 'zh-CN': '中文', en: 'English' };
+
+export const MESSAGES = {
+  'zh-CN': {
+    'page.title': 'TempShare - 临时内容分享',
+    'page.description': '临时内容分享系统 - 自动过期，安全便捷',
+    'page.subtitle': '临时内容分享 · 安全便捷',
+    'page.tab.upload': '上传',
+    'page.tab.view': '查看',
+    'page.content.label': '分享内容',
+    'page.content.placeholder': '输入要分享的内容，最多 {max}...',
+    'page.files.label': '附件',
+    'page.files.hint': '可选，最多 {count} 个文件，每个不超过 {max}，连同内容合计不超过 {total}；附件不做端到端加密',
+    'page.format.label': '内容格式',
+    'page.format.auto': '自动检测',
+    'page.format.plain': '纯文本',
+    'page.format.hint': '查看时按此格式渲染 Markdown 或高亮代码',
+    'page.expiry.label': '过期时间',
+    'page.expiry.1h': '1 小时',
+    'page.expiry.6h': '6 小时',
+    'page.expiry.24h': '24 小时',
+    'page.expiry.7d': '7 天',
+    'page.expiry.custom': '自定义截止时间',
+    'page.notBefore.label': '定时公开',
+    'page.notBefore.hint': '公开之前内容无法查看，过期时长从公开时起算',
+    'page.maxViews.label': '查看次数',
+    'page.maxViews.unlimited': '不限次数',
+    'page.maxViews.burn': '阅后即焚（1 次）',
+    'page.maxViews.count': '{count} 次',
+    'page.customPassword.label': '自定义密码',
+    'page.customPassword.placeholder': '至少 8 个字符，可包含中文和空格',
+    'page.encrypt.label': '端到端加密',
+    'page.encrypt.hint': '内容在浏览器中加密，服务器只保存密文，查看时需要同时提供解密密钥',
+    'page.result.title': '上传成功',
+    'page.result.notice': '请妥善保存访问密码，内容将在指定时间后自动删除。管理令牌仅供自己使用，可提前删除、修改过期时间或替换内容',
+    'page.result.password': '访问密码',
+    'page.result.link': '分享链接',
+    'page.result.manageToken': '管理令牌',
+    'page.result.key': '解密密钥',
+    'page.result.expiry': '过期时间',
+    'page.result.again': '分享新内容',
+    'page.copy': '复制',
+    'page.view.title': '查看内容',
+    'page.view.intro': '输入访问密码查看内容',
+    'page.view.password': '访问密码',
+    'page.view.passwordPlaceholder': '输入访问密码',
+    'page.view.key': '解密密钥（可选）',
+    'page.view.keyPlaceholder': '加密内容需要填写解密密钥',
+    'page.details.title': '📄 内容详情',
+    'page.details.content': '内容',
+    'page.details.files': '附件',
+    'page.details.expiry': '过期时间',
+    'page.details.views': '访问次数',
+    'page.details.remaining': '剩余次数',
+    'page.details.copy': '复制内容',
+    'page.details.back': '返回',
+    'page.queue.retry': '立即发送',
+    'page.history.title': '我的分享',
+    'page.history.intro': '在此浏览器中保存创建过的分享，关闭页面后仍能找回密码。记录只保存在本机，过期后自动移除。',
+    'page.history.pinPlaceholder': '本地 PIN（可选，设置后加密保存）',
+    'page.history.enable': '开启本机记录',
+    'page.history.pin': '输入 PIN 解锁',
+    'page.history.unlock': '解锁',
+    'page.history.forgetAll': '全部忘记',
+
+    'client.uploadSubmit': '创建分享',
+    'client.uploading': '上传中...',
+    'client.viewSubmit': '查看内容',
+    'client.loading': '加载中...',
+    'client.strengthEmpty': '密码强度：-',
+    'client.strength': '密码强度：{label}',
+    'client.strength0': '很弱',
+    'client.strength1': '弱',
+    'client.strength2': '一般',
+    'client.strength3': '强',
+    'client.strength4': '很强',
+    'client.strengthHint': '（至少 8 个字符，混合字母、数字或符号，首尾不能有空格）',
+    'client.contentOrFiles': '请输入内容或选择附件',
+    'client.tooManyFiles': '最多上传 {max} 个附件',
+    'client.fileTooLarge': '附件 {name} 超过大小上限（{max}）',
+    'client.uploadTooLarge': '附件和内容合计超过 {max}',
+    'client.encryptFiles': '端到端加密不支持附件，请取消加密或移除附件',
+    'client.weakPassword': '自定义密码强度不足',
+    'client.contentTooLarge': '内容超过大小上限（{max}）',
+    'client.chooseExpiry': '请选择过期时间',
+    'client.chooseRelease': '请选择公开时间',
+    'client.releasedFrom': '（{time} 起可查看）',
+    'client.uploaded': '上传成功！请保存访问密码',
+    'client.uploadFailed': '上传失败',
+    'client.networkError': '网络错误，请稍后重试',
+    'client.enterPassword': '请输入访问密码',
+    'client.needKey': '该内容已加密，请输入解密密钥',
+    'client.decryptFailed': '解密失败，请检查解密密钥',
+    'client.views': '{count} 次',
+    'client.remainingZero': '0 次（内容已销毁）',
+    'client.locked': '内容尚未公开，将于 {time} 开放查看',
+    'client.viewFailed': '查看失败',
+    'client.showRaw': '查看原文',
+    'client.showRendered': '渲染视图',
+    'client.download': '下载',
+    'client.downloadExpired': '下载期限已过，附件已销毁',
+    'client.downloadFailed': '下载失败',
+    'client.copied': '已复制到剪贴板',
+    'client.copyFailed': '复制失败',
+    'client.uploadQueued': '当前无法连接网络，上传已加入队列，联网后会自动发送',
+    'client.queuePending': '有 {count} 个上传等待发送',
+    'client.queueRetryLater': '{message}，上传仍在队列中，将于 {time} 重试',
+    'client.queueExpired': '排队中的上传已于 {time} 过期，未发送',
+    'client.queueReleasePassed': '排队中的上传的公开时间 {time} 已过，未发送',
+    'client.historyEmpty': '暂无记录',
+    'client.historyCopy': '复制密码',
+    'client.historyForget': '忘记',
+    'client.historyExpiresIn': '{time}后过期',
+    'client.historyDays': '{days} 天 {hours} 小时',
+    'client.historyHours': '{hours} 小时 {minutes} 分',
+    'client.historyMinutes': '{minutes} 分 {seconds} 秒',
+    'client.historyPending': '有 {count} 条新分享已加密保存，解锁后显示',
+    'client.historyPinTooShort': 'PIN 至少需要 {min} 个字符',
+    'client.historyWrongPin': 'PIN 不正确',
+    'client.historyConfirmForget': '确定要忘记本机保存的全部分享吗？',
+
+    'admin.title': 'TempShare - 管理后台',
+    'admin.heading': 'TempShare 管理后台',
+    'admin.password': '管理员密码',
+    'admin.login': '登录',
+    'admin.refresh': '刷新',
+    'admin.purge': '清空全部',
+    'admin.logout': '退出',
+    'admin.column.created': '创建时间',
+    'admin.column.expires': '过期时间',
+    'admin.column.views': '访问次数',
+    'admin.column.size': '大小',
+    'admin.column.status': '状态',
+    'admin.column.actions': '操作',
+    'admin.stats.total': '总数',
+    'admin.stats.active': '有效',
+    'admin.stats.expired': '已过期',
+    'admin.stats.consumed': '已焚毁',
+    'admin.stats.encrypted': '已加密',
+    'admin.stats.views': '总访问',
+    'admin.stats.size': '总大小',
+    'admin.tag.encrypted': '加密',
+    'admin.tag.expired': '已过期',
+    'admin.tag.consumed': '已焚毁',
+    'admin.empty': '暂无内容',
+    'admin.view': '查看内容',
+    'admin.delete': '删除',
+    'admin.requestFailed': '请求失败',
+    'admin.confirmView': '确定要查看该内容吗？',
+    'admin.encryptedPrefix': '[已加密] ',
+    'admin.confirmDelete': '确定要删除该内容吗？',
+    'admin.deleted': '已删除',
+    'admin.confirmPurge': '此操作将删除所有内容，输入 PURGE 确认',
+    'admin.purged': '已删除 {count} 条内容',
+    'admin.purgeIncomplete': '已删除 {count} 条内容，但仍有内容未删除，请再次清空',
+
+    'errorPage.404.title': '页面不存在',
+    'errorPage.404.message': '链接无效，或者内容从未存在过。',
+    'errorPage.410.title': '内容已失效',
+    'errorPage.410.message': '该内容已过期、已达到查看次数上限或已被删除。',
+    'errorPage.500.title': '服务器错误',
+    'errorPage.500.message': '服务暂时不可用，请稍后重试。',
+    'errorPage.home': '返回首页',
+
+    'error.INVALID_CONTENT_TYPE': 'Content-Type 无效',
+    'error.INVALID_JSON': 'JSON 格式错误',
+    'error.INVALID_FORM_DATA': '表单数据无效',
+    'error.CONTENT_REQUIRED': '内容不能为空',
+    'error.CONTENT_TOO_LARGE': '内容过大',
+    'error.CONTENT_TOO_LARGE.detail': '内容过大（最多 {max}）',
+    'error.INVALID_ENCRYPTED_PAYLOAD': '加密内容格式无效',
+    'error.INVALID_EXPIRY': '过期时间无效',
+    'error.INVALID_EXPIRY.detail': '过期时间无效（公开后 1 分钟到 {hours} 小时之间）',
+    'error.INVALID_NOT_BEFORE': '公开时间无效',
+    'error.INVALID_NOT_BEFORE.detail': '公开时间无效（须为将来 {hours} 小时内的 ISO 8601 时间）',
+    'error.INVALID_FORMAT': '内容格式无效（auto、plain、markdown 或支持的编程语言）',
+    'error.FILE_TOO_LARGE': '附件过大',
+    'error.FILE_TOO_LARGE.detail': '附件过大：{name}（最多 {max}）',
+    'error.TOO_MANY_FILES': '附件过多（最多 {maxFiles} 个）',
+    'error.INVALID_VIEW_LIMIT': '查看次数无效（1-{maxViews}）',
+    'error.INVALID_PASSWORD': '密码格式无效',
+    'error.INVALID_PASSPHRASE': '密码无效（1-{maxLength} 个字符，不能包含控制字符）',
+    'error.PASSPHRASE_WHITESPACE': '密码首尾不能有空格',
+    'error.PASSPHRASE_TOO_WEAK': '密码强度不足（至少 {minLength} 个字符，混合字母、数字或符号）',
+    'error.INVALID_MANAGE_TOKEN_FORMAT': '管理令牌格式无效',
+    'error.INVALID_API_KEY_SETTINGS': 'API 密钥参数无效（name 1-64 个字符，rateLimit 1-{maxRateLimit}，maxContentLength 1-{maxContentLength}）',
+    'error.UNAUTHORIZED': '未授权',
+    'error.INVALID_API_KEY': 'API 密钥无效',
+    'error.INVALID_MANAGE_TOKEN': '管理令牌错误',
+    'error.DOWNLOAD_TOKEN_REQUIRED': '该内容限制了查看次数，请先查看内容再下载附件',
+    'error.ORIGIN_NOT_ALLOWED': '来源不在允许列表中',
+    'error.NOT_FOUND': '未找到',
+    'error.PASTE_NOT_FOUND': '密码错误或内容已过期',
+    'error.ATTACHMENT_NOT_FOUND': '附件不存在',
+    'error.PASSWORD_IN_USE': '该密码已被使用，请换一个',
+    'error.EXPIRED': '内容已过期',
+    'error.CONSUMED': '内容已达到查看次数上限',
+    'error.LENGTH_REQUIRED': '上传需要 Content-Length',
+    'error.UPLOAD_TOO_LARGE': '上传的请求体过大',
+    'error.UPLOAD_TOO_LARGE.detail': '上传的请求体过大（最多 {max}，更大的文件请单独以请求体直接上传）',
+    'error.LOCKED': '内容尚未到公开时间',
+    'error.LOCKED.detail': '内容将于 {time} 公开',
+    'error.RATE_LIMITED': '请求过于频繁，请稍后重试',
+    'error.TOO_MANY_FAILURES': '失败次数过多，请稍后重试',
+    'error.SERVER_ERROR': '服务器错误',
+    'error.STORAGE_NOT_CONFIGURED': '未配置存储',
+    'error.STORAGE_NOT_CONFIGURED.detail': '未知的存储后端 "{backend}"，可选值：{backends}',
+    'error.INVALID_DATA': '数据无效',
+    'error.ADMIN_NOT_CONFIGURED': '未配置管理员密码',
+    'error.FILES_NOT_CONFIGURED': '未配置附件存储'
+  },
+
+  en: {
+    'page.title': 'TempShare - Temporary sharing',
+    'page.description': 'Share content temporarily - expires on its own, safe and simple',
+    'page.subtitle': 'Temporary sharing · Safe and simple',
+    'page.tab.upload': 'Upload',
+    'page.tab.view': 'View',
+    'page.content.label': 'Content',
+    'page.content.placeholder': 'Type what you want to share, up to {max}...',
+    'page.files.label': 'Attachments',
+    'page.files.hint': 'Optional, up to {count} files of {max} each, {total} in all with the text. Attachments are not end-to-end encrypted',
+    'page.format.label': 'Format',
+    'page.format.auto': 'Detect automatically',
+    'page.format.plain': 'Plain text',
+    'page.format.hint': 'Viewers see Markdown rendered or code highlighted in this format',
+    'page.expiry.label': 'Expires after',
+    'page.expiry.1h': '1 hour',
+    'page.expiry.6h': '6 hours',
+    'page.expiry.24h': '24 hours',
+    'page.expiry.7d': '7 days',
+    'page.expiry.custom': 'Custom deadline',
+    'page.notBefore.label': 'Scheduled release',
+    'page.notBefore.hint': 'The content cannot be viewed before the release, the expiry counts from it',
+    'page.maxViews.label': 'View limit',
+    'page.maxViews.unlimited': 'Unlimited',
+    'page.maxViews.burn': 'Burn after reading (1 view)',
+    'page.maxViews.count': '{count} views',
+    'page.customPassword.label': 'Custom password',
+    'page.customPassword.placeholder': 'At least 8 characters, spaces and any script allowed',
+    'page.encrypt.label': 'End-to-end encryption',
+    'page.encrypt.hint': 'The content is encrypted in your browser and the server only stores ciphertext. Viewers also need the decryption key',
+    'page.result.title': 'Shared',
+    'page.result.notice': 'Keep the password safe, the content is deleted automatically when it expires. The manage token is for you only: use it to delete the share early, change its expiry or replace the content',
+    'page.result.password': 'Password',
+    'page.result.link': 'Share link',
+    'page.result.manageToken': 'Manage token',
+    'page.result.key': 'Decryption key',
+    'page.result.expiry': 'Expires',
+    'page.result.again': 'Share something else',
+    'page.copy': 'Copy',
+    'page.view.title': 'View content',
+    'page.view.intro': 'Enter the password to view the content',
+    'page.view.password': 'Password',
+    'page.view.passwordPlaceholder': 'Enter the password',
+    'page.view.key': 'Decryption key (optional)',
+    'page.view.keyPlaceholder': 'Needed for encrypted content',
+    'page.details.title': '📄 Details',
+    'page.details.content': 'Content',
+    'page.details.files': 'Attachments',
+    'page.details.expiry': 'Expires',
+    'page.details.views': 'Views',
+    'page.details.remaining': 'Views left',
+    'page.details.copy': 'Copy content',
+    'page.details.back': 'Back',
+    'page.queue.retry': 'Send now',
+    'page.history.title': 'My shares',
+    'page.history.intro': 'Keep the shares you create in this browser, so a closed tab does not lose their passwords. Nothing leaves this device and expired shares are removed.',
+    'page.history.pinPlaceholder': 'Local PIN (optional, encrypts the list)',
+    'page.history.enable': 'Remember my shares',
+    'page.history.pin': 'Enter the PIN to unlock',
+    'page.history.unlock': 'Unlock',
+    'page.history.forgetAll': 'Forget all',
+
+    'client.uploadSubmit': 'Create share',
+    'client.uploading': 'Uploading...',
+    'client.viewSubmit': 'View content',
+    'client.loading': 'Loading...',
+    'client.strengthEmpty': 'Strength: -',
+    'client.strength': 'Strength: {label}',
+    'client.strength0': 'very weak',
+    'client.strength1': 'weak',
+    'client.strength2': 'fair',
+    'client.strength3': 'strong',
+    'client.strength4': 'very strong',
+    'client.strengthHint': ' (at least 8 characters mixing letters, digits or symbols, no leading or trailing spaces)',
+    'client.contentOrFiles': 'Enter some content or choose files',
+    'client.tooManyFiles': 'At most {max} files can be attached',
+    'client.fileTooLarge': 'File {name} is larger than {max}',
+    'client.uploadTooLarge': 'Files and text together are larger than {max}',
+    'client.encryptFiles': 'Attachments cannot be end-to-end encrypted, turn off encryption or remove them',
+    'client.weakPassword': 'The custom password is too weak',
+    'client.contentTooLarge': 'Content is larger than {max}',
+    'client.chooseExpiry': 'Choose an expiry time',
+    'client.chooseRelease': 'Choose a release time',
+    'client.releasedFrom': ' (viewable from {time})',
+    'client.uploaded': 'Shared! Keep the password safe',
+    'client.uploadFailed': 'Upload failed',
+    'client.networkError': 'Network error, please try again later',
+    'client.enterPassword': 'Enter the password',
+    'client.needKey': 'This content is encrypted, enter its decryption key',
+    'client.decryptFailed': 'Decryption failed, check the key',
+    'client.views': '{count}',
+    'client.remainingZero': '0 (the content is now deleted)',
+    'client.locked': 'Not released yet, viewable from {time}',
+    'client.viewFailed': 'Could not load the content',
+    'client.showRaw': 'Show source',
+    'client.showRendered': 'Show rendered',
+    'client.download': 'Download',
+    'client.downloadExpired': 'The download window has passed, the files are deleted',
+    'client.downloadFailed': 'Download failed',
+    'client.copied': 'Copied to the clipboard',
+    'client.copyFailed': 'Copy failed',
+    'client.uploadQueued': 'No network right now, the upload is queued and will be sent once you are back online',
+    'client.queuePending': '{count} upload(s) waiting to be sent',
+    'client.queueRetryLater': '{message}, the upload stays queued and is tried again at {time}',
+    'client.queueExpired': 'A queued upload expired at {time} before it could be sent, it was discarded',
+    'client.queueReleasePassed': 'The release time {time} of a queued upload has passed, it was discarded',
+    'client.historyEmpty': 'Nothing here yet',
+    'client.historyCopy': 'Copy password',
+    'client.historyForget': 'Forget',
+    'client.historyExpiresIn': 'expires in {time}',
+    'client.historyDays': '{days}d {hours}h',
+    'client.historyHours': '{hours}h {minutes}m',
+    'client.historyMinutes': '{minutes}m {seconds}s',
+    'client.historyPending': '{count} new share(s) saved, they show up once the list is unlocked',
+    'client.historyPinTooShort': 'The PIN needs at least {min} characters',
+    'client.historyWrongPin': 'Wrong PIN',
+    'client.historyConfirmForget': 'Forget every share remembered in this browser?',
+
+    'admin.title': 'TempShare - Admin',
+    'admin.heading': 'TempShare Admin',
+    'admin.password': 'Admin password',
+    'admin.login': 'Sign in',
+    'admin.refresh': 'Refresh',
+    'admin.purge': 'Delete all',
+    'admin.logout': 'Sign out',
+    'admin.column.created': 'Created',
+    'admin.column.expires': 'Expires',
+    'admin.column.views': 'Views',
+    'admin.column.size': 'Size',
+    'admin.column.status': 'Status',
+    'admin.column.actions': 'Actions',
+    'admin.stats.total': 'Total',
+    'admin.stats.active': 'Active',
+    'admin.stats.expired': 'Expired',
+    'admin.stats.consumed': 'Burned',
+    'admin.stats.encrypted': 'Encrypted',
+    'admin.stats.views': 'Views',
+    'admin.stats.size': 'Total size',
+    'admin.tag.encrypted': 'Encrypted',
+    'admin.tag.expired': 'Expired',
+    'admin.tag.consumed': 'Burned',
+    'admin.empty': 'Nothing stored',
+    'admin.view': 'View content',
+    'admin.delete': 'Delete',
+    'admin.requestFailed': 'Request failed',
+    'admin.confirmView': 'Reveal this content?',
+    'admin.encryptedPrefix': '[encrypted] ',
+    'admin.confirmDelete': 'Delete this content?',
+    'admin.deleted': 'Deleted',
+    'admin.confirmPurge': 'This deletes everything. Type PURGE to confirm',
+    'admin.purged': 'Deleted {count} pastes',
+    'admin.purgeIncomplete': 'Deleted {count} pastes, some are left, purge again',
+
+    'errorPage.404.title': 'Page not found',
+    'errorPage.404.message': 'The link is invalid, or the content never existed.',
+    'errorPage.410.title': 'Content gone',
+    'errorPage.410.message': 'The content expired, reached its view limit or was deleted.',
+    'errorPage.500.title': 'Server error',
+    'errorPage.500.message': 'The service is temporarily unavailable, please try again later.',
+    'errorPage.home': 'Back to home',
+
+    'error.INVALID_CONTENT_TYPE': 'Invalid Content-Type',
+    'error.INVALID_JSON': 'Invalid JSON',
+    'error.INVALID_FORM_DATA': 'Invalid form data',
+    'error.CONTENT_REQUIRED': 'Content is required',
+    'error.CONTENT_TOO_LARGE': 'Content too large',
+    'error.CONTENT_TOO_LARGE.detail': 'Content too large (max {max})',
+    'error.INVALID_ENCRYPTED_PAYLOAD': 'Invalid encrypted payload',
+    'error.INVALID_EXPIRY': 'Invalid expiry',
+    'error.INVALID_EXPIRY.detail': 'Invalid expiry (1 minute to {hours} hours after the release)',
+    'error.INVALID_NOT_BEFORE': 'Invalid notBefore',
+    'error.INVALID_NOT_BEFORE.detail': 'Invalid notBefore (a future ISO 8601 time at most {hours} hours ahead)',
+    'error.INVALID_FORMAT': 'Invalid format (auto, plain, markdown or a supported language)',
+    'error.FILE_TOO_LARGE': 'File too large',
+    'error.FILE_TOO_LARGE.detail': 'File too large: {name} (max {max})',
+    'error.TOO_MANY_FILES': 'Too many files (max {maxFiles})',
+    'error.INVALID_VIEW_LIMIT': 'Invalid view limit (1-{maxViews})',
+    'error.INVALID_PASSWORD': 'Invalid password format',
+    'error.INVALID_PASSPHRASE': 'Invalid password (1-{maxLength} characters, no control characters)',
+    'error.PASSPHRASE_WHITESPACE': 'Password cannot start or end with whitespace',
+    'error.PASSPHRASE_TOO_WEAK': 'Password too weak (at least {minLength} characters, mix letters, digits or symbols)',
+    'error.INVALID_MANAGE_TOKEN_FORMAT': 'Invalid manage token format',
+    'error.INVALID_API_KEY_SETTINGS': 'Invalid API key settings (name 1-64 characters, rateLimit 1-{maxRateLimit}, maxContentLength 1-{maxContentLength})',
+    'error.UNAUTHORIZED': 'Unauthorized',
+    'error.INVALID_API_KEY': 'Invalid API key',
+    'error.INVALID_MANAGE_TOKEN': 'Invalid manage token',
+    'error.DOWNLOAD_TOKEN_REQUIRED': 'This paste has a view limit, view it before downloading its files',
+    'error.ORIGIN_NOT_ALLOWED': 'Origin not allowed',
+    'error.NOT_FOUND': 'Not found',
+    'error.PASTE_NOT_FOUND': 'Invalid password or content expired',
+    'error.ATTACHMENT_NOT_FOUND': 'Attachment not found',
+    'error.PASSWORD_IN_USE': 'Password already in use, please choose another',
+    'error.EXPIRED': 'Content expired',
+    'error.CONSUMED': 'Content already consumed',
+    'error.LENGTH_REQUIRED': 'Content-Length required for uploads',
+    'error.UPLOAD_TOO_LARGE': 'Upload body too large',
+    'error.UPLOAD_TOO_LARGE.detail': 'Upload body too large (max {max}, send larger files on their own as the request body)',
+    'error.LOCKED': 'Content is locked until its release time',
+    'error.LOCKED.detail': 'Content is locked until {time}',
+    'error.RATE_LIMITED': 'Too many requests, please try again later',
+    'error.TOO_MANY_FAILURES': 'Too many failed attempts, please try again later',
+    'error.SERVER_ERROR': 'Server error',
+    'error.STORAGE_NOT_CONFIGURED': 'Storage not configured',
+    'error.STORAGE_NOT_CONFIGURED.detail': 'Unknown storage backend "{backend}", expected one of: {backends}',
+    'error.INVALID_DATA': 'Invalid data',
+    'error.ADMIN_NOT_CONFIGURED': 'Admin not configured',
+    'error.FILES_NOT_CONFIGURED': 'File attachments not configured'
+  }
+};
+
+// Supported locale for a language tag such as zh, zh-Hans-CN or en-GB, null when none fits
+export function matchLocale(tag) {
+  const language = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  if (language === 'zh') return 'zh-CN';
+  if (language === 'en') return 'en';
+  return null;
+}
+
+// Best supported locale of an Accept-Language header by quality, null when none fits
+export function negotiateLocale(header) {
+  const ranges = String(header || '').split(',').map((part, index) => {
+    const [tag, ...params] = part.split(';');
+    const quality = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+    return { tag, index, quality: quality ? Number(quality[1]) : 1 };
+  });
+
+  ranges.sort((a, b) => b.quality - a.quality || a.index - b.index);
+  const match = ranges.find(range => range.quality > 0 && matchLocale(range.tag));
+  return match ? matchLocale(match.tag) : null;
+}
+
+// Whether a locale has its own message for a key
+export function hasMessage(locale, key) {
+  return Object.prototype.hasOwnProperty.call(MESSAGES[locale] || {}, key);
+}
+
+// Message for a key with its {placeholders} filled, English when the locale lacks it
+export function translate(locale, key, params = {}) {
+  const template = hasMessage(locale, key) ? MESSAGES[locale][key] : MESSAGES.en[key];
+  if (template === undefined) return key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+// Messages under a key prefix, without the prefix (handed to page scripts)
+export function messagesWithPrefix(locale, prefix) {
+  const messages = {};
+  for (const key of Object.keys(MESSAGES.en)) {
+    if (key.startsWith(prefix)) {
+      messages[key.slice(prefix.length)] = translate(locale, key);
+    }
+  }
+  return messages;
+}
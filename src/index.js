@@ -1,8 +1,19 @@
 // Cloudflare Worker - Temporary Content Sharing System
 
-// Security headers for all responses
+import { getStorage, unknownBackend, STORAGE_BACKENDS } from './storage.js';
+import { createRenderer } from './render.js';
+import { homeScript } from './assets/home.js';
+import { adminScript } from './assets/admin.js';
+import { serviceWorker } from './assets/sw.js';
+import homeStyles from './assets/home.css';
+import adminStyles from './assets/admin.css';
+import errorStyles from './assets/error.css';
+import appIcon from './assets/icon.svg';
+import { DEFAULT_LOCALE, LOCALES, LOCALE_NAMES, hasMessage, matchLocale, messagesWithPrefix, negotiateLocale, translate } from './i18n.js';
+
+// Security headers for all responses, HTML pages replace the script sources with a per-request nonce
 const SECURITY_HEADERS = {
-  'Content-Security-Policy': "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'; img-src 'self' data: https:; font-src 'self' data:; connect-src 'self'; frame-ancestors 'none';",
+  'Content-Security-Policy': contentSecurityPolicy("'self'"),
   'X-Frame-Options': 'DENY',
   'X-Content-Type-Options': 'nosniff',
   'X-XSS-Protection': '1; mode=block',
@@ -10,80 +21,767 @@ const SECURITY_HEADERS = {
   'Permissions-Policy': 'geolocation=(), microphone=(), camera=()'
 };
 
-// Rate limiting using KV (simple implementation)
+// Rate limiting (Durable Object, or the storage backend as fallback)
 const RATE_LIMIT_KEY_PREFIX = 'ratelimit:';
 const RATE_LIMIT_MAX_REQUESTS = 10; // Max requests per minute
 const RATE_LIMIT_WINDOW = 60; // 60 seconds
 
+// Failed password lookups, counted per IP apart from the request rate limit
+// Each failure from the FAILURE_THRESHOLD-th on locks the client out, the lockout doubling every time
+const FAILURE_KEY_PREFIX = 'failures:';
+const FAILURE_THRESHOLD = 5;
+const FAILURE_BASE_LOCKOUT = 30; // Seconds
+const FAILURE_MAX_LOCKOUT = 60 * 60;
+const FAILURE_WINDOW = 60 * 60; // Seconds without failures after which a client starts over
+// Spike alarm: failures of all clients per minute (FAILURE_ALARM_THRESHOLD var), reported to ALERT_WEBHOOK_URL
+const FAILURE_GLOBAL_KEY = 'failures:global';
+const FAILURE_ALARM_WINDOW = 60;
+const DEFAULT_FAILURE_ALARM_THRESHOLD = 100;
+
+// Content limits in UTF-8 bytes (MAX_CONTENT_BYTES var overrides the default)
+const DEFAULT_MAX_CONTENT_BYTES = 1024 * 1024; // 1MB
+const GCM_TAG_BYTES = 16; // Ciphertext is the plaintext plus the AES-GCM tag
+
+// Large content is gzipped and split across `chunk:<id>:<n>` entries, small content stays inline in the record
+const CHUNK_KEY_PREFIX = 'chunk:';
+const INLINE_CONTENT_BYTES = 64 * 1024;
+const CHUNK_SIZE = 1000000; // Base64 characters per entry, below D1's 2MB value limit
+
+// View limits
+const MAX_VIEWS_LIMIT = 1000;
+const KV_MIN_TTL = 60; // KV rejects expirationTtl below 60 seconds
+
+// Expiry: any duration up to the MAX_EXPIRY_HOURS var, or an absolute expiresAt; notBefore delays the release
+const DEFAULT_EXPIRY_HOURS = 24;
+const DEFAULT_MAX_EXPIRY_HOURS = 30 * 24; // 30 days
+const HOUR_MS = 60 * 60 * 1000;
+
+// Records are keyed by a one-way derivation of the password, never the password itself
+const RECORD_KEY_PREFIX = 'paste:';
+const PBKDF2_ITERATIONS = 100000; // Highest count the Workers runtime accepts
+const RECORD_KEY_DEFAULT_SALT = 'tempshare-record-key';
+
+// User-chosen passphrases
+const MIN_PASSPHRASE_LENGTH = 8;
+const MAX_PASSPHRASE_LENGTH = 128;
+const MIN_PASSPHRASE_SCORE = 2; // 0-4, see passphraseStrength()
+
+// Paste formats: 'plain', 'markdown' or a language (see render.js), 'auto' detects one from the content
+const renderer = createRenderer();
+const FORMAT_IDS = renderer.formats.map(format => format.id);
+const DEFAULT_FORMAT = 'plain';
+
+// Front-end assets, served as /assets/<name>.<hash>.<ext> and cached for good since the hash follows the content
+// Scripts are sent as the source text of their function (like createRenderer), styles are imported as text
+const ASSET_SOURCES = {
+  'render.js': () => `const TempShareRender = (${createRenderer.toString()})();\n`,
+  'home.js': () => `(${homeScript.toString()})();\n`,
+  'admin.js': () => `(${adminScript.toString()})();\n`,
+  'home.css': () => homeStyles,
+  'admin.css': () => adminStyles,
+  'error.css': () => errorStyles,
+  'icon.svg': () => appIcon
+};
+const ASSET_TYPES = {
+  js: 'text/javascript; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  svg: 'image/svg+xml'
+};
+const ASSET_PATH_PATTERN = /^\/assets\/([a-z]+)\.([0-9a-f]{8})\.(js|css|svg)$/;
+const ASSET_MAX_AGE = 365 * 24 * 60 * 60;
+const assetCache = new Map();
+
+// Installable app: manifest, service worker (cached app shell) and the Web Share Target it registers
+const MANIFEST_PATH = '/manifest.webmanifest';
+const SERVICE_WORKER_PATH = '/sw.js';
+const SHARE_TARGET_PATH = '/share-target';
+const SHELL_ASSETS = ['render.js', 'home.js', 'home.css', 'icon.svg'];
+const APP_BACKGROUND_COLOR = '#1a1a2e';
+
+// Upload bodies: JSON, raw text (`curl --data-binary`) and forms (`curl -d` / `curl -F`)
+// Any other media type with a ?filename= parameter streams the body in as a single file
+const UPLOAD_MEDIA_TYPES = ['application/json', 'text/plain', 'application/x-www-form-urlencoded', 'multipart/form-data'];
+// Those bodies are read whole into the isolate (128MB of memory), so they need a Content-Length within
+// the content limit in its longest encoding plus every attachment, and never more than 32MB
+const MAX_UPLOAD_BODY_BYTES = 32 * 1024 * 1024;
+const UPLOAD_ENCODING_FACTOR = 6; // JSON \u escapes take up to 6 bytes per byte of content
+const UPLOAD_BODY_OVERHEAD = 64 * 1024; // Form boundaries, part headers and the other fields
+
+// File attachments: objects in the FILES R2 bucket under `attachments/<linkId>/<n>`, listed on the record
+const ATTACHMENT_KEY_PREFIX = 'attachments/';
+const MAX_ATTACHMENTS = 10;
+const DEFAULT_MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024; // Per file, the MAX_ATTACHMENT_BYTES var overrides it
+const DOWNLOAD_TOKEN_HEADER = 'X-Download-Token'; // Raw views hand out the download token in this header
+const DOWNLOAD_GRACE_PERIOD = 10 * 60; // Seconds a download token of a counted view stays valid
+const FILE_KEY_LENGTH = 32; // Per-record secret that signs download tokens, never leaves the server
+const ORPHAN_ATTACHMENT_AGE = 60 * 60; // Seconds before objects without a record are swept (uploads in flight)
+
+// Raw read: password travels in a header so it stays out of URLs and logs
+const RAW_PASSWORD_HEADER = 'X-Paste-Password';
+
+// Shareable links: /p/<id> resolves through a `link:<id>` entry to the record key
+const LINK_KEY_PREFIX = 'link:';
+const SHARE_PATH_PATTERN = /^\/p\/([A-Za-z0-9]{16})$/;
+const LINK_GRACE_PERIOD = 7 * 24 * 60 * 60; // Seconds a link outlives its record, answering 410 instead of 404
+
+// Owner manage token (returned once at upload, only its hash is stored)
+const MANAGE_TOKEN_LENGTH = 24;
+
+const MANAGE_API_PREFIX = '/api/manage/';
+
+// Access log: every read of a paste (and every wrong password on its link), shown to the owner
+// Entries keep the country, the client's network (never its full address) and the browser family
+const ACCESS_LOG_KEY_PREFIX = 'accesslog:';
+const ACCESS_LOG_LIMIT = 100; // Newest entries kept per paste
+
+// Admin purge: deletes run PURGE_BATCH_SIZE at a time and at most PURGE_LIMIT per request (each one or two
+// storage and Coordinator calls), keeping a request under the Worker's subrequest limit; the dashboard repeats
+// the request until it reports the purge complete
+const PURGE_BATCH_SIZE = 50;
+const PURGE_LIMIT = 400;
+
+// User-Agent families, first match wins (bots claim browsers, Edge and Opera claim Chrome, Chrome claims Safari)
+const AGENT_FAMILIES = [
+  ['Bot', /bot|crawler|spider|preview/i],
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+  ['curl', /^curl\//],
+  ['Wget', /^Wget\//],
+  ['Node.js', /^node$|undici|node-fetch/i],
+  ['Python', /python/i],
+  ['Go', /^Go-http-client\//]
+];
+
+// Admin API (authenticated with the ADMIN_PASSWORD secret)
+const ADMIN_API_PREFIX = '/api/admin/';
+
+// CORS: browser origins allowed to call the API, from the CORS_ALLOWED_ORIGINS var (comma separated, or *)
+const CORS_ALLOWED_METHODS = 'GET, POST, DELETE, OPTIONS';
+const CORS_EXPOSED_HEADERS = 'X-Views, X-Remaining-Views, X-Expires-At, X-Encrypted, X-Encryption-IV, X-Error-Code, X-Not-Before, X-Format, Retry-After, Content-Disposition, X-Download-Token';
+const CORS_MAX_AGE = 86400; // Seconds a browser may cache a preflight
+
+// API keys: sent in the X-API-Key header, listed in the API_KEYS secret or stored as `apikey:<sha256>` entries
+const API_KEY_HEADER = 'X-API-Key';
+const API_KEY_PREFIX = 'apikey:';
+const API_KEY_RATE_LIMIT = 100; // Requests per minute unless the key sets its own
+const DEFAULT_API_KEY_MAX_CONTENT_BYTES = 10 * 1024 * 1024; // 10MB unless the key or the API_KEY_MAX_CONTENT_BYTES var sets its own
+const API_KEY_MAX_RATE_LIMIT = 10000;
+const API_KEY_MAX_CONTENT_LIMIT = 25 * 1024 * 1024; // 25MB, the most a single key can be granted
+
+// Versioned API: /api/v1/<route> is canonical, the unversioned /api/<route> paths stay as aliases
+const API_V1_PREFIX = '/api/v1/';
+const API_VERSION = '1.0.0';
+
+// Error catalog: every failed API response carries one of these codes next to the message
+// The messages live in the message catalog (src/i18n.js) under error.<CODE>
+const ERRORS = {
+  INVALID_CONTENT_TYPE: { status: 400 },
+  INVALID_JSON: { status: 400 },
+  INVALID_FORM_DATA: { status: 400 },
+  CONTENT_REQUIRED: { status: 400 },
+  CONTENT_TOO_LARGE: { status: 400 },
+  INVALID_ENCRYPTED_PAYLOAD: { status: 400 },
+  INVALID_EXPIRY: { status: 400 },
+  INVALID_NOT_BEFORE: { status: 400 },
+  INVALID_FORMAT: { status: 400 },
+  FILE_TOO_LARGE: { status: 400 },
+  TOO_MANY_FILES: { status: 400 },
+  INVALID_VIEW_LIMIT: { status: 400 },
+  INVALID_PASSWORD: { status: 400 },
+  INVALID_PASSPHRASE: { status: 400 },
+  PASSPHRASE_WHITESPACE: { status: 400 },
+  PASSPHRASE_TOO_WEAK: { status: 400 },
+  INVALID_MANAGE_TOKEN_FORMAT: { status: 400 },
+  INVALID_API_KEY_SETTINGS: { status: 400 },
+  UNAUTHORIZED: { status: 401 },
+  INVALID_API_KEY: { status: 401 },
+  INVALID_MANAGE_TOKEN: { status: 403 },
+  DOWNLOAD_TOKEN_REQUIRED: { status: 403 },
+  ORIGIN_NOT_ALLOWED: { status: 403 },
+  NOT_FOUND: { status: 404 },
+  PASTE_NOT_FOUND: { status: 404 },
+  ATTACHMENT_NOT_FOUND: { status: 404 },
+  PASSWORD_IN_USE: { status: 409 },
+  EXPIRED: { status: 410 },
+  CONSUMED: { status: 410 },
+  LENGTH_REQUIRED: { status: 411 },
+  UPLOAD_TOO_LARGE: { status: 413 },
+  LOCKED: { status: 423 },
+  RATE_LIMITED: { status: 429 },
+  TOO_MANY_FAILURES: { status: 429 },
+  SERVER_ERROR: { status: 500 },
+  STORAGE_NOT_CONFIGURED: { status: 500 },
+  INVALID_DATA: { status: 500 },
+  ADMIN_NOT_CONFIGURED: { status: 503 },
+  FILES_NOT_CONFIGURED: { status: 503 }
+};
+
+// Limits quoted by the error messages
+const ERROR_MESSAGE_PARAMS = {
+  maxFiles: MAX_ATTACHMENTS,
+  maxViews: MAX_VIEWS_LIMIT,
+  maxLength: MAX_PASSPHRASE_LENGTH,
+  minLength: MIN_PASSPHRASE_LENGTH,
+  maxRateLimit: API_KEY_MAX_RATE_LIMIT,
+  maxContentLength: API_KEY_MAX_CONTENT_LIMIT
+};
+
+// Languages: pages follow ?lang=, the lang cookie set by the page switch, then Accept-Language
+// The API answers English unless ?lang= or Accept-Language asks for another language
+const LOCALE_COOKIE = 'lang';
+const LOCALE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+const API_LOCALE = 'en';
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
-    const path = url.pathname;
+    // Both API generations share the handlers below
+    const path = url.pathname.startsWith(API_V1_PREFIX)
+      ? '/api/' + url.pathname.slice(API_V1_PREFIX.length)
+      : url.pathname;
+
+    const locale = pageLocale(request, url);
 
     // Route handling
     if (path === '/' && request.method === 'GET') {
-      return handleHomePage();
+      return withPageLocale(handleHomePage({
+        maxContentBytes: contentLimit(env),
+        maxFileBytes: env.FILES ? attachmentLimit(env) : 0,
+        maxUploadBytes: uploadBodyLimit(env, contentLimit(env), 'multipart/form-data'),
+        locale
+      }), url, locale);
+    }
+
+    const shareMatch = path.match(SHARE_PATH_PATTERN);
+    if (shareMatch && request.method === 'GET') {
+      return withPageLocale(await handleSharePage(env, shareMatch[1], locale), url, locale);
+    }
+
+    // Shared from another app before the service worker took over, the text comes to the server instead
+    if (path === SHARE_TARGET_PATH && request.method === 'POST') {
+      return withPageLocale(handleHomePage({
+        maxContentBytes: contentLimit(env),
+        maxFileBytes: env.FILES ? attachmentLimit(env) : 0,
+        maxUploadBytes: uploadBodyLimit(env, contentLimit(env), 'multipart/form-data'),
+        locale,
+        sharedText: await readSharedText(request)
+      }), url, locale);
+    }
+
+    if (path === MANIFEST_PATH && request.method === 'GET') {
+      return handleManifest(locale);
+    }
+
+    if (path === SERVICE_WORKER_PATH && request.method === 'GET') {
+      return handleServiceWorker();
     }
 
-    if (path === '/api/upload' && request.method === 'POST') {
-      return handleUpload(request, env);
+    if (path === '/admin' && request.method === 'GET') {
+      return withPageLocale(handleAdminPage(locale), url, locale);
     }
 
-    if (path === '/api/view' && request.method === 'POST') {
-      return handleView(request, env);
+    const assetMatch = path.match(ASSET_PATH_PATTERN);
+    if (assetMatch && request.method === 'GET' && ASSET_SOURCES[`${assetMatch[1]}.${assetMatch[3]}`]) {
+      return handleAsset(`${assetMatch[1]}.${assetMatch[3]}`, assetMatch[2]);
     }
 
-    return new Response('Not Found', { status: 404, headers: SECURITY_HEADERS });
+    if (path.startsWith('/api/')) {
+      if (request.method === 'OPTIONS') {
+        return handlePreflight(request, env);
+      }
+      return withCors(localizeError(await handleApi(request, env, url, path), apiLocale(request, url)), request, env);
+    }
+
+    return withPageLocale(handleErrorPage(404, locale), url, locale);
+  },
+
+  // Cron trigger: sweep records the storage will not expire on its own
+  async scheduled(event, env, ctx) {
+    if (!getStorage(env)) return;
+    ctx.waitUntil(sweepStorage(env));
   }
 };
 
+// API: Route a request under /api/ (path already has the version prefix removed)
+async function handleApi(request, env, url, path) {
+  // A mistyped STORAGE_BACKEND is a configuration error, name it instead of using another store
+  const backend = unknownBackend(env);
+  if (backend !== null) {
+    console.error(`Unknown STORAGE_BACKEND "${backend}"`);
+    const params = { backend, backends: STORAGE_BACKENDS.join(', ') };
+    return path === '/api/raw' ? textErrorResponse('STORAGE_NOT_CONFIGURED', params) : errorResponse('STORAGE_NOT_CONFIGURED', params);
+  }
+
+  if (path === '/api/upload' && request.method === 'POST') {
+    return handleUpload(request, env);
+  }
+
+  if (path === '/api/view' && request.method === 'POST') {
+    return handleView(request, env);
+  }
+
+  if (path === '/api/raw' && request.method === 'GET') {
+    return handleRaw(request, env);
+  }
+
+  if (path === '/api/file' && request.method === 'POST') {
+    return handleFile(request, env);
+  }
+
+  if (url.pathname === API_V1_PREFIX + 'openapi.json' && request.method === 'GET') {
+    return jsonResponse(buildOpenApiSpec(url.origin, env));
+  }
+
+  if (path.startsWith(MANAGE_API_PREFIX) && request.method === 'POST') {
+    return handleManage(request, env, path.slice(MANAGE_API_PREFIX.length));
+  }
+
+  if (path.startsWith(ADMIN_API_PREFIX)) {
+    return handleAdminApi(request, env, path.slice(ADMIN_API_PREFIX.length));
+  }
+
+  return errorResponse('NOT_FOUND');
+}
+
+// API: CORS preflight, answered for allowlisted origins only
+function handlePreflight(request, env) {
+  const origin = request.headers.get('Origin');
+  if (!origin || !isAllowedOrigin(origin, env)) {
+    return errorResponse('ORIGIN_NOT_ALLOWED');
+  }
+
+  return new Response(null, {
+    status: 204,
+    headers: {
+      ...corsHeaders(origin),
+      'Access-Control-Allow-Methods': CORS_ALLOWED_METHODS,
+      'Access-Control-Allow-Headers': request.headers.get('Access-Control-Request-Headers') || 'Content-Type',
+      'Access-Control-Max-Age': String(CORS_MAX_AGE),
+      ...SECURITY_HEADERS
+    }
+  });
+}
+
+// Utility: Whether the CORS_ALLOWED_ORIGINS var lets `origin` call the API
+function isAllowedOrigin(origin, env) {
+  const allowed = (env.CORS_ALLOWED_ORIGINS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  return allowed.includes('*') || allowed.includes(origin);
+}
+
+// Utility: CORS headers for an allowed origin (echoed back, no credentials are involved)
+function corsHeaders(origin) {
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Expose-Headers': CORS_EXPOSED_HEADERS,
+    'Vary': 'Origin'
+  };
+}
+
+// Utility: Add CORS headers to an API response when the request comes from an allowed origin
+function withCors(response, request, env) {
+  const origin = request.headers.get('Origin');
+  if (origin && isAllowedOrigin(origin, env)) {
+    for (const [name, value] of Object.entries(corsHeaders(origin))) {
+      response.headers.set(name, value);
+    }
+  } else if (env.CORS_ALLOWED_ORIGINS) {
+    response.headers.set('Vary', 'Origin');
+  }
+  return response;
+}
+
+// Utility: Language of a page: ?lang=, the cookie left by the language switch, Accept-Language, then the default
+function pageLocale(request, url) {
+  return matchLocale(url.searchParams.get('lang')) ||
+    matchLocale(getCookie(request, LOCALE_COOKIE)) ||
+    negotiateLocale(request.headers.get('Accept-Language')) ||
+    DEFAULT_LOCALE;
+}
+
+// Utility: Language of API error messages, English unless the caller asks for another
+function apiLocale(request, url) {
+  return matchLocale(url.searchParams.get('lang')) || negotiateLocale(request.headers.get('Accept-Language')) || API_LOCALE;
+}
+
+// Utility: Label a page with its language, remembering a ?lang= choice in a cookie
+function withPageLocale(response, url, locale) {
+  response.headers.set('Content-Language', locale);
+  if (matchLocale(url.searchParams.get('lang'))) {
+    response.headers.append('Set-Cookie', `${LOCALE_COOKIE}=${locale}; Path=/; Max-Age=${LOCALE_COOKIE_MAX_AGE}; SameSite=Lax; Secure`);
+  }
+  return response;
+}
+
+// Utility: Value of a request cookie, null when absent
+function getCookie(request, name) {
+  for (const part of (request.headers.get('Cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return value.join('=');
+  }
+  return null;
+}
+
 // Utility: Get client IP (use CF-Connecting-IP if available)
 function getClientIp(request) {
   return request.headers.get('CF-Connecting-IP') || 'unknown';
 }
 
-// Utility: Check rate limit
-async function checkRateLimit(ip, env) {
-  if (!env.CONTENT_KV) return true; // Skip if KV not configured
+// Utility: Network of a client address for the access log, IPv4 cut to /24 and IPv6 to /48
+function truncateIp(ip) {
+  const mapped = ip.match(/^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i);
+  if (mapped) return truncateIp(mapped[1]);
+
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) {
+    return `${ip.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  if (/^[0-9a-f:]+$/i.test(ip) && ip.includes(':')) {
+    const [head, tail] = ip.split('::');
+    const left = head ? head.split(':') : [];
+    const right = tail ? tail.split(':') : [];
+    const groups = tail === undefined ? left : [...left, ...Array(Math.max(8 - left.length - right.length, 0)).fill('0'), ...right];
+    return `${groups.slice(0, 3).map(group => parseInt(group || '0', 16).toString(16)).join(':')}::/48`;
+  }
+
+  return null;
+}
+
+// Utility: Browser or client family of a User-Agent header (null when the header is missing)
+function agentFamily(userAgent) {
+  if (!userAgent) return null;
+  const family = AGENT_FAMILIES.find(([, pattern]) => pattern.test(userAgent));
+  return family ? family[0] : 'Other';
+}
+
+// Utility: Send a request to the Durable Object instance owning `name`
+async function callCoordinator(env, name, action, payload) {
+  const stub = env.COORDINATOR.get(env.COORDINATOR.idFromName(name));
+  const response = await stub.fetch(`https://coordinator/${action}`, {
+    method: 'POST',
+    body: JSON.stringify(payload)
+  });
+  if (!response.ok) {
+    throw new Error(`Coordinator ${action} failed: ${response.status}`);
+  }
+  return response.json();
+}
+
+// Utility: Check rate limit for a client (an IP, or `key:<id>` for API key holders)
+// Atomic token bucket in the COORDINATOR Durable Object when bound, storage window otherwise
+// Returns { allowed, retryAfter } with the seconds until the next request is allowed
+async function checkRateLimit(ip, env, capacity = RATE_LIMIT_MAX_REQUESTS) {
+  if (env.COORDINATOR) {
+    try {
+      const result = await callCoordinator(env, RATE_LIMIT_KEY_PREFIX + ip, 'ratelimit', {
+        capacity,
+        window: RATE_LIMIT_WINDOW
+      });
+      return { allowed: result.allowed, retryAfter: result.retryAfter };
+    } catch (error) {
+      console.error('Rate limit error:', error);
+      return { allowed: true }; // Allow request if rate limit check fails
+    }
+  }
+
+  if (!getStorage(env)) return { allowed: true }; // Skip if storage not configured
 
   const key = RATE_LIMIT_KEY_PREFIX + ip;
   const now = Date.now();
   const windowStart = now - (RATE_LIMIT_WINDOW * 1000);
 
   try {
-    const data = await env.CONTENT_KV.get(key, { type: 'json' });
+    const data = await getStorage(env).get(key, { type: 'json' });
     
     if (!data) {
       // First request in window
-      await env.CONTENT_KV.put(key, JSON.stringify({ count: 1, windowStart }), {
+      await getStorage(env).put(key, JSON.stringify({ count: 1, windowStart: now }), {
         expirationTtl: RATE_LIMIT_WINDOW
       });
-      return true;
+      return { allowed: true };
     }
 
     // Check if window has expired
     if (data.windowStart < windowStart) {
       // Reset for new window
-      await env.CONTENT_KV.put(key, JSON.stringify({ count: 1, windowStart: now }), {
+      await getStorage(env).put(key, JSON.stringify({ count: 1, windowStart: now }), {
         expirationTtl: RATE_LIMIT_WINDOW
       });
-      return true;
+      return { allowed: true };
     }
 
     // Check if limit exceeded
-    if (data.count >= RATE_LIMIT_MAX_REQUESTS) {
-      return false;
+    if (data.count >= capacity) {
+      return { allowed: false, retryAfter: Math.ceil((data.windowStart - windowStart) / 1000) };
     }
 
     // Increment counter
     data.count++;
-    await env.CONTENT_KV.put(key, JSON.stringify(data), {
+    await getStorage(env).put(key, JSON.stringify(data), {
       expirationTtl: RATE_LIMIT_WINDOW
     });
-    return true;
+    return { allowed: true };
   } catch (error) {
     console.error('Rate limit error:', error);
-    return true; // Allow request if rate limit check fails
+    return { allowed: true }; // Allow request if rate limit check fails
+  }
+}
+
+// Utility: Seconds a client is still locked out of password lookups (0 when it is not)
+async function checkLockout(ip, env) {
+  try {
+    if (env.COORDINATOR) {
+      const result = await callCoordinator(env, FAILURE_KEY_PREFIX + ip, 'lockout', {});
+      return result.retryAfter;
+    }
+
+    if (!getStorage(env)) return 0;
+    const state = await getStorage(env).get(FAILURE_KEY_PREFIX + ip, { type: 'json' });
+    return lockoutSeconds(state, Date.now());
+  } catch (error) {
+    console.error('Lockout check error:', error);
+    return 0; // Allow lookup if the check fails
+  }
+}
+
+// Utility: Record a failed password lookup of a client, counted towards its lockout and the spike alarm
+async function recordFailure(ip, env) {
+  try {
+    if (env.COORDINATOR) {
+      await callCoordinator(env, FAILURE_KEY_PREFIX + ip, 'failure', {});
+    } else if (getStorage(env)) {
+      const key = FAILURE_KEY_PREFIX + ip;
+      const now = Date.now();
+      const state = addFailure(await getStorage(env).get(key, { type: 'json' }), now);
+      await getStorage(env).put(key, JSON.stringify(state), {
+        expirationTtl: Math.max(FAILURE_WINDOW, lockoutSeconds(state, now))
+      });
+    }
+
+    await tallyFailure(env);
+  } catch (error) {
+    console.error('Failure tracking error:', error);
+  }
+}
+
+// Utility: Failure counter of one client after another failure at `now`
+function addFailure(state, now) {
+  const count = state && now - state.lastFailure < FAILURE_WINDOW * 1000 ? state.count + 1 : 1;
+  const next = { count, lastFailure: now };
+
+  if (count >= FAILURE_THRESHOLD) {
+    const lockout = Math.min(FAILURE_BASE_LOCKOUT * 2 ** (count - FAILURE_THRESHOLD), FAILURE_MAX_LOCKOUT);
+    next.lockedUntil = now + lockout * 1000;
+  }
+  return next;
+}
+
+// Utility: Seconds left on a failure counter's lockout
+function lockoutSeconds(state, now) {
+  return state && state.lockedUntil > now ? Math.ceil((state.lockedUntil - now) / 1000) : 0;
+}
+
+// Utility: Count a failure across all clients, raising the alarm once per window when the threshold is crossed
+async function tallyFailure(env) {
+  const threshold = readLimit(env.FAILURE_ALARM_THRESHOLD, DEFAULT_FAILURE_ALARM_THRESHOLD);
+  let count;
+
+  if (env.COORDINATOR) {
+    ({ count } = await callCoordinator(env, FAILURE_GLOBAL_KEY, 'tally', { window: FAILURE_ALARM_WINDOW }));
+  } else if (getStorage(env)) {
+    // Not atomic, close enough for an alarm
+    const now = Date.now();
+    const windowStart = now - (now % (FAILURE_ALARM_WINDOW * 1000));
+    const tally = await getStorage(env).get(FAILURE_GLOBAL_KEY, { type: 'json' });
+    count = tally && tally.windowStart === windowStart ? tally.count + 1 : 1;
+    await getStorage(env).put(FAILURE_GLOBAL_KEY, JSON.stringify({ count, windowStart }), {
+      expirationTtl: Math.max(FAILURE_ALARM_WINDOW, KV_MIN_TTL)
+    });
+  }
+
+  if (count === threshold) {
+    await raiseFailureAlarm(env, count);
+  }
+}
+
+// Utility: Report a spike of failed lookups to the log and the ALERT_WEBHOOK_URL var
+async function raiseFailureAlarm(env, count) {
+  const message = `TempShare: ${count} failed password lookups within ${FAILURE_ALARM_WINDOW} seconds`;
+  console.error('Failed lookup spike:', message);
+
+  if (!env.ALERT_WEBHOOK_URL) return;
+  try {
+    await fetch(env.ALERT_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: message, count, window: FAILURE_ALARM_WINDOW, at: new Date().toISOString() })
+    });
+  } catch (error) {
+    console.error('Alert webhook error:', error);
+  }
+}
+
+// Utility: Tell a 429 client when to come back
+function withRetryAfter(response, seconds) {
+  if (seconds > 0) {
+    response.headers.set('Retry-After', String(seconds));
+  }
+  return response;
+}
+
+// Utility: Identify the caller by API key or IP and apply its rate limit
+// Returns { caller: { id, ip, rateLimit, maxContentLength } } or { error, retryAfter } with an error code
+async function admitRequest(request, env) {
+  const ip = getClientIp(request);
+  const apiKey = request.headers.get(API_KEY_HEADER);
+  let caller = { id: ip, ip, rateLimit: RATE_LIMIT_MAX_REQUESTS, maxContentLength: contentLimit(env) };
+
+  if (apiKey) {
+    const key = await findApiKey(env, apiKey);
+    if (!key) {
+      // Wrong keys spend the IP budget, so guessing is as slow as anonymous use
+      const limit = await checkRateLimit(ip, env);
+      return limit.allowed ? { error: 'INVALID_API_KEY' } : { error: 'RATE_LIMITED', retryAfter: limit.retryAfter };
+    }
+    caller = {
+      id: `key:${key.id}`,
+      ip,
+      rateLimit: key.rateLimit || API_KEY_RATE_LIMIT,
+      maxContentLength: key.maxContentLength || apiKeyContentLimit(env)
+    };
+  }
+
+  const limit = await checkRateLimit(caller.id, env, caller.rateLimit);
+  if (!limit.allowed) {
+    return { error: 'RATE_LIMITED', retryAfter: limit.retryAfter };
+  }
+  return { caller };
+}
+
+// Utility: Positive integer limit from a var, or the default
+function readLimit(value, fallback) {
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit > 0 ? limit : fallback;
+}
+
+// Utility: Content limit in bytes for anonymous callers
+function contentLimit(env) {
+  return readLimit(env.MAX_CONTENT_BYTES, DEFAULT_MAX_CONTENT_BYTES);
+}
+
+// Utility: Content limit in bytes for API keys without their own limit
+function apiKeyContentLimit(env) {
+  return readLimit(env.API_KEY_MAX_CONTENT_BYTES, DEFAULT_API_KEY_MAX_CONTENT_BYTES);
+}
+
+// Utility: Size limit of a single attachment in bytes
+function attachmentLimit(env) {
+  return readLimit(env.MAX_ATTACHMENT_BYTES, DEFAULT_MAX_ATTACHMENT_BYTES);
+}
+
+// Utility: Size limit of an upload body that is read whole, in bytes (files only count in multipart forms)
+function uploadBodyLimit(env, maxContentLength, mediaType) {
+  const files = mediaType === 'multipart/form-data' ? MAX_ATTACHMENTS * attachmentLimit(env) : 0;
+  return Math.min(maxContentLength * UPLOAD_ENCODING_FACTOR + files + UPLOAD_BODY_OVERHEAD, MAX_UPLOAD_BODY_BYTES);
+}
+
+// Utility: Look up an API key, in the API_KEYS secret first, then in storage
+// Returns { id, name, rateLimit?, maxContentLength? } or null; id is the key's SHA-256, the key itself is never stored
+async function findApiKey(env, apiKey) {
+  if (!validateString(apiKey, 1, 256)) return null;
+  const id = await sha256Hex(apiKey);
+
+  const secretKeys = (env.API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  for (const secretKey of secretKeys) {
+    if (await timingSafeEqual(apiKey, secretKey)) {
+      return { id, name: 'API_KEYS' };
+    }
+  }
+
+  const stored = await getStorage(env).get(API_KEY_PREFIX + id, { type: 'json' });
+  return stored ? { ...stored, id } : null;
+}
+
+// Utility: Count a view of a record, returns the new total
+// The COORDINATOR Durable Object serializes concurrent reads, the storage alone can lose counts
+async function countView(env, key, data) {
+  if (!env.COORDINATOR) {
+    return (data.views || 0) + 1;
+  }
+
+  // createdAt keeps a reused passphrase from inheriting an old counter
+  const result = await callCoordinator(env, `${key}:${data.createdAt}`, 'view', {
+    initial: data.views || 0,
+    expiresAt: data.expiresAt
+  });
+  return result.views;
+}
+
+// Utility: Add `entry` to the access log of a record, without one the log only follows the record's expiry
+// The COORDINATOR Durable Object keeps concurrent entries, the storage alone can lose some
+async function updateAccessLog(env, data, entry) {
+  const name = ACCESS_LOG_KEY_PREFIX + data.linkId;
+  if (env.COORDINATOR) {
+    await callCoordinator(env, name, 'access', { entry, limit: ACCESS_LOG_LIMIT, expiresAt: data.expiresAt });
+    return;
+  }
+
+  const entries = (await getStorage(env).get(name, { type: 'json' })) || [];
+  if (entry) entries.push(entry);
+  await getStorage(env).put(name, JSON.stringify(entries.slice(-ACCESS_LOG_LIMIT)), {
+    expiration: recordExpiration(data)
+  });
+}
+
+// Utility: Access log of a link, oldest entry first
+async function readAccessLog(env, linkId) {
+  const name = ACCESS_LOG_KEY_PREFIX + linkId;
+  if (env.COORDINATOR) {
+    return (await callCoordinator(env, name, 'accesslog', {})).entries;
+  }
+  return (await getStorage(env).get(name, { type: 'json' })) || [];
+}
+
+// Utility: Drop the access log of a link
+async function deleteAccessLog(env, linkId) {
+  const name = ACCESS_LOG_KEY_PREFIX + linkId;
+  if (env.COORDINATOR) {
+    await callCoordinator(env, name, 'forget', {});
+    return;
+  }
+  await getStorage(env).delete(name);
+}
+
+// Utility: Log a read attempt against the paste it targeted, never fails the request itself
+// `outcome` carries the record once the password matched, a wrong password only counts when it came through the paste's link
+async function logAccess(env, request, action, linkId, outcome) {
+  try {
+    let { data } = outcome;
+    if (!data && outcome.error === 'PASTE_NOT_FOUND' && typeof linkId === 'string') {
+      const link = await getStorage(env).get(LINK_KEY_PREFIX + linkId, { type: 'json' });
+      const linked = link && await getStorage(env).get(link.key, { type: 'json' });
+      data = linked && linked.linkId === linkId ? linked : null;
+    }
+
+    // Legacy records have no link id, expired ones are on their way out
+    if (!data || !data.linkId || new Date(data.expiresAt) < new Date()) return;
+
+    const entry = {
+      at: new Date().toISOString(),
+      action,
+      success: !outcome.error,
+      ...(outcome.error && { code: outcome.error }),
+      country: request.headers.get('CF-IPCountry') || null,
+      network: truncateIp(getClientIp(request)),
+      agent: agentFamily(request.headers.get('User-Agent'))
+    };
+
+    await updateAccessLog(env, data, entry);
+  } catch (error) {
+    console.error('Access log error:', error);
   }
 }
 
@@ -100,10 +798,71 @@ function validateToken(token) {
   return /^[A-Za-z0-9]+$/.test(token);
 }
 
-// Utility: Validate password format (alphanumeric only)
+// Utility: Validate password format (generated password or custom passphrase)
 function validatePassword(password) {
-  if (!validateString(password, 16, 16)) return false;
-  return /^[A-Za-z0-9]+$/.test(password);
+  if (!validateString(password, 1, MAX_PASSPHRASE_LENGTH)) return false;
+  return !/[\x00-\x1F\x7F]/.test(password);
+}
+
+// Utility: Check whether a password has the generated format (16 alphanumeric characters)
+function isGeneratedPassword(password) {
+  return /^[A-Za-z0-9]{16}$/.test(password);
+}
+
+// Utility: Rough passphrase strength score from 0 (weak) to 4 (strong)
+// Mirrored by the strength meter in the upload form
+function passphraseStrength(passphrase) {
+  const chars = Array.from(passphrase);
+  let score = 0;
+
+  if (chars.length >= MIN_PASSPHRASE_LENGTH) score++;
+  if (chars.length >= 12) score++;
+  if (chars.length >= 20) score++;
+
+  let classes = 0;
+  if (/[a-z]/.test(passphrase)) classes++;
+  if (/[A-Z]/.test(passphrase)) classes++;
+  if (/[0-9]/.test(passphrase)) classes++;
+  if (/[^A-Za-z0-9]/.test(passphrase)) classes++;
+  if (classes >= 2) score++;
+  if (classes >= 3) score++;
+
+  // Mostly repeated characters
+  if (new Set(chars).size < chars.length / 3) score--;
+
+  return Math.max(0, Math.min(score, 4));
+}
+
+// Utility: Validate a user-chosen passphrase, returns an error code or null
+function checkPassphrase(passphrase) {
+  if (!validatePassword(passphrase)) {
+    return 'INVALID_PASSPHRASE';
+  }
+  if (passphrase.trim() !== passphrase) {
+    return 'PASSPHRASE_WHITESPACE';
+  }
+  if (Array.from(passphrase).length < MIN_PASSPHRASE_LENGTH || passphraseStrength(passphrase) < MIN_PASSPHRASE_SCORE) {
+    return 'PASSPHRASE_TOO_WEAK';
+  }
+  return null;
+}
+
+// Utility: Validate base64 string (encrypted content, length is checked by parseContent)
+function validateBase64(input) {
+  if (!validateString(input, 4, Infinity)) return false;
+  return input.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(input);
+}
+
+// Utility: Validate AES-GCM IV (12 bytes, base64 encoded)
+function validateIv(iv) {
+  if (!validateString(iv, 16, 16)) return false;
+  return /^[A-Za-z0-9+/]+$/.test(iv);
+}
+
+// Utility: Validate manage token format (alphanumeric only)
+function validateManageToken(token) {
+  if (!validateString(token, MANAGE_TOKEN_LENGTH, MANAGE_TOKEN_LENGTH)) return false;
+  return /^[A-Za-z0-9]+$/.test(token);
 }
 
 // Utility: Validate Content-Type header
@@ -113,6 +872,167 @@ function validateContentType(request) {
   return contentType.includes('application/json');
 }
 
+// Utility: Media type of the request body, lowercased without parameters
+function getMediaType(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  return contentType.split(';')[0].trim().toLowerCase();
+}
+
+// Utility: Parse an upload body (JSON, plain text, urlencoded or multipart form, or a single streamed file)
+// Returns { body, attachments } with the body shaped like the JSON API, or { error, params } with an error code
+// File bodies are left unread, they are streamed into R2 once the rest of the upload is validated
+async function parseUploadBody(request, env, maxContentLength) {
+  const mediaType = getMediaType(request);
+
+  // Refused before any of it is read: a body without a length, or longer than it may be
+  if (UPLOAD_MEDIA_TYPES.includes(mediaType)) {
+    const length = request.headers.get('Content-Length');
+    if (!/^\d+$/.test(length || '')) {
+      return { error: 'LENGTH_REQUIRED' };
+    }
+    const limit = uploadBodyLimit(env, maxContentLength, mediaType);
+    if (Number(length) > limit) {
+      return { error: 'UPLOAD_TOO_LARGE', params: { max: formatSize(limit) } };
+    }
+  }
+
+  if (mediaType === 'application/json') {
+    try {
+      return { body: await request.json(), attachments: [] };
+    } catch (error) {
+      return { error: 'INVALID_JSON' };
+    }
+  }
+
+  // Non-JSON bodies take their options from the query string and form fields
+  const fields = Object.fromEntries(new URL(request.url).searchParams);
+  const attachments = [];
+
+  if (mediaType === 'text/plain') {
+    fields.content = await request.text();
+  } else if (UPLOAD_MEDIA_TYPES.includes(mediaType)) {
+    let form;
+    try {
+      form = await request.formData();
+    } catch (error) {
+      return { error: 'INVALID_FORM_DATA' };
+    }
+    for (const [name, value] of form) {
+      // `curl -F file=@shot.png` attaches a file, `curl -F content=@notes.txt` sends the text as a File part
+      if (name === 'file' && typeof value !== 'string') {
+        attachments.push({ name: sanitizeFilename(value.name), type: sanitizeMediaType(value.type), size: value.size, body: value });
+      } else {
+        fields[name] = typeof value === 'string' ? value : await value.text();
+      }
+    }
+  } else {
+    // R2 needs the length of a streamed body up front
+    const length = request.headers.get('Content-Length');
+    if (!/^\d+$/.test(length || '')) {
+      return { error: 'LENGTH_REQUIRED' };
+    }
+    attachments.push({ name: sanitizeFilename(fields.filename), type: sanitizeMediaType(mediaType), size: Number(length), body: request.body });
+  }
+
+  return {
+    body: {
+      content: fields.content,
+      expiryHours: parseFormNumber(fields.expiryHours),
+      expiresAt: fields.expiresAt,
+      notBefore: fields.notBefore,
+      format: fields.format,
+      maxViews: parseFormInteger(fields.maxViews),
+      password: fields.password,
+      encrypted: fields.encrypted === 'true',
+      iv: fields.iv
+    },
+    attachments
+  };
+}
+
+// Utility: File name without directories or control characters, as stored and sent back on download
+function sanitizeFilename(name) {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\x00-\x1F\x7F]/g, '').trim();
+  return base.slice(0, 255) || 'file';
+}
+
+// Utility: A well-formed media type, or application/octet-stream
+function sanitizeMediaType(type) {
+  const mediaType = String(type || '').split(';')[0].trim().toLowerCase();
+  return /^[a-z0-9][\w.+-]*\/[a-z0-9][\w.+-]*$/.test(mediaType) ? mediaType : 'application/octet-stream';
+}
+
+// Utility: Check the files of an upload against the bucket binding and the limits
+// Returns null, or { error, params } with an error code
+function checkAttachments(env, attachments) {
+  if (attachments.length === 0) return null;
+  if (!env.FILES) return { error: 'FILES_NOT_CONFIGURED' };
+  if (attachments.length > MAX_ATTACHMENTS) return { error: 'TOO_MANY_FILES' };
+
+  const limit = attachmentLimit(env);
+  const tooLarge = attachments.find(file => file.size > limit);
+  if (tooLarge) {
+    return { error: 'FILE_TOO_LARGE', params: { name: tooLarge.name, max: formatSize(limit) } };
+  }
+  return null;
+}
+
+// Utility: Stream the files of an upload into R2, returns their entries for the record
+async function storeAttachments(env, linkId, attachments) {
+  const stored = [];
+  for (const [index, file] of attachments.entries()) {
+    const key = `${ATTACHMENT_KEY_PREFIX}${linkId}/${index}`;
+    const object = await env.FILES.put(key, file.body, {
+      httpMetadata: { contentType: file.type },
+      customMetadata: { name: file.name }
+    });
+    stored.push({ name: file.name, type: file.type, size: object.size, key });
+  }
+  return stored;
+}
+
+// Utility: Remove the R2 objects of a record's attachments
+async function deleteAttachments(env, attachments) {
+  if (!attachments || !attachments.length || !env.FILES) return;
+  await env.FILES.delete(attachments.map(attachment => attachment.key));
+}
+
+// Utility: Every attachment object in the bucket (follows pagination)
+async function listAttachmentObjects(env) {
+  const objects = [];
+  let cursor;
+  do {
+    const page = await env.FILES.list({ prefix: ATTACHMENT_KEY_PREFIX, cursor });
+    objects.push(...page.objects);
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  return objects;
+}
+
+// Utility: Whether a record still needs its files (live, or burned with a download grant still open)
+function keepsAttachments(data, now) {
+  if (new Date(data.expiresAt).getTime() <= now) return false;
+  return !data.consumed || !!(data.filesUntil && new Date(data.filesUntil).getTime() > now);
+}
+
+// Utility: Content-Disposition that gives back the original name (RFC 6266, ASCII fallback plus UTF-8)
+function contentDisposition(name) {
+  const fallback = name.replace(/[^\x20-\x7E]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+// Utility: Integer form field, undefined when missing or not a whole number
+function parseFormInteger(value) {
+  if (value === undefined || !/^-?\d+$/.test(value)) return undefined;
+  return Number(value);
+}
+
+// Utility: Numeric form field, the raw text when it is not a number (so validation rejects it)
+function parseFormNumber(value) {
+  if (value === undefined || !/^-?\d+(\.\d+)?$/.test(value)) return value;
+  return Number(value);
+}
+
 // Utility: Sanitize content (remove null bytes and control characters)
 function sanitizeContent(content) {
   // Remove null bytes and other control characters except newlines and tabs
@@ -136,57 +1056,933 @@ function generateToken(length = 16) {
   return generatePassword(length);
 }
 
-// Utility: Escape HTML special characters to prevent XSS
-function escapeHtml(unsafe) {
-  if (typeof unsafe !== 'string') return '';
-  return unsafe
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
-}
+// Utility: Validate and sanitize the content fields of a request body
+// The byte limit depends on the caller (API keys can raise it), a too large body also returns the limit in params
+// `format` is undefined when the body leaves it out
+function parseContent(body, maxContentBytes) {
+  const { content, encrypted, iv, format } = body;
 
-// Utility: JSON response with security headers
-function jsonResponse(data, status = 200) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: {
-      'Content-Type': 'application/json; charset=utf-8',
-      ...SECURITY_HEADERS
-    }
-  });
-}
+  if (!content || typeof content !== 'string') {
+    return { error: 'CONTENT_REQUIRED' };
+  }
 
-// Utility: HTML response with security headers
-function htmlResponse(html) {
-  return new Response(html, {
-    headers: {
-      'Content-Type': 'text/html; charset=utf-8',
+  const isEncrypted = encrypted === true;
+
+  // Size limit in UTF-8 bytes (ciphertext is base64 and carries the GCM tag)
+  const size = isEncrypted ? base64ByteLength(content) - GCM_TAG_BYTES : utf8Length(content);
+  if (size > maxContentBytes) {
+    return { error: 'CONTENT_TOO_LARGE', params: { max: formatSize(maxContentBytes) } };
+  }
+
+  if (!isOmitted(format) && format !== 'auto' && !FORMAT_IDS.includes(format)) {
+    return { error: 'INVALID_FORMAT' };
+  }
+
+  // Encrypted content is opaque to the Worker, only its encoding is checked (and nothing to detect a format from)
+  if (isEncrypted) {
+    if (!validateBase64(content) || !validateIv(iv)) {
+      return { error: 'INVALID_ENCRYPTED_PAYLOAD' };
+    }
+    return { content, encrypted: true, iv, format: format === 'auto' ? DEFAULT_FORMAT : format || undefined };
+  }
+
+  const sanitized = sanitizeContent(content);
+  return { content: sanitized, encrypted: false, format: format === 'auto' ? renderer.detectFormat(sanitized) : format || undefined };
+}
+
+// Utility: Copy the encryption fields of parsed content onto a record
+function applyEncryption(data, parsed) {
+  if (parsed.encrypted) {
+    data.encrypted = true;
+    data.iv = parsed.iv;
+  } else {
+    delete data.encrypted;
+    delete data.iv;
+  }
+}
+
+// Utility: Longest time a paste stays available after its release, in hours
+function maxExpiryHours(env) {
+  return readLimit(env.MAX_EXPIRY_HOURS, DEFAULT_MAX_EXPIRY_HOURS);
+}
+
+// Utility: Date from an ISO 8601 string, null when missing or unparseable
+function parseTimestamp(value) {
+  if (typeof value !== 'string' || !value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+// Utility: Whether a request field was left out
+function isOmitted(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Utility: Release and expiry times from expiryHours, expiresAt and notBefore
+// Durations count from the release (notBefore, or now) and may not exceed maxExpiryHours
+// Returns { notBefore, expiresAt, hours } or { error, params }
+function resolveSchedule({ expiryHours, expiresAt, notBefore }, env, now = new Date()) {
+  const maxHours = maxExpiryHours(env);
+
+  let release = null;
+  if (!isOmitted(notBefore)) {
+    release = parseTimestamp(notBefore);
+    if (!release || release <= now || release.getTime() > now.getTime() + maxHours * HOUR_MS) {
+      return { error: 'INVALID_NOT_BEFORE', params: { hours: maxHours } };
+    }
+  }
+
+  const start = release || now;
+  let end;
+  if (!isOmitted(expiresAt)) {
+    end = parseTimestamp(expiresAt);
+  } else {
+    const hours = isOmitted(expiryHours) ? DEFAULT_EXPIRY_HOURS : expiryHours;
+    end = typeof hours === 'number' && Number.isFinite(hours) ? new Date(start.getTime() + hours * HOUR_MS) : null;
+  }
+
+  // At least the storage's minimum TTL, at most the configured maximum
+  const duration = end ? end.getTime() - start.getTime() : NaN;
+  if (!(duration >= KV_MIN_TTL * 1000 && duration <= maxHours * HOUR_MS)) {
+    return { error: 'INVALID_EXPIRY', params: { hours: maxHours } };
+  }
+
+  return { notBefore: release, expiresAt: end, hours: Number((duration / HOUR_MS).toFixed(2)) };
+}
+
+// Utility: Size of a string in UTF-8 bytes
+function utf8Length(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+// Utility: Number of bytes a base64 string decodes to
+function base64ByteLength(text) {
+  const padding = text.endsWith('==') ? 2 : text.endsWith('=') ? 1 : 0;
+  return Math.floor(text.length * 3 / 4) - padding;
+}
+
+// Utility: Human readable byte size for messages (10KB, 1MB, 2.5MB)
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${Number((bytes / (1024 * 1024)).toFixed(1))}MB`;
+  return `${Number((bytes / 1024).toFixed(1))}KB`;
+}
+
+// Utility: Base64 encode bytes (in slices, String.fromCharCode takes a limited number of arguments)
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Utility: Decode base64 into bytes
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Utility: Hex encode bytes
+function bytesToHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Utility: Hex encoded SHA-256 digest
+async function sha256Hex(input) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+  return bytesToHex(new Uint8Array(digest));
+}
+
+// Utility: Replace a record whose view limit is reached (content removed)
+// Files stay listed (with the key checking download tokens) until the tokens of the last readers run out
+function createTombstone(data) {
+  const tombstone = {
+    consumed: true,
+    manageTokenHash: data.manageTokenHash,
+    linkId: data.linkId,
+    createdAt: data.createdAt,
+    expiresAt: data.expiresAt,
+    views: data.views,
+    maxViews: data.maxViews
+  };
+
+  if (data.attachments) {
+    tombstone.attachments = data.attachments;
+    tombstone.fileKey = data.fileKey;
+    tombstone.filesUntil = new Date(Date.now() + DOWNLOAD_GRACE_PERIOD * 1000).toISOString();
+  }
+  return tombstone;
+}
+
+// Utility: Download token for a counted view of a paste with a view limit, `<expiry seconds>.<signature>`
+// Signed with the record's file key, so nothing is stored per reader
+async function issueDownloadToken(data) {
+  const until = Math.floor(Date.now() / 1000) + DOWNLOAD_GRACE_PERIOD;
+  return `${until}.${await signDownload(data.fileKey, String(until))}`;
+}
+
+// Utility: Whether a download token was issued for this record and has not run out
+async function checkDownloadToken(data, token) {
+  if (typeof token !== 'string' || !data.fileKey) return false;
+  const [until, signature] = token.split('.');
+  if (!/^\d{1,12}$/.test(until) || Number(until) * 1000 <= Date.now() || !signature) return false;
+  return timingSafeEqual(signature, await signDownload(data.fileKey, until));
+}
+
+// Utility: HMAC-SHA256 of a download token's expiry under a record's file key
+async function signDownload(fileKey, until) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(fileKey), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return bytesToHex(new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(until))));
+}
+
+// Utility: Summary of a record stored as key metadata (lets admin listings skip the content)
+function buildMetadata(data) {
+  return {
+    createdAt: data.createdAt,
+    expiresAt: data.expiresAt,
+    views: data.views || 0,
+    maxViews: data.maxViews || null,
+    notBefore: data.notBefore || null,
+    size: data.chunks ? data.chunks.size : typeof data.content === 'string' ? utf8Length(data.content) : 0,
+    attachments: data.attachments ? data.attachments.length : 0,
+    encrypted: !!data.encrypted,
+    consumed: !!data.consumed
+  };
+}
+
+// Utility: Derive the storage key of a record from its password
+// PBKDF2-SHA256, salted with the RECORD_KEY_SECRET secret when configured
+async function deriveRecordKey(password, env) {
+  const encoder = new TextEncoder();
+  const baseKey = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    salt: encoder.encode(env.RECORD_KEY_SECRET || RECORD_KEY_DEFAULT_SALT),
+    iterations: PBKDF2_ITERATIONS
+  }, baseKey, 256);
+  return RECORD_KEY_PREFIX + bytesToHex(new Uint8Array(bits));
+}
+
+// Utility: Previous unstretched record key (HMAC-SHA256 with RECORD_KEY_SECRET, or SHA-256)
+async function deriveHashedRecordKey(password, env) {
+  if (!env.RECORD_KEY_SECRET) {
+    return RECORD_KEY_PREFIX + await sha256Hex(password);
+  }
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(env.RECORD_KEY_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(password));
+  return RECORD_KEY_PREFIX + bytesToHex(new Uint8Array(signature));
+}
+
+// Utility: Look up a record by password, returns { key, value } or null
+async function findRecord(env, password) {
+  const key = await deriveRecordKey(password, env);
+  const value = await getStorage(env).get(key);
+  if (value) return { key, value };
+
+  // Transition: older records only exist for generated passwords, stored under
+  // an unstretched hash or the raw password itself
+  if (!isGeneratedPassword(password)) return null;
+
+  for (const legacyKey of [await deriveHashedRecordKey(password, env), password]) {
+    const legacyValue = await getStorage(env).get(legacyKey);
+    if (!legacyValue) continue;
+
+    let data;
+    try {
+      data = JSON.parse(legacyValue);
+    } catch (error) {
+      return { key: legacyKey, value: legacyValue };
+    }
+
+    // Move it to the current key and drop any stored password
+    delete data.password;
+    await putRecord(env, key, data);
+    await getStorage(env).delete(legacyKey);
+    return { key, value: JSON.stringify(data) };
+  }
+
+  return null;
+}
+
+// Utility: Absolute expiration (epoch seconds) matching a record's expiresAt
+function recordExpiration(data) {
+  const earliest = Math.ceil(Date.now() / 1000) + KV_MIN_TTL;
+  const expiresAt = Math.ceil(new Date(data.expiresAt).getTime() / 1000);
+  return Number.isFinite(expiresAt) ? Math.max(expiresAt, earliest) : earliest;
+}
+
+// Utility: Store a content record together with its metadata
+// The backend removes the record once it expires
+async function putRecord(env, key, data) {
+  await getStorage(env).put(key, JSON.stringify(data), {
+    expiration: recordExpiration(data),
+    metadata: buildMetadata(data)
+  });
+}
+
+// Utility: Put content on a record, inline when small, otherwise gzipped into chunk entries
+// Expects data.expiresAt to be set, chunks expire together with the record
+async function storeContent(env, data, content) {
+  const size = utf8Length(content);
+  if (size <= INLINE_CONTENT_BYTES) {
+    data.content = content;
+    delete data.chunks;
+    return;
+  }
+
+  const stream = new Blob([content]).stream().pipeThrough(new CompressionStream('gzip'));
+  const compressed = bytesToBase64(new Uint8Array(await new Response(stream).arrayBuffer()));
+  const id = generateToken();
+  const count = Math.ceil(compressed.length / CHUNK_SIZE);
+  const expiration = recordExpiration(data);
+
+  await Promise.all(Array.from({ length: count }, (_, i) =>
+    getStorage(env).put(`${CHUNK_KEY_PREFIX}${id}:${i}`, compressed.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE), { expiration })
+  ));
+
+  delete data.content;
+  data.chunks = { id, count, size };
+}
+
+// Utility: Content of a record, reassembled from its chunks when needed (null if a chunk is missing)
+async function loadContent(env, data) {
+  if (!data.chunks) {
+    return data.content;
+  }
+
+  const { id, count } = data.chunks;
+  const parts = await Promise.all(Array.from({ length: count }, (_, i) => getStorage(env).get(`${CHUNK_KEY_PREFIX}${id}:${i}`)));
+  if (parts.some(part => part === null)) {
+    return null;
+  }
+
+  const stream = new Blob([base64ToBytes(parts.join(''))]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
+
+// Utility: Remove the chunk entries of a record
+async function deleteChunks(env, chunks) {
+  if (!chunks) return;
+  await Promise.all(Array.from({ length: chunks.count }, (_, i) => getStorage(env).delete(`${CHUNK_KEY_PREFIX}${chunks.id}:${i}`)));
+}
+
+// Utility: Rewrite the chunk entries of a record with its current expiration
+async function refreshChunks(env, data) {
+  if (!data.chunks) return;
+  const { id, count } = data.chunks;
+  const expiration = recordExpiration(data);
+  await Promise.all(Array.from({ length: count }, async (_, i) => {
+    const name = `${CHUNK_KEY_PREFIX}${id}:${i}`;
+    const part = await getStorage(env).get(name);
+    if (part !== null) {
+      await getStorage(env).put(name, part, { expiration });
+    }
+  }));
+}
+
+// Utility: Delete a record together with its chunks, attachments and access log
+async function deleteRecord(env, key, data) {
+  await getStorage(env).delete(key);
+  await deleteChunks(env, data && data.chunks);
+  await deleteAttachments(env, data && data.attachments);
+  if (data && data.linkId) {
+    await deleteAccessLog(env, data.linkId);
+  }
+}
+
+// Utility: Store the link entry of a record, kept a while past the record's expiry
+async function putLink(env, linkId, key, data) {
+  await getStorage(env).put(LINK_KEY_PREFIX + linkId, JSON.stringify({ key }), {
+    expiration: recordExpiration(data) + LINK_GRACE_PERIOD
+  });
+}
+
+// Utility: Whether a storage key holds a content record (not a link, counter, chunk or access log entry)
+function isRecordKey(name) {
+  return ![RATE_LIMIT_KEY_PREFIX, FAILURE_KEY_PREFIX, LINK_KEY_PREFIX, API_KEY_PREFIX, CHUNK_KEY_PREFIX, ACCESS_LOG_KEY_PREFIX]
+    .some(prefix => name.startsWith(prefix));
+}
+
+// Utility: List every key under a prefix (follows pagination)
+async function listAllKeys(env, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await getStorage(env).list({ prefix, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+// Utility: Constant-time string comparison (compares SHA-256 digests)
+async function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const [hashA, hashB] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(a)),
+    crypto.subtle.digest('SHA-256', encoder.encode(b))
+  ]);
+  const bytesA = new Uint8Array(hashA);
+  const bytesB = new Uint8Array(hashB);
+  let diff = 0;
+  for (let i = 0; i < bytesA.length; i++) {
+    diff |= bytesA[i] ^ bytesB[i];
+  }
+  return diff === 0;
+}
+
+// Utility: Check the admin bearer token against ADMIN_PASSWORD
+async function checkAdminAuth(request, env) {
+  const header = request.headers.get('Authorization') || '';
+  if (!header.startsWith('Bearer ')) return false;
+  return timingSafeEqual(header.slice('Bearer '.length), env.ADMIN_PASSWORD);
+}
+
+// Utility: Escape HTML special characters to prevent XSS
+function escapeHtml(unsafe) {
+  if (typeof unsafe !== 'string') return '';
+  return unsafe
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+// Utility: JSON for a <script type="application/json"> block, `<` escaped so it cannot close the tag
+function scriptJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+// Utility: JSON response with security headers
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...SECURITY_HEADERS
+    }
+  });
+}
+
+// Error responses by the code and params they were built from
+const errorResponses = new WeakMap();
+
+// Utility: JSON error response for a code from the ERRORS catalog, `details` adds fields such as notBefore
+// `params` fill the detailed message, the response is remembered so localizeError can translate it
+function errorResponse(code, params = {}, details = {}) {
+  const response = jsonResponse({ success: false, code, message: errorMessage(API_LOCALE, code, params), ...details }, ERRORS[code].status);
+  errorResponses.set(response, { code, params, details });
+  return response;
+}
+
+// Utility: Error message in a locale, the detailed variant when params are given
+function errorMessage(locale, code, params = {}) {
+  const key = Object.keys(params).length && hasMessage(locale, `error.${code}.detail`) ? `error.${code}.detail` : `error.${code}`;
+  return translate(locale, key, { ...ERROR_MESSAGE_PARAMS, ...params });
+}
+
+// Utility: Rebuild an error response with its message in another language (status and headers stay)
+function localizeError(response, locale) {
+  const error = errorResponses.get(response);
+  if (!error || locale === API_LOCALE) return response;
+
+  const message = errorMessage(locale, error.code, error.params);
+  const body = error.text ? message + '\n' : JSON.stringify({ success: false, code: error.code, message, ...error.details });
+  const localized = new Response(body, response);
+  localized.headers.set('Content-Language', locale);
+  return localized;
+}
+
+// Utility: Plain text response with security headers
+function textResponse(text, status = 200, headers = {}) {
+  return new Response(status === 200 ? text : text + '\n', {
+    status,
+    headers: {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Cache-Control': 'no-store',
+      ...headers,
+      ...SECURITY_HEADERS
+    }
+  });
+}
+
+// Utility: Plain text error response, the code travels in a header
+function textErrorResponse(code, params = {}, headers = {}) {
+  const response = textResponse(errorMessage(API_LOCALE, code, params), ERRORS[code].status, { ...headers, 'X-Error-Code': code });
+  errorResponses.set(response, { code, params, text: true });
+  return response;
+}
+
+// Utility: HTML response with security headers, only scripts carrying `nonce` may run (none without one)
+function htmlResponse(html, status = 200, nonce = '') {
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
       'Cache-Control': 'no-cache, no-store, must-revalidate',
       'Pragma': 'no-cache',
       'Expires': '0',
-      ...SECURITY_HEADERS
+      ...SECURITY_HEADERS,
+      'Content-Security-Policy': contentSecurityPolicy(nonce ? `'nonce-${nonce}'` : "'none'")
     }
   });
 }
 
+// Utility: Content-Security-Policy with the given script sources, no inline scripts, styles or handlers
+function contentSecurityPolicy(scriptSources) {
+  return `default-src 'self'; script-src ${scriptSources}; style-src 'self'; img-src 'self' data: https:; font-src 'self' data:; connect-src 'self'; worker-src 'self'; manifest-src 'self'; base-uri 'none'; form-action 'self'; frame-ancestors 'none';`;
+}
+
+// Utility: Random nonce for the scripts of one page
+function generateNonce() {
+  return bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+// Utility: Short content hash for asset URLs (FNV-1a, only has to change when the content does)
+function contentHash(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Utility: Asset body, type and hashed path, built once per isolate
+function loadAsset(name) {
+  if (!assetCache.has(name)) {
+    const body = ASSET_SOURCES[name]();
+    const [base, extension] = name.split('.');
+    const hash = contentHash(body);
+    assetCache.set(name, { body, hash, type: ASSET_TYPES[extension], path: `/assets/${base}.${hash}.${extension}` });
+  }
+  return assetCache.get(name);
+}
+
+// Utility: Hashed URL of an asset, for the pages to link
+function assetPath(name) {
+  return loadAsset(name).path;
+}
+
+// Durable Object: Coordinator for state the storage cannot update atomically
+// One instance per IP holds a rate limit token bucket, one instance per paste holds its view counter
+// and one per share link its access log.
+// Requests to an instance are processed one at a time, so read-modify-write is safe here.
+export class Coordinator {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const action = new URL(request.url).pathname.slice(1);
+    const payload = await request.json();
+
+    if (action === 'ratelimit') {
+      return jsonResponse(await this.takeToken(payload));
+    }
+
+    if (action === 'view') {
+      return jsonResponse(await this.countView(payload));
+    }
+
+    if (action === 'failure') {
+      return jsonResponse(await this.addFailure());
+    }
+
+    if (action === 'lockout') {
+      const state = await this.state.storage.get('failures');
+      return jsonResponse({ retryAfter: lockoutSeconds(state, Date.now()) });
+    }
+
+    if (action === 'tally') {
+      return jsonResponse(await this.tally(payload));
+    }
+
+    if (action === 'access') {
+      return jsonResponse(await this.addAccess(payload));
+    }
+
+    if (action === 'accesslog') {
+      return jsonResponse({ entries: (await this.state.storage.get('log')) || [] });
+    }
+
+    if (action === 'forget') {
+      await this.state.storage.deleteAlarm();
+      await this.state.storage.deleteAll();
+      return jsonResponse({ success: true });
+    }
+
+    return errorResponse('NOT_FOUND');
+  }
+
+  // Token bucket: `capacity` requests, refilled evenly over `window` seconds
+  async takeToken({ capacity, window }) {
+    const now = Date.now();
+    const bucket = (await this.state.storage.get('bucket')) || { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / (window * 1000)) * capacity);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+
+    await this.state.storage.put('bucket', bucket);
+    // A bucket idle for a full window is full again, nothing worth keeping
+    await this.state.storage.setAlarm(now + window * 1000);
+
+    // Time until the bucket holds a whole token again
+    const retryAfter = allowed ? 0 : Math.ceil(((1 - bucket.tokens) * window) / capacity);
+    return { allowed, remaining: Math.floor(bucket.tokens), retryAfter };
+  }
+
+  // Failed lookups of one client, see addFailure()
+  async addFailure() {
+    const now = Date.now();
+    const state = addFailure(await this.state.storage.get('failures'), now);
+
+    await this.state.storage.put('failures', state);
+    // Forgotten once the lockout is over and the client stayed quiet for a full window
+    await this.state.storage.setAlarm(Math.max(state.lockedUntil || 0, now + FAILURE_WINDOW * 1000));
+
+    return { failures: state.count, retryAfter: lockoutSeconds(state, now) };
+  }
+
+  // Fixed window counter shared by all clients
+  async tally({ window }) {
+    const now = Date.now();
+    const windowStart = now - (now % (window * 1000));
+    const stored = await this.state.storage.get('tally');
+    const count = stored && stored.windowStart === windowStart ? stored.count + 1 : 1;
+
+    await this.state.storage.put('tally', { count, windowStart });
+    await this.state.storage.setAlarm(windowStart + 2 * window * 1000);
+
+    return { count };
+  }
+
+  // View counter, seeded from the stored count on first use
+  async countView({ initial, expiresAt }) {
+    const stored = await this.state.storage.get('views');
+    const views = (stored === undefined ? initial : stored) + 1;
+
+    await this.state.storage.put('views', views);
+    // Expiry can move (owner management), so the alarm follows the latest value
+    await this.state.storage.setAlarm(new Date(expiresAt).getTime());
+
+    return { views };
+  }
+
+  // Access log, the newest `limit` entries, removed together with the paste
+  async addAccess({ entry, limit, expiresAt }) {
+    const log = (await this.state.storage.get('log')) || [];
+    if (entry) {
+      log.push(entry);
+      log.splice(0, Math.max(log.length - limit, 0));
+      await this.state.storage.put('log', log);
+    }
+    await this.state.storage.setAlarm(new Date(expiresAt).getTime());
+
+    return { entries: log.length };
+  }
+
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
+
+// Cleanup: Remove expired, orphaned and legacy records that carry no native TTL
+async function sweepStorage(env) {
+  const now = Date.now();
+  const summary = { scanned: 0, expired: 0, invalid: 0, rateLimits: 0, ttlAdded: 0, migrated: 0 };
+
+  try {
+    // Backends without native expiry drop expired entries in bulk
+    const storage = getStorage(env);
+    if (storage.purgeExpired) {
+      summary.purged = await storage.purgeExpired();
+    }
+
+    for (const key of await listAllKeys(env)) {
+      summary.scanned++;
+
+      // Records still stored under their raw password, with or without an expiration, are moved below
+      const passwordKey = isRecordKey(key.name) && !key.name.startsWith(RECORD_KEY_PREFIX) && isGeneratedPassword(key.name);
+
+      // Keys with an expiration are removed by the backend itself, API keys never expire
+      if ((key.expiration && !passwordKey) || key.name.startsWith(API_KEY_PREFIX)) continue;
+
+      let data = null;
+      try {
+        data = JSON.parse(await getStorage(env).get(key.name));
+      } catch (error) {
+        // Unparseable value, treated as orphaned below
+      }
+
+      if (key.name.startsWith(RATE_LIMIT_KEY_PREFIX)) {
+        if (!data || !(data.windowStart >= now - RATE_LIMIT_WINDOW * 1000)) {
+          await getStorage(env).delete(key.name);
+          summary.rateLimits++;
+        }
+        continue;
+      }
+
+      if (!data || !data.expiresAt || Number.isNaN(new Date(data.expiresAt).getTime())) {
+        await getStorage(env).delete(key.name);
+        summary.invalid++;
+        continue;
+      }
+
+      if (new Date(data.expiresAt).getTime() <= now) {
+        await deleteRecord(env, key.name, data);
+        summary.expired++;
+        continue;
+      }
+
+      // Legacy record still live and keyed by (or holding) its password: move it under the derived
+      // key without the password, as a read would (findRecord)
+      const password = passwordKey ? key.name : typeof data.password === 'string' ? data.password : null;
+      if (password) {
+        delete data.password;
+        await putRecord(env, await deriveRecordKey(password, env), data);
+        await getStorage(env).delete(key.name);
+        summary.migrated++;
+        continue;
+      }
+
+      // Otherwise give it an expiration so it is removed on time
+      await putRecord(env, key.name, data);
+      summary.ttlAdded++;
+    }
+
+    // Records expire on their own, the files they list do not
+    if (env.FILES) {
+      summary.attachments = await sweepAttachments(env, now);
+    }
+  } catch (error) {
+    console.error('Cleanup error:', error);
+  }
+
+  console.log('Cleanup finished:', JSON.stringify(summary));
+  return summary;
+}
+
+// Cleanup: Remove attachment objects whose record expired, was burned or never got written
+// Returns the number of deleted objects
+async function sweepAttachments(env, now) {
+  const groups = new Map();
+  for (const object of await listAttachmentObjects(env)) {
+    const linkId = object.key.slice(ATTACHMENT_KEY_PREFIX.length).split('/')[0];
+    if (!groups.has(linkId)) groups.set(linkId, []);
+    groups.get(linkId).push(object);
+  }
+
+  let deleted = 0;
+  for (const [linkId, objects] of groups) {
+    const link = await getStorage(env).get(LINK_KEY_PREFIX + linkId, { type: 'json' });
+    const data = link && await getStorage(env).get(link.key, { type: 'json' });
+
+    let stale;
+    if (data && data.linkId === linkId) {
+      stale = keepsAttachments(data, now) ? [] : objects;
+    } else if (link) {
+      stale = objects; // The record expired or was deleted, its link lingers
+    } else {
+      // No link (yet): leave uploads that may still be in flight alone
+      stale = objects.filter(object => object.uploaded.getTime() <= now - ORPHAN_ATTACHMENT_AGE * 1000);
+    }
+
+    if (stale.length) {
+      await env.FILES.delete(stale.map(object => object.key));
+      deleted += stale.length;
+    }
+  }
+  return deleted;
+}
+
 // API: Upload content
 async function handleUpload(request, env) {
   try {
-    if (!env.CONTENT_KV) {
-      return jsonResponse({ success: false, message: 'KV storage not configured' }, 500);
+    if (!getStorage(env)) {
+      return errorResponse('STORAGE_NOT_CONFIGURED');
+    }
+
+    // Validate Content-Type (other types only as a file named in ?filename=)
+    if (!UPLOAD_MEDIA_TYPES.includes(getMediaType(request)) && !new URL(request.url).searchParams.has('filename')) {
+      return errorResponse('INVALID_CONTENT_TYPE');
+    }
+
+    // Rate limiting (API keys get their own budget)
+    const admission = await admitRequest(request, env);
+    if (admission.error) {
+      return withRetryAfter(errorResponse(admission.error), admission.retryAfter);
+    }
+
+    // Parse body with error handling
+    const parsedBody = await parseUploadBody(request, env, admission.caller.maxContentLength);
+    if (parsedBody.error) {
+      return errorResponse(parsedBody.error, parsedBody.params);
+    }
+
+    const { body, attachments } = parsedBody;
+    const { maxViews } = body;
+
+    const attachmentError = checkAttachments(env, attachments);
+    if (attachmentError) {
+      return errorResponse(attachmentError.error, attachmentError.params);
+    }
+
+    // Validate and sanitize content (optional when files are attached)
+    const parsed = attachments.length && isOmitted(body.content)
+      ? { content: '', encrypted: false }
+      : parseContent(body, admission.caller.maxContentLength);
+    if (parsed.error) {
+      return errorResponse(parsed.error, parsed.params);
+    }
+
+    // Validate release and expiry time
+    const now = new Date();
+    const schedule = resolveSchedule(body, env, now);
+    if (schedule.error) {
+      return errorResponse(schedule.error, schedule.params);
+    }
+
+    // Validate view limit (omitted or 0 means unlimited, 1 is burn after reading)
+    if (maxViews !== undefined && maxViews !== null && maxViews !== 0 &&
+        !(Number.isInteger(maxViews) && maxViews > 0 && maxViews <= MAX_VIEWS_LIMIT)) {
+      return errorResponse('INVALID_VIEW_LIMIT');
+    }
+
+    // Use the custom passphrase if given, otherwise generate a password
+    let password;
+    if (body.password !== undefined && body.password !== null && body.password !== '') {
+      if (typeof body.password !== 'string') {
+        return errorResponse('INVALID_PASSWORD');
+      }
+
+      password = body.password.normalize('NFC');
+      const passphraseError = checkPassphrase(password);
+      if (passphraseError) {
+        return errorResponse(passphraseError);
+      }
+
+      // A collision tells the caller the passphrase opens a live share, so it is checked
+      // like a password lookup: locked out clients learn nothing, each collision counts as a failure
+      const lockout = await checkLockout(admission.caller.ip, env);
+      if (lockout) {
+        return withRetryAfter(errorResponse('TOO_MANY_FAILURES'), lockout);
+      }
+
+      const existing = await findRecord(env, password);
+      if (existing) {
+        await recordFailure(admission.caller.ip, env);
+        let existingData = null;
+        try {
+          existingData = JSON.parse(existing.value);
+        } catch (error) {
+          // Unreadable record, nothing to log against
+        }
+        if (existingData) {
+          await logAccess(env, request, 'upload', undefined, { error: 'PASSWORD_IN_USE', data: existingData });
+        }
+        return errorResponse('PASSWORD_IN_USE');
+      }
+    } else {
+      password = generatePassword();
+    }
+
+    // Owner manage token and public link id
+    const manageToken = generateToken(MANAGE_TOKEN_LENGTH);
+    const linkId = generateToken();
+
+    // Store the record (keyed by the derived password key, the password is not persisted)
+    const data = {
+      manageTokenHash: await sha256Hex(manageToken),
+      linkId,
+      createdAt: now.toISOString(),
+      expiresAt: schedule.expiresAt.toISOString(),
+      views: 0
+    };
+
+    if (schedule.notBefore) {
+      data.notBefore = schedule.notBefore.toISOString();
+    }
+
+    applyEncryption(data, parsed);
+    data.format = parsed.format || DEFAULT_FORMAT;
+
+    if (maxViews) {
+      data.maxViews = maxViews;
+    }
+
+    await storeContent(env, data, parsed.content);
+
+    if (attachments.length) {
+      data.attachments = await storeAttachments(env, linkId, attachments);
+      // With a view limit every download needs a token from a counted view
+      if (data.maxViews) {
+        data.fileKey = generateToken(FILE_KEY_LENGTH);
+      }
+    }
+
+    const key = await deriveRecordKey(password, env);
+    await putRecord(env, key, data);
+    await putLink(env, linkId, key, data);
+
+    // The password only travels in the fragment, which browsers never send to the server
+    const url = `${new URL(request.url).origin}/p/${linkId}`;
+
+    return jsonResponse({
+      success: true,
+      password,
+      manageToken,
+      id: linkId,
+      url,
+      shareUrl: `${url}#p=${encodeURIComponent(password)}`,
+      expiresAt: data.expiresAt,
+      expiresIn: schedule.hours,
+      notBefore: data.notBefore || null,
+      maxViews: data.maxViews || null,
+      format: data.format,
+      attachments: listAttachments(data)
+    });
+  } catch (error) {
+    console.error('Upload error:', error);
+    return errorResponse('SERVER_ERROR');
+  }
+}
+
+// API: View content by password
+async function handleView(request, env) {
+  try {
+    if (!getStorage(env)) {
+      return errorResponse('STORAGE_NOT_CONFIGURED');
     }
 
     // Validate Content-Type
     if (!validateContentType(request)) {
-      return jsonResponse({ success: false, message: 'Invalid Content-Type' }, 400);
+      return errorResponse('INVALID_CONTENT_TYPE');
     }
 
-    // Rate limiting
-    const ip = getClientIp(request);
-    if (!(await checkRateLimit(ip, env))) {
-      return jsonResponse({ success: false, message: 'Too many requests, please try again later' }, 429);
+    // Rate limiting (API keys get their own budget)
+    const admission = await admitRequest(request, env);
+    if (admission.error) {
+      return withRetryAfter(errorResponse(admission.error), admission.retryAfter);
     }
 
     // Parse JSON with error handling
@@ -194,75 +1990,346 @@ async function handleUpload(request, env) {
     try {
       body = await request.json();
     } catch (error) {
-      return jsonResponse({ success: false, message: 'Invalid JSON' }, 400);
+      return errorResponse('INVALID_JSON');
     }
 
-    const { content, expiryHours } = body;
+    const password = typeof body.password === 'string' ? body.password.normalize('NFC') : null;
 
-    // Validate content
-    if (!content || typeof content !== 'string') {
-      return jsonResponse({ success: false, message: 'Content is required' }, 400);
+    // Validate inputs
+    if (!password || !validatePassword(password)) {
+      return errorResponse('INVALID_PASSWORD');
     }
 
-    // Content length limit: 10KB
-    const MAX_CONTENT_LENGTH = 10 * 1024;
-    if (content.length > MAX_CONTENT_LENGTH) {
-      return jsonResponse({ success: false, message: 'Content too large (max 10KB)' }, 400);
+    // Clients that keep guessing wrong are locked out, whatever they try next
+    const lockout = await checkLockout(admission.caller.ip, env);
+    if (lockout) {
+      return withRetryAfter(errorResponse('TOO_MANY_FAILURES'), lockout);
     }
 
-    // Sanitize content
-    const sanitizedContent = sanitizeContent(content);
+    const outcome = await readPaste(env, password, body.id);
+    if (outcome.error === 'PASTE_NOT_FOUND') {
+      await recordFailure(admission.caller.ip, env);
+    }
+    await logAccess(env, request, 'view', body.id, outcome);
+    if (outcome.error) {
+      return errorResponse(outcome.error, outcome.params, outcome.notBefore ? { notBefore: outcome.notBefore } : {});
+    }
 
-    // Validate expiry time
-    const validExpiryHours = [1, 6, 24, 168]; // 1h, 6h, 24h, 7d
-    const hours = expiryHours && validExpiryHours.includes(expiryHours) ? expiryHours : 24;
+    const { data, content, remainingViews, downloadToken } = outcome;
 
-    // Generate password
-    const password = generatePassword();
+    const response = {
+      success: true,
+      content,
+      format: data.format || DEFAULT_FORMAT,
+      createdAt: data.createdAt,
+      expiresAt: data.expiresAt,
+      views: data.views,
+      maxViews: data.maxViews || null,
+      remainingViews,
+      attachments: listAttachments(data)
+    };
 
-    // Calculate expiry time
-    const now = new Date();
-    const expiresAt = new Date(now.getTime() + hours * 60 * 60 * 1000);
+    // Last allowed read: the files can still be fetched with this token for a short while
+    if (downloadToken) {
+      response.downloadToken = downloadToken;
+    }
 
-    // Store in KV (use password as key)
-    const data = {
-      content: sanitizedContent,
-      password,
-      createdAt: now.toISOString(),
-      expiresAt: expiresAt.toISOString(),
-      views: 0
+    // Ciphertext is returned as-is, the browser holds the key
+    if (data.encrypted) {
+      response.encrypted = true;
+      response.iv = data.iv;
+    }
+
+    return jsonResponse(response);
+  } catch (error) {
+    console.error('View error:', error);
+    return errorResponse('SERVER_ERROR');
+  }
+}
+
+// API: Raw content as text/plain, password in the X-Paste-Password header
+async function handleRaw(request, env) {
+  try {
+    if (!getStorage(env)) {
+      return textErrorResponse('STORAGE_NOT_CONFIGURED');
+    }
+
+    // Rate limiting (API keys get their own budget)
+    const admission = await admitRequest(request, env);
+    if (admission.error) {
+      return withRetryAfter(textErrorResponse(admission.error), admission.retryAfter);
+    }
+
+    const header = request.headers.get(RAW_PASSWORD_HEADER);
+    const password = header ? header.normalize('NFC') : null;
+
+    // Validate inputs
+    if (!password || !validatePassword(password)) {
+      return textErrorResponse('INVALID_PASSWORD');
+    }
+
+    // Clients that keep guessing wrong are locked out, whatever they try next
+    const lockout = await checkLockout(admission.caller.ip, env);
+    if (lockout) {
+      return withRetryAfter(textErrorResponse('TOO_MANY_FAILURES'), lockout);
+    }
+
+    const linkId = new URL(request.url).searchParams.get('id') || undefined;
+    const outcome = await readPaste(env, password, linkId);
+    if (outcome.error === 'PASTE_NOT_FOUND') {
+      await recordFailure(admission.caller.ip, env);
+    }
+    await logAccess(env, request, 'raw', linkId, outcome);
+    if (outcome.error) {
+      return textErrorResponse(outcome.error, outcome.params, outcome.notBefore ? { 'X-Not-Before': outcome.notBefore } : {});
+    }
+
+    const { data, content, remainingViews, downloadToken } = outcome;
+    const headers = {
+      'X-Expires-At': data.expiresAt,
+      'X-Views': String(data.views),
+      'X-Format': data.format || DEFAULT_FORMAT
     };
 
-    await env.CONTENT_KV.put(password, JSON.stringify(data));
+    if (remainingViews !== null) {
+      headers['X-Remaining-Views'] = String(remainingViews);
+    }
+
+    if (downloadToken) {
+      headers[DOWNLOAD_TOKEN_HEADER] = downloadToken;
+    }
+
+    // Ciphertext stays base64, the caller decrypts with its key
+    if (data.encrypted) {
+      headers['X-Encrypted'] = 'true';
+      headers['X-Encryption-IV'] = data.iv;
+    }
+
+    return textResponse(content, 200, headers);
+  } catch (error) {
+    console.error('Raw view error:', error);
+    return textErrorResponse('SERVER_ERROR');
+  }
+}
+
+// API: Download an attachment, checked like a view: { password, id?, index, downloadToken? }
+// Downloads do not count as views: with a view limit they need the download token of a counted view
+async function handleFile(request, env) {
+  try {
+    if (!getStorage(env)) {
+      return errorResponse('STORAGE_NOT_CONFIGURED');
+    }
+
+    if (!env.FILES) {
+      return errorResponse('FILES_NOT_CONFIGURED');
+    }
+
+    // Validate Content-Type
+    if (!validateContentType(request)) {
+      return errorResponse('INVALID_CONTENT_TYPE');
+    }
+
+    // Rate limiting (API keys get their own budget)
+    const admission = await admitRequest(request, env);
+    if (admission.error) {
+      return withRetryAfter(errorResponse(admission.error), admission.retryAfter);
+    }
+
+    // Parse JSON with error handling
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return errorResponse('INVALID_JSON');
+    }
+
+    const password = typeof body.password === 'string' ? body.password.normalize('NFC') : null;
+
+    // Validate inputs
+    if (!password || !validatePassword(password)) {
+      return errorResponse('INVALID_PASSWORD');
+    }
+
+    if (!Number.isInteger(body.index) || body.index < 0) {
+      return errorResponse('ATTACHMENT_NOT_FOUND');
+    }
+
+    // Clients that keep guessing wrong are locked out, whatever they try next
+    const lockout = await checkLockout(admission.caller.ip, env);
+    if (lockout) {
+      return withRetryAfter(errorResponse('TOO_MANY_FAILURES'), lockout);
+    }
+
+    const outcome = await findPaste(env, password, body.id);
+    if (outcome.error === 'PASTE_NOT_FOUND') {
+      await recordFailure(admission.caller.ip, env);
+    }
+    if (outcome.error) {
+      await logAccess(env, request, 'file', body.id, outcome);
+      return errorResponse(outcome.error);
+    }
+
+    const { data } = outcome;
+
+    let error = null;
+    if (!data.consumed && data.notBefore && new Date(data.notBefore) > new Date()) {
+      error = 'LOCKED';
+    } else if ((data.consumed || data.maxViews) && !(await checkDownloadToken(data, body.downloadToken))) {
+      error = data.consumed ? 'CONSUMED' : 'DOWNLOAD_TOKEN_REQUIRED';
+    }
+
+    const attachment = !error && data.attachments && data.attachments[body.index];
+    const object = attachment && await env.FILES.get(attachment.key);
+    if (!error && !object) {
+      error = 'ATTACHMENT_NOT_FOUND';
+    }
+
+    await logAccess(env, request, 'file', body.id, { error, data });
+    if (error === 'LOCKED') {
+      return errorResponse('LOCKED', { time: data.notBefore }, { notBefore: data.notBefore });
+    }
+    if (error) {
+      return errorResponse(error);
+    }
+
+    return new Response(object.body, {
+      headers: {
+        'Content-Type': attachment.type,
+        'Content-Length': String(object.size),
+        'Content-Disposition': contentDisposition(attachment.name),
+        'Cache-Control': 'no-store',
+        ...SECURITY_HEADERS
+      }
+    });
+  } catch (error) {
+    console.error('File download error:', error);
+    return errorResponse('SERVER_ERROR');
+  }
+}
+
+// Utility: Public description of a record's attachments (the index is the download handle)
+function listAttachments(data) {
+  return (data.attachments || []).map((attachment, index) => ({
+    index,
+    name: attachment.name,
+    size: attachment.size,
+    type: attachment.type
+  }));
+}
+
+// View: Look up a paste by password (and link id), removing it when expired
+// Returns { key, data } or { error } with an error code
+async function findPaste(env, password, linkId) {
+  // Get content from storage using the derived password key
+  const record = await findRecord(env, password);
+
+  if (!record) {
+    return { error: 'PASTE_NOT_FOUND' };
+  }
+
+  const { key } = record;
+
+  let data;
+  try {
+    data = JSON.parse(record.value);
+  } catch (error) {
+    return { error: 'INVALID_DATA' };
+  }
+
+  // Opened from a share link: the password must belong to that link
+  if (linkId !== undefined && linkId !== data.linkId) {
+    return { error: 'PASTE_NOT_FOUND' };
+  }
+
+  // Check expiration
+  if (new Date(data.expiresAt) < new Date()) {
+    await deleteRecord(env, key, data); // Clean up expired content
+    return { error: 'EXPIRED' };
+  }
+
+  return { key, data };
+}
+
+// View: Look up a paste and count the view, shared by the JSON and raw endpoints
+// Returns { data, content, remainingViews, downloadToken? } or { error } with an error code
+// (plus params and notBefore when locked, and the record's data once the password matched)
+async function readPaste(env, password, linkId) {
+  const found = await findPaste(env, password, linkId);
+  if (found.error) {
+    return found;
+  }
+
+  const { key, data } = found;
+
+  // View limit already reached (content was removed on the last allowed read)
+  if (data.consumed) {
+    return { error: 'CONSUMED', data };
+  }
+
+  // Not released yet: the paste exists, its content stays hidden and no view is counted
+  if (data.notBefore && new Date(data.notBefore) > new Date()) {
+    return { error: 'LOCKED', params: { time: data.notBefore }, notBefore: data.notBefore, data };
+  }
+
+  // Read the content before counting, the last allowed read deletes its chunks
+  const content = await loadContent(env, data);
+  if (typeof content !== 'string') {
+    return { error: 'INVALID_DATA', data };
+  }
+
+  // Update view count
+  data.views = await countView(env, key, data);
+
+  // Lost the race for the last allowed read
+  if (data.maxViews && data.views > data.maxViews) {
+    data.views = data.maxViews;
+    await putRecord(env, key, createTombstone(data));
+    await deleteChunks(env, data.chunks);
+    return { error: 'CONSUMED', data };
+  }
+
+  const remainingViews = data.maxViews ? Math.max(data.maxViews - data.views, 0) : null;
 
-    return jsonResponse({
-      success: true,
-      password,
-      expiresAt: expiresAt.toISOString(),
-      expiresIn: hours
-    });
-  } catch (error) {
-    console.error('Upload error:', error);
-    return jsonResponse({ success: false, message: 'Server error' }, 500);
+  // Files of a limited paste only go to readers whose view was counted
+  // (records stored before download tokens get their key on the first read)
+  let downloadToken;
+  if (data.maxViews && data.attachments) {
+    data.fileKey = data.fileKey || generateToken(FILE_KEY_LENGTH);
+    downloadToken = await issueDownloadToken(data);
+  }
+
+  if (remainingViews === 0) {
+    // Last allowed read: drop the content, keep a tombstone until the original expiry
+    // Its files stay downloadable for the last readers' tokens, the sweep removes them afterwards
+    await putRecord(env, key, createTombstone(data));
+    await deleteChunks(env, data.chunks);
+  } else {
+    await putRecord(env, key, data);
   }
+
+  return { data, content, remainingViews, downloadToken };
 }
 
-// API: View content by password
-async function handleView(request, env) {
+// API: Owner management (delete, change expiry, replace content, read the access log)
+async function handleManage(request, env, action) {
   try {
-    if (!env.CONTENT_KV) {
-      return jsonResponse({ success: false, message: 'KV storage not configured' }, 500);
+    if (!getStorage(env)) {
+      return errorResponse('STORAGE_NOT_CONFIGURED');
+    }
+
+    if (!['delete', 'expiry', 'content', 'log'].includes(action)) {
+      return errorResponse('NOT_FOUND');
     }
 
     // Validate Content-Type
     if (!validateContentType(request)) {
-      return jsonResponse({ success: false, message: 'Invalid Content-Type' }, 400);
+      return errorResponse('INVALID_CONTENT_TYPE');
     }
 
-    // Rate limiting
-    const ip = getClientIp(request);
-    if (!(await checkRateLimit(ip, env))) {
-      return jsonResponse({ success: false, message: 'Too many requests, please try again later' }, 429);
+    // Rate limiting (API keys get their own budget)
+    const admission = await admitRequest(request, env);
+    if (admission.error) {
+      return withRetryAfter(errorResponse(admission.error), admission.retryAfter);
     }
 
     // Parse JSON with error handling
@@ -270,842 +2337,1087 @@ async function handleView(request, env) {
     try {
       body = await request.json();
     } catch (error) {
-      return jsonResponse({ success: false, message: 'Invalid JSON' }, 400);
+      return errorResponse('INVALID_JSON');
     }
 
-    const { password } = body;
+    const { manageToken } = body;
+    const password = typeof body.password === 'string' ? body.password.normalize('NFC') : null;
 
     // Validate inputs
     if (!password || !validatePassword(password)) {
-      return jsonResponse({ success: false, message: 'Invalid password format' }, 400);
+      return errorResponse('INVALID_PASSWORD');
     }
 
-    // Get content from KV using password as key
-    const contentStr = await env.CONTENT_KV.get(password);
-
-    if (!contentStr) {
-      return jsonResponse({ success: false, message: 'Invalid password or content expired' }, 404);
+    if (!manageToken || !validateManageToken(manageToken)) {
+      return errorResponse('INVALID_MANAGE_TOKEN_FORMAT');
     }
 
-    let data;
-    try {
-      data = JSON.parse(contentStr);
-    } catch (error) {
-      return jsonResponse({ success: false, message: 'Invalid data' }, 500);
+    // Wrong passwords and wrong tokens both count as failures
+    const lockout = await checkLockout(admission.caller.ip, env);
+    if (lockout) {
+      return withRetryAfter(errorResponse('TOO_MANY_FAILURES'), lockout);
     }
 
-    // Check expiration
-    if (new Date(data.expiresAt) < new Date()) {
-      await env.CONTENT_KV.delete(password); // Clean up expired content
-      return jsonResponse({ success: false, message: 'Content expired' }, 410);
+    const record = await findRecord(env, password);
+    if (!record) {
+      await recordFailure(admission.caller.ip, env);
+      return errorResponse('PASTE_NOT_FOUND');
     }
 
-    // Update view count
-    data.views = (data.views || 0) + 1;
-    await env.CONTENT_KV.put(password, JSON.stringify(data));
-
-    return jsonResponse({
-      success: true,
-      content: data.content,
-      createdAt: data.createdAt,
-      expiresAt: data.expiresAt,
-      views: data.views
-    });
-  } catch (error) {
-    console.error('View error:', error);
-    return jsonResponse({ success: false, message: 'Server error' }, 500);
-  }
-}
+    const { key } = record;
+    const data = JSON.parse(record.value);
 
-// Page: Home page / Upload page
-function handleHomePage() {
-  const html = `
-<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
-  <title>TempShare - 临时内容分享</title>
-  <meta name="description" content="临时内容分享系统 - 自动过期，安全便捷">
-  <meta name="theme-color" content="#000000">
-  <link rel="preconnect" href="https://fonts.googleapis.com">
-  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-  <link href="https://fonts.googleapis.com/css2?family@&display=swap">
-  <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-      -webkit-tap-highlight-color: transparent;
-    }
-
-    :root {
-      --ios-primary: #007AFF;
-      --ios-success: #34C759;
-      --ios-warning: #FF9500;
-      --ios-danger: #FF3B30;
-      --ios-bg: rgba(0, 0, 0, 0.85);
-      --ios-fg: #FFFFFF;
-      --ios-fg-secondary: rgba(255, 255, 255, 0.6);
-      --ios-card: rgba(30, 30, 30, 0.7);
-      --ios-border: rgba(255, 255, 255, 0.12);
-      --ios-glass: rgba(255, 255, 255, 0.08);
-      --ios-shadow: rgba(0, 0, 0, 0.4);
-      --blur-amount: 20px;
-    }
-
-    @supports (-webkit-backdrop-filter: blur(var(--blur-amount))) {
-      .glass {
-        -webkit-backdrop-filter: blur(var(--blur-amount));
-        backdrop-filter: blur(var(--blur-amount));
-      }
+    // Records created before manage tokens existed cannot be managed
+    if (!data.manageTokenHash || !(await timingSafeEqual(await sha256Hex(manageToken), data.manageTokenHash))) {
+      await recordFailure(admission.caller.ip, env);
+      return errorResponse('INVALID_MANAGE_TOKEN');
     }
 
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, "SF Pro Text", "SF Pro Display", "Helvetica Neue", Arial, sans-serif;
-      background: linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%);
-      min-height: 100vh;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      padding: 20px;
-      color: var(--ios-fg);
-      -webkit-font-smoothing: antialiased;
-      -moz-osx-font-smoothing: grayscale;
-    }
-
-    /* Animated background */
-    body::before {
-      content: '';
-      position: fixed;
-      top: 0;
-      left: 0;
-      right: 0;
-      bottom: 0;
-      background: 
-        radial-gradient(ellipse at 20% 20%, rgba(120, 119, 198, 0.15) 0%, transparent 50%),
-        radial-gradient(ellipse at 80% 80%, rgba(74, 78, 105, 0.15) 0%, transparent 50%),
-        radial-gradient(ellipse at 50% 50%, rgba(99, 102, 241, 0.08) 0%, transparent 60%);
-      pointer-events: none;
-      z-index: 0;
-    }
-
-    .container {
-      background: var(--ios-card);
-      border: 1px solid var(--ios-border);
-      border-radius: 24px;
-      box-shadow: 
-        0 0 0 0.5px rgba(255, 255, 255, 0.05),
-        0 25px 50px -12px var(--ios-shadow),
-        inset 0 1px 0 0 rgba(255, 255, 255, 0.1);
-      padding: 36px 28px;
-      width: 100%;
-      max-width: 420px;
-      position: relative;
-      z-index: 1;
-      overflow: hidden;
-    }
-
-    .container::before {
-      content: '';
-      position: absolute;
-      top: 0;
-      left: 0;
-      right: 0;
-      height: 120px;
-      background: linear-gradient(180deg, rgba(120, 119, 198, 0.12) 0%, transparent 100%);
-      pointer-events: none;
-    }
-
-    h1 {
-      text-align: center;
-      color: var(--ios-fg);
-      margin-bottom: 6px;
-      font-size: 28px;
-      font-weight: 600;
-      letter-spacing: -0.5px;
-      text-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
-    }
-
-    .subtitle {
-      text-align: center;
-      color: var(--ios-fg-secondary);
-      margin-bottom: 32px;
-      font-size: 14px;
-      font-weight: 400;
-      letter-spacing: 0.2px;
-    }
-
-    .form-group {
-      margin-bottom: 22px;
-    }
-
-    label {
-      display: block;
-      margin-bottom: 10px;
-      color: var(--ios-fg);
-      font-weight: 500;
-      font-size: 14px;
-      letter-spacing: 0.3px;
-    }
-
-    textarea, input[type="text"] {
-      width: 100%;
-      padding: 16px 18px;
-      background: var(--ios-glass);
-      border: 1px solid var(--ios-border);
-      border-radius: 14px;
-      font-size: 15px;
-      font-family: inherit;
-      color: var(--ios-fg);
-      resize: vertical;
-      min-height: 140px;
-      transition: all 0.25s cubic-bezier(0.4, 0, 0.2, 1);
-      -webkit-appearance: none;
-      appearance: none;
-    }
-
-    textarea::placeholder, input[type="text"]::placeholder {
-      color: var(--ios-fg-secondary);
-    }
-
-    textarea:focus, input[type="text"]:focus {
-      outline: none;
-      border-color: var(--ios-primary);
-      background: rgba(0, 122, 255, 0.1);
-      box-shadow: 0 0 0 4px rgba(0, 122, 255, 0.15);
-    }
-
-    select {
-      width: 100%;
-      padding: 16px 18px;
-      background: var(--ios-glass);
-      border: 1px solid var(--ios-border);
-      border-radius: 14px;
-      font-size: 15px;
-      font-family: inherit;
-      color: var(--ios-fg);
-      cursor: pointer;
-      transition: all 0.25s cubic-bezier(0.4, 0, 0.2, 1);
-      -webkit-appearance: none;
-      appearance: none;
-      background-image: url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='12' height='12' viewBox='0 0 12 12'%3E%3Cpath fill='rgba(255,255,255,0.6)' d='M6 8L2 4h8z'/%3E%3C/svg%3E");
-      background-repeat: no-repeat;
-      background-position: right 16px center;
-    }
-
-    select:focus {
-      outline: none;
-      border-color: var(--ios-primary);
-      background-color: rgba(0, 122, 255, 0.1);
-      box-shadow: 0 0 0 4px rgba(0, 122, 255, 0.15);
-    }
-
-    select option {
-      background: #2c2c2e;
-      color: var(--ios-fg);
-    }
-
-    button {
-      width: 100%;
-      padding: 16px;
-      background: var(--ios-primary);
-      color: white;
-      border: none;
-      border-radius: 14px;
-      font-size: 16px;
-      font-weight: 600;
-      letter-spacing: 0.3px;
-      cursor: pointer;
-      transition: all 0.25s cubic-bezier(0.4, 0, 0.2, 1);
-      position: relative;
-      overflow: hidden;
-    }
-
-    button::before {
-      content: '';
-      position: absolute;
-      top: 0;
-      left: 0;
-      right: 0;
-      height: 50%;
-      background: linear-gradient(180deg, rgba(255,255,255,0.15) 0%, transparent 100%);
-      pointer-events: none;
-    }
-
-    button:hover {
-      transform: scale(1.02);
-      box-shadow: 0 8px 25px rgba(0, 122, 255, 0.4);
-    }
-
-    button:active {
-      transform: scale(0.98);
-    }
-
-    button.secondary {
-      background: rgba(255, 255, 255, 0.12);
-      color: var(--ios-fg);
-      margin-top: 12px;
-      border: 1px solid var(--ios-border);
-    }
-
-    button.secondary::before {
-      background: linear-gradient(180deg, rgba(255,255,255,0.08) 0%, transparent 100%);
-    }
-
-    button.secondary:hover {
-      background: rgba(255, 255, 255, 0.18);
-      box-shadow: 0 8px 25px rgba(0, 0, 0, 0.3);
-    }
-
-    .message {
-      padding: 14px 18px;
-      border-radius: 14px;
-      margin-bottom: 22px;
-      display: none;
-      text-align: center;
-      font-size: 14px;
-      font-weight: 500;
-      animation: slideIn 0.3s ease-out;
-    }
-
-    @keyframes slideIn {
-      from {
-        opacity: 0;
-        transform: translateY(-10px);
-      }
-      to {
-        opacity: 1;
-        transform: translateY(0);
-      }
+    // Check expiration
+    if (new Date(data.expiresAt) < new Date()) {
+      await deleteRecord(env, key, data); // Clean up expired content
+      return errorResponse('EXPIRED');
     }
 
-    .message.success {
-      background: rgba(52, 199, 89, 0.15);
-      color: var(--ios-success);
-      border: 1px solid rgba(52, 199, 89, 0.3);
+    if (action === 'delete') {
+      await deleteRecord(env, key, data);
+      return jsonResponse({ success: true });
     }
 
-    .message.error {
-      background: rgba(255, 59, 48, 0.15);
-      color: var(--ios-danger);
-      border: 1px solid rgba(255, 59, 48, 0.3);
+    // Still readable once the view limit is reached, newest entry first
+    if (action === 'log') {
+      const entries = data.linkId ? await readAccessLog(env, data.linkId) : [];
+      return jsonResponse({ success: true, views: data.views || 0, entries: entries.reverse() });
     }
 
-    .result-box {
-      background: var(--ios-glass);
-      border: 1px solid var(--ios-border);
-      border-radius: 18px;
-      padding: 24px;
-      margin-top: 24px;
-      display: none;
-      animation: fadeInScale 0.4s cubic-bezier(0.34, 1.56, 0.64, 1);
+    if (data.consumed) {
+      return errorResponse('CONSUMED');
     }
 
-    @keyframes fadeInScale {
-      from {
-        opacity: 0;
-        transform: scale(0.95);
+    if (action === 'expiry') {
+      // New expiryHours count from now (or the pending release), expiresAt is taken as is
+      const pending = data.notBefore && new Date(data.notBefore) > new Date() ? new Date(data.notBefore) : null;
+      const schedule = resolveSchedule({ expiryHours: body.expiryHours, expiresAt: body.expiresAt }, env, pending || new Date());
+      if (schedule.error) {
+        return errorResponse(schedule.error, schedule.params);
       }
-      to {
-        opacity: 1;
-        transform: scale(1);
+      data.expiresAt = schedule.expiresAt.toISOString();
+      await refreshChunks(env, data);
+      await putRecord(env, key, data);
+      if (data.linkId) {
+        await putLink(env, data.linkId, key, data);
+        await updateAccessLog(env, data);
       }
+      return jsonResponse({ success: true, expiresAt: data.expiresAt, expiresIn: schedule.hours });
     }
 
-    .result-box h3 {
-      color: var(--ios-success);
-      margin-bottom: 10px;
-      font-size: 18px;
-      font-weight: 600;
-      display: flex;
-      align-items: center;
-      gap: 8px;
+    // Replace content, password and view count stay the same
+    const parsed = parseContent(body, admission.caller.maxContentLength);
+    if (parsed.error) {
+      return errorResponse(parsed.error, parsed.params);
     }
 
-    .result-box h3::before {
-      content: '✓';
-      display: inline-flex;
-      align-items: center;
-      justify-content: center;
-      width: 24px;
-      height: 24px;
-      background: var(--ios-success);
-      color: white;
-      border-radius: 50%;
-      font-size: 14px;
-      font-weight: 700;
+    // New chunks are written before the record points to them, the old ones removed after
+    const previousChunks = data.chunks;
+    await storeContent(env, data, parsed.content);
+    applyEncryption(data, parsed);
+    if (parsed.format) {
+      data.format = parsed.format;
     }
+    await putRecord(env, key, data);
+    await deleteChunks(env, previousChunks);
+    return jsonResponse({ success: true, expiresAt: data.expiresAt, format: data.format || DEFAULT_FORMAT });
+  } catch (error) {
+    console.error('Manage error:', error);
+    return errorResponse('SERVER_ERROR');
+  }
+}
 
-    .result-box p {
-      color: var(--ios-fg-secondary);
-      font-size: 13px;
-      margin-bottom: 20px;
-      line-height: 1.5;
+// API: Admin routes (list, stats, delete, purge, reveal content)
+async function handleAdminApi(request, env, route) {
+  try {
+    if (!getStorage(env)) {
+      return errorResponse('STORAGE_NOT_CONFIGURED');
     }
 
-    .result-item {
-      margin-bottom: 18px;
+    if (!env.ADMIN_PASSWORD) {
+      return errorResponse('ADMIN_NOT_CONFIGURED');
     }
 
-    .result-item:last-child {
-      margin-bottom: 0;
+    // Rate limiting, plus the failed lookup lockout against password guessing
+    const ip = getClientIp(request);
+    const limit = await checkRateLimit(ip, env);
+    if (!limit.allowed) {
+      return withRetryAfter(errorResponse('RATE_LIMITED'), limit.retryAfter);
     }
 
-    .result-item label {
-      display: block;
-      margin-bottom: 8px;
-      color: var(--ios-fg-secondary);
-      font-size: 12px;
-      font-weight: 600;
-      text-transform: uppercase;
-      letter-spacing: 0.8px;
+    const lockout = await checkLockout(ip, env);
+    if (lockout) {
+      return withRetryAfter(errorResponse('TOO_MANY_FAILURES'), lockout);
     }
 
-    .result-value {
-      background: rgba(0, 0, 0, 0.3);
-      border: 1px solid var(--ios-border);
-      border-radius: 12px;
-      padding: 14px 16px;
-      font-size: 15px;
-      font-family: "SF Mono", Menlo, monospace;
-      word-break: break-all;
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-      gap: 12px;
-      transition: all 0.2s ease;
+    if (!(await checkAdminAuth(request, env))) {
+      await recordFailure(ip, env);
+      return errorResponse('UNAUTHORIZED');
     }
 
-    .result-value:hover {
-      background: rgba(0, 0, 0, 0.4);
+    const method = request.method;
+
+    if (route === 'pastes' && method === 'GET') {
+      const pastes = await listPastes(env);
+      return jsonResponse({ success: true, pastes, stats: summarizePastes(pastes) });
     }
 
-    .copy-btn {
-      padding: 8px 16px;
-      background: var(--ios-primary);
-      color: white;
-      border: none;
-      border-radius: 10px;
-      font-size: 13px;
-      font-weight: 600;
-      cursor: pointer;
-      white-space: nowrap;
-      transition: all 0.2s ease;
+    if (route === 'stats' && method === 'GET') {
+      const pastes = await listPastes(env);
+      return jsonResponse({ success: true, stats: summarizePastes(pastes) });
     }
 
-    .copy-btn:hover {
-      background: #0066d6;
-      transform: scale(1.05);
+    if (route === 'purge' && method === 'POST') {
+      return jsonResponse({ success: true, ...(await purgeStorage(env)) });
     }
 
-    .copy-btn:active {
-      transform: scale(0.95);
+    if (route === 'keys' && method === 'GET') {
+      return jsonResponse({ success: true, keys: await listApiKeys(env) });
     }
 
-    .char-count {
-      text-align: right;
-      color: var(--ios-fg-secondary);
-      font-size: 12px;
-      margin-top: 8px;
-      font-weight: 500;
+    if (route === 'keys' && method === 'POST') {
+      return createApiKey(request, env);
     }
 
-    .char-count.warning {
-      color: var(--ios-warning);
+    const keyMatch = route.match(/^keys\/([0-9a-f]{64})$/);
+    if (keyMatch && method === 'DELETE') {
+      const name = API_KEY_PREFIX + keyMatch[1];
+      if (!(await getStorage(env).get(name))) {
+        return errorResponse('NOT_FOUND');
+      }
+      await getStorage(env).delete(name);
+      return jsonResponse({ success: true });
     }
 
-    /* iOS-style segmented control */
-    .segmented-control {
-      display: flex;
-      background: var(--ios-glass);
-      border-radius: 12px;
-      padding: 4px;
-      margin-bottom: 24px;
-      border: 1px solid var(--ios-border);
+    const match = route.match(/^pastes\/([A-Za-z0-9:]+)(\/content)?$/);
+    if (match && isRecordKey(match[1])) {
+      const id = match[1];
+      const data = await getStorage(env).get(id, { type: 'json' });
+      if (!data) {
+        return errorResponse('NOT_FOUND');
+      }
+
+      // Deleting does not require reading the content
+      if (!match[2] && method === 'DELETE') {
+        await deleteRecord(env, id, data);
+        return jsonResponse({ success: true });
+      }
+
+      // Content is only revealed on this explicit request and does not count as a view
+      if (match[2] && method === 'GET') {
+        return jsonResponse({
+          success: true,
+          id,
+          content: (await loadContent(env, data)) || '',
+          encrypted: !!data.encrypted,
+          consumed: !!data.consumed
+        });
+      }
     }
 
-    .segment {
-      flex: 1;
-      padding: 12px;
-      text-align: center;
-      font-size: 14px;
-      font-weight: 500;
-      color: var(--ios-fg-secondary);
-      border-radius: 10px;
-      cursor: pointer;
-      transition: all 0.3s ease;
+    return errorResponse('NOT_FOUND');
+  } catch (error) {
+    console.error('Admin error:', error);
+    return errorResponse('SERVER_ERROR');
+  }
+}
+
+// Admin: Create a stored API key, the key is returned once and only its hash is kept
+async function createApiKey(request, env) {
+  if (!validateContentType(request)) {
+    return errorResponse('INVALID_CONTENT_TYPE');
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return errorResponse('INVALID_JSON');
+  }
+
+  const { name, rateLimit, maxContentLength } = body;
+  const inRange = (value, max) => value === undefined || (Number.isInteger(value) && value > 0 && value <= max);
+  if (!validateString(name, 1, 64) || !inRange(rateLimit, API_KEY_MAX_RATE_LIMIT) ||
+      !inRange(maxContentLength, API_KEY_MAX_CONTENT_LIMIT)) {
+    return errorResponse('INVALID_API_KEY_SETTINGS');
+  }
+
+  const key = generateToken(32);
+  const id = await sha256Hex(key);
+  const entry = { name, createdAt: new Date().toISOString() };
+  if (rateLimit) entry.rateLimit = rateLimit;
+  if (maxContentLength) entry.maxContentLength = maxContentLength;
+
+  await getStorage(env).put(API_KEY_PREFIX + id, JSON.stringify(entry));
+  return jsonResponse({ success: true, key, id, ...entry });
+}
+
+// Admin: Stored API keys with their limits (the API_KEYS secret is not listed)
+async function listApiKeys(env) {
+  const keys = await listAllKeys(env, API_KEY_PREFIX);
+  return Promise.all(keys.map(async (key) => {
+    const entry = await getStorage(env).get(key.name, { type: 'json' });
+    return {
+      id: key.name.slice(API_KEY_PREFIX.length),
+      name: entry ? entry.name : null,
+      createdAt: entry ? entry.createdAt : null,
+      rateLimit: (entry && entry.rateLimit) || API_KEY_RATE_LIMIT,
+      maxContentLength: (entry && entry.maxContentLength) || apiKeyContentLimit(env)
+    };
+  }));
+}
+
+// API: OpenAPI document for /api/v1, generated from the limits and the error catalog
+function buildOpenApiSpec(origin, env) {
+  const ref = name => ({ $ref: `#/components/schemas/${name}` });
+  const json = schema => ({ 'application/json': { schema } });
+
+  // Group the codes an operation can answer with by HTTP status
+  const errors = (...codes) => {
+    const responses = {};
+    for (const code of codes) {
+      const { status } = ERRORS[code];
+      const message = errorMessage('en', code);
+      const response = responses[status] || (responses[status] = { description: '', content: json(ref('Error')) });
+      response.description += `${response.description ? ', ' : ''}${code} (${message})`;
+    }
+    if (responses[429]) {
+      responses[429].headers = { 'Retry-After': { description: 'Seconds until the client may try again', schema: { type: 'integer' } } };
+    }
+    return responses;
+  };
+
+  const common = ['INVALID_CONTENT_TYPE', 'INVALID_JSON', 'INVALID_API_KEY', 'RATE_LIMITED', 'SERVER_ERROR', 'STORAGE_NOT_CONFIGURED'];
+  // Anonymous callers are welcome, an API key raises the limits
+  const optionalApiKey = [{}, { apiKey: [] }];
+  const manage = (summary, schema, extraCodes = [], result = ref('ManageResult')) => ({
+    post: {
+      summary,
+      security: optionalApiKey,
+      requestBody: { required: true, content: json(schema) },
+      responses: {
+        200: { description: 'Done', content: json(result) },
+        ...errors(...common, 'INVALID_PASSWORD', 'INVALID_MANAGE_TOKEN_FORMAT', 'INVALID_MANAGE_TOKEN',
+          'PASTE_NOT_FOUND', 'EXPIRED', 'TOO_MANY_FAILURES', ...extraCodes)
+      }
+    }
+  });
+  const admin = (summary, method, codes = [], requestBody) => ({
+    [method]: {
+      summary,
+      security: [{ adminPassword: [] }],
+      ...(requestBody && { requestBody: { required: true, content: json(requestBody) } }),
+      responses: {
+        200: { description: 'Done', content: json({ type: 'object' }) },
+        ...errors('UNAUTHORIZED', 'RATE_LIMITED', 'TOO_MANY_FAILURES', 'ADMIN_NOT_CONFIGURED', 'SERVER_ERROR', ...codes)
+      }
     }
+  });
 
-    .segment.active {
-      background: var(--ios-primary);
-      color: white;
-      box-shadow: 0 4px 12px rgba(0, 122, 255, 0.4);
+  const password = { type: 'string', minLength: 1, maxLength: MAX_PASSPHRASE_LENGTH };
+  const maxHours = maxExpiryHours(env);
+  const expiryFields = {
+    expiryHours: { type: 'number', exclusiveMinimum: 0, maximum: maxHours, default: DEFAULT_EXPIRY_HOURS, description: 'Counted from the release' },
+    expiresAt: { type: 'string', format: 'date-time', description: `Absolute expiry, takes precedence over expiryHours (at most ${maxHours} hours after the release)` }
+  };
+  const contentFields = {
+    content: { type: 'string', description: `Plain text up to ${formatSize(contentLimit(env))} of UTF-8 (${formatSize(apiKeyContentLimit(env))} with an API key unless the key sets its own limit), or base64 AES-GCM ciphertext of that size` },
+    encrypted: { type: 'boolean' },
+    iv: { type: 'string', description: 'Base64 AES-GCM IV, required when encrypted' },
+    format: { type: 'string', enum: ['auto', ...FORMAT_IDS], description: `How the web page renders the content (default ${DEFAULT_FORMAT}). auto detects it from plaintext, encrypted content stays ${DEFAULT_FORMAT}. Replacing content keeps the format unless given, reads answer the stored one` }
+  };
+  const attachmentList = {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { index: { type: 'integer' }, name: { type: 'string' }, size: { type: 'integer' }, type: { type: 'string' } }
+    }
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'TempShare API',
+      version: API_VERSION,
+      description: 'Unversioned /api/<route> paths are aliases of /api/v1/<route>. Errors answer { success: false, code, message }; GET /raw answers the message as text with the code in an X-Error-Code header.'
+    },
+    servers: [{ url: `${origin}/api/v1` }],
+    paths: {
+      '/upload': {
+        post: {
+          summary: 'Create a paste',
+          security: optionalApiKey,
+          requestBody: {
+            required: true,
+            content: {
+              ...json(ref('UploadRequest')),
+              'text/plain': { schema: { type: 'string' } },
+              'application/x-www-form-urlencoded': { schema: ref('UploadRequest') },
+              'multipart/form-data': {
+                schema: {
+                  allOf: [ref('UploadRequest'), {
+                    type: 'object',
+                    properties: {
+                      file: { type: 'array', maxItems: MAX_ATTACHMENTS, items: { type: 'string', contentMediaType: 'application/octet-stream' }, description: `Attachments of up to ${formatSize(attachmentLimit(env))} each, content becomes optional` }
+                    }
+                  }]
+                }
+              },
+              'application/octet-stream': { schema: { type: 'string', contentMediaType: 'application/octet-stream' }, description: 'A single file streamed as the body (any media type), with ?filename= and the other fields in the query string' }
+            }
+          },
+          parameters: [
+            { name: 'filename', in: 'query', schema: { type: 'string' }, description: 'Name of a file sent as the whole body' }
+          ],
+          responses: {
+            200: { description: 'Created', content: json(ref('UploadResult')) },
+            ...errors(...common, 'INVALID_FORM_DATA', 'CONTENT_REQUIRED', 'CONTENT_TOO_LARGE', 'INVALID_ENCRYPTED_PAYLOAD',
+              'INVALID_VIEW_LIMIT', 'INVALID_PASSWORD', 'INVALID_PASSPHRASE', 'PASSPHRASE_WHITESPACE', 'PASSPHRASE_TOO_WEAK',
+              'PASSWORD_IN_USE', 'INVALID_EXPIRY', 'INVALID_NOT_BEFORE', 'INVALID_FORMAT', 'FILE_TOO_LARGE', 'TOO_MANY_FILES',
+              'TOO_MANY_FAILURES', 'LENGTH_REQUIRED', 'UPLOAD_TOO_LARGE', 'FILES_NOT_CONFIGURED')
+          }
+        }
+      },
+      '/view': {
+        post: {
+          summary: 'Read a paste (counts as a view)',
+          security: optionalApiKey,
+          requestBody: { required: true, content: json(ref('ViewRequest')) },
+          responses: {
+            200: { description: 'Paste', content: json(ref('ViewResult')) },
+            ...errors(...common, 'INVALID_PASSWORD', 'PASTE_NOT_FOUND', 'EXPIRED', 'CONSUMED', 'LOCKED', 'TOO_MANY_FAILURES',
+              'INVALID_DATA')
+          }
+        }
+      },
+      '/raw': {
+        get: {
+          summary: 'Read a paste as text/plain (counts as a view)',
+          security: optionalApiKey,
+          parameters: [
+            { name: RAW_PASSWORD_HEADER, in: 'header', required: true, schema: password },
+            { name: 'id', in: 'query', schema: { type: 'string' } }
+          ],
+          responses: {
+            200: {
+              description: `Paste content, the last allowed view of a paste with files sends their download token in ${DOWNLOAD_TOKEN_HEADER}`,
+              content: { 'text/plain': { schema: { type: 'string' } } }
+            },
+            ...Object.fromEntries(Object.entries(
+              errors('INVALID_PASSWORD', 'PASTE_NOT_FOUND', 'EXPIRED', 'CONSUMED', 'LOCKED', 'INVALID_API_KEY', 'RATE_LIMITED',
+                'TOO_MANY_FAILURES', 'SERVER_ERROR', 'STORAGE_NOT_CONFIGURED')
+            ).map(([status, response]) => [status, { ...response, content: { 'text/plain': { schema: { type: 'string' } } } }]))
+          }
+        }
+      },
+      '/file': {
+        post: {
+          summary: 'Download an attachment (does not count as a view)',
+          security: optionalApiKey,
+          requestBody: { required: true, content: json(ref('FileRequest')) },
+          responses: {
+            200: {
+              description: 'File content, named in Content-Disposition',
+              headers: { 'Content-Disposition': { schema: { type: 'string' } } },
+              content: { 'application/octet-stream': { schema: { type: 'string', contentMediaType: 'application/octet-stream' } } }
+            },
+            ...errors(...common, 'INVALID_PASSWORD', 'PASTE_NOT_FOUND', 'ATTACHMENT_NOT_FOUND', 'DOWNLOAD_TOKEN_REQUIRED', 'EXPIRED', 'CONSUMED', 'LOCKED',
+              'TOO_MANY_FAILURES', 'INVALID_DATA', 'FILES_NOT_CONFIGURED')
+          }
+        }
+      },
+      '/manage/delete': manage('Delete a paste', ref('ManageRequest')),
+      '/manage/expiry': manage('Reset the expiry', ref('ManageExpiryRequest'), ['CONSUMED', 'INVALID_EXPIRY']),
+      '/manage/content': manage('Replace the content', ref('ManageContentRequest'),
+        ['CONSUMED', 'CONTENT_REQUIRED', 'CONTENT_TOO_LARGE', 'INVALID_ENCRYPTED_PAYLOAD', 'INVALID_FORMAT']),
+      '/manage/log': manage('Read the access log', ref('ManageRequest'), [], ref('AccessLog')),
+      '/admin/pastes': admin('List pastes with stats', 'get'),
+      '/admin/stats': admin('Paste statistics', 'get'),
+      '/admin/purge': admin('Delete every paste with its links and access logs, repeated while the answer says complete: false', 'post'),
+      '/admin/pastes/{id}': admin('Delete a paste', 'delete', ['NOT_FOUND']),
+      '/admin/pastes/{id}/content': admin('Reveal the content of a paste', 'get', ['NOT_FOUND']),
+      '/admin/keys': {
+        ...admin('List stored API keys', 'get'),
+        ...admin('Create an API key (returned once)', 'post', ['INVALID_CONTENT_TYPE', 'INVALID_JSON', 'INVALID_API_KEY_SETTINGS'],
+          ref('ApiKeyRequest'))
+      },
+      '/admin/keys/{id}': admin('Revoke a stored API key', 'delete', ['NOT_FOUND'])
+    },
+    components: {
+      securitySchemes: {
+        adminPassword: { type: 'http', scheme: 'bearer', description: 'The ADMIN_PASSWORD secret' },
+        apiKey: { type: 'apiKey', in: 'header', name: API_KEY_HEADER, description: `Raises the rate limit to ${API_KEY_RATE_LIMIT} requests per minute unless the key sets its own` }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['success', 'code', 'message'],
+          properties: {
+            success: { const: false },
+            code: { type: 'string', enum: Object.keys(ERRORS) },
+            message: { type: 'string' },
+            notBefore: { type: 'string', format: 'date-time', description: 'Release time, only with LOCKED' }
+          }
+        },
+        UploadRequest: {
+          type: 'object',
+          description: 'content is required unless files are attached',
+          properties: {
+            ...contentFields,
+            ...expiryFields,
+            notBefore: { type: 'string', format: 'date-time', description: `Release time, reads answer LOCKED until then (at most ${maxHours} hours ahead)` },
+            maxViews: { type: 'integer', minimum: 0, maximum: MAX_VIEWS_LIMIT, description: '0 or omitted is unlimited, 1 burns after reading' },
+            password: { ...password, minLength: MIN_PASSPHRASE_LENGTH, description: 'Custom passphrase, generated when omitted' }
+          }
+        },
+        UploadResult: {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            password: { type: 'string' },
+            manageToken: { type: 'string' },
+            id: { type: 'string' },
+            url: { type: 'string', format: 'uri' },
+            shareUrl: { type: 'string', format: 'uri' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            expiresIn: { type: 'number', description: 'Hours between the release and the expiry' },
+            notBefore: { type: ['string', 'null'], format: 'date-time' },
+            maxViews: { type: ['integer', 'null'] },
+            format: { type: 'string', enum: FORMAT_IDS },
+            attachments: attachmentList
+          }
+        },
+        ViewRequest: {
+          type: 'object',
+          required: ['password'],
+          properties: { password, id: { type: 'string', description: 'Link id, rejects a password of another paste' } }
+        },
+        ViewResult: {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            ...contentFields,
+            createdAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            views: { type: 'integer' },
+            maxViews: { type: ['integer', 'null'] },
+            remainingViews: { type: ['integer', 'null'] },
+            attachments: attachmentList,
+            downloadToken: { type: 'string', description: `Only for a paste with files and a view limit, lets this reader download them for ${DOWNLOAD_GRACE_PERIOD / 60} minutes` }
+          }
+        },
+        FileRequest: {
+          type: 'object',
+          required: ['password', 'index'],
+          properties: {
+            password,
+            id: { type: 'string', description: 'Link id, rejects a password of another paste' },
+            index: { type: 'integer', minimum: 0 },
+            downloadToken: { type: 'string', description: 'Required when the paste has a view limit, returned by the view' }
+          }
+        },
+        ManageRequest: {
+          type: 'object',
+          required: ['password', 'manageToken'],
+          properties: { password, manageToken: { type: 'string' } }
+        },
+        ManageExpiryRequest: {
+          allOf: [ref('ManageRequest'), {
+            type: 'object',
+            properties: expiryFields
+          }]
+        },
+        ManageContentRequest: {
+          allOf: [ref('ManageRequest'), { type: 'object', required: ['content'], properties: contentFields }]
+        },
+        ApiKeyRequest: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: 64 },
+            rateLimit: { type: 'integer', minimum: 1, maximum: API_KEY_MAX_RATE_LIMIT, default: API_KEY_RATE_LIMIT },
+            maxContentLength: { type: 'integer', minimum: 1, maximum: API_KEY_MAX_CONTENT_LIMIT, default: apiKeyContentLimit(env), description: 'Bytes of UTF-8' }
+          }
+        },
+        ManageResult: {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            expiresAt: { type: 'string', format: 'date-time' },
+            expiresIn: { type: 'number' }
+          }
+        },
+        AccessLog: {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            views: { type: 'integer' },
+            entries: {
+              type: 'array',
+              description: `Newest first, at most ${ACCESS_LOG_LIMIT}. Wrong passwords are only logged when sent with the link id`,
+              items: {
+                type: 'object',
+                required: ['at', 'action', 'success'],
+                properties: {
+                  at: { type: 'string', format: 'date-time' },
+                  action: { type: 'string', enum: ['view', 'raw', 'file', 'upload'], description: 'upload: the passphrase was tried for a new share' },
+                  success: { type: 'boolean' },
+                  code: { type: 'string', enum: Object.keys(ERRORS), description: 'Why the read failed' },
+                  country: { type: ['string', 'null'], description: 'CF-IPCountry of the client' },
+                  network: { type: ['string', 'null'], description: 'Client network, IPv4 /24 or IPv6 /48' },
+                  agent: { type: ['string', 'null'], description: 'Browser or client family' }
+                }
+              }
+            }
+          }
+        }
+      }
     }
+  };
+}
+
+// Admin: Metadata of every stored paste (never includes content)
+async function listPastes(env) {
+  const keys = (await listAllKeys(env)).filter(key => isRecordKey(key.name));
 
-    /* View content header */
-    .view-header {
-      text-align: center;
-      margin-bottom: 20px;
+  return Promise.all(keys.map(async (key) => {
+    let metadata = key.metadata;
+
+    // Records written before metadata existed
+    if (!metadata) {
+      const data = await getStorage(env).get(key.name, { type: 'json' });
+      metadata = buildMetadata(data || {});
     }
 
-    .view-header h3 {
-      font-size: 20px;
-      font-weight: 600;
-      margin-bottom: 4px;
+    return {
+      id: key.name,
+      ...metadata,
+      expired: !!metadata.expiresAt && new Date(metadata.expiresAt) < new Date()
+    };
+  }));
+}
+
+// Admin: Delete every paste with its chunks, links and access logs, then the attachment objects
+// Returns { deleted, complete }: deleted counts the pastes, complete is false while PURGE_LIMIT left work for another call
+async function purgeStorage(env) {
+  const storage = getStorage(env);
+  let deleted = 0;
+
+  const deletions = [];
+  for (const { name } of await listAllKeys(env)) {
+    if (name.startsWith(LINK_KEY_PREFIX)) {
+      // The access log may live in the Coordinator, only the link still names it
+      deletions.push(async () => {
+        await deleteAccessLog(env, name.slice(LINK_KEY_PREFIX.length));
+        await storage.delete(name);
+      });
+    } else if (name.startsWith(CHUNK_KEY_PREFIX) || name.startsWith(ACCESS_LOG_KEY_PREFIX)) {
+      deletions.push(() => storage.delete(name));
+    } else if (isRecordKey(name)) {
+      deletions.push(async () => {
+        await storage.delete(name);
+        deleted++;
+      });
     }
+  }
+
+  const batch = deletions.slice(0, PURGE_LIMIT);
+  for (let i = 0; i < batch.length; i += PURGE_BATCH_SIZE) {
+    await Promise.all(batch.slice(i, i + PURGE_BATCH_SIZE).map(deletion => deletion()));
+  }
+  const complete = deletions.length <= PURGE_LIMIT;
 
-    .view-header p {
-      color: var(--ios-fg-secondary);
-      font-size: 13px;
+  // Once no record lists them any more; R2 deletes at most 1000 keys per call, the same as a list page
+  if (complete && env.FILES) {
+    const objects = await listAttachmentObjects(env);
+    for (let i = 0; i < objects.length; i += 1000) {
+      await env.FILES.delete(objects.slice(i, i + 1000).map(object => object.key));
     }
+  }
 
-    @media (max-width: 480px) {
-      .container {
-        padding: 28px 20px;
-        border-radius: 20px;
-      }
+  return { deleted, complete };
+}
 
-      h1 {
-        font-size: 24px;
-      }
+// Admin: Totals over a paste listing
+function summarizePastes(pastes) {
+  return {
+    total: pastes.length,
+    active: pastes.filter(paste => !paste.expired && !paste.consumed).length,
+    expired: pastes.filter(paste => paste.expired).length,
+    consumed: pastes.filter(paste => paste.consumed).length,
+    encrypted: pastes.filter(paste => paste.encrypted).length,
+    views: pastes.reduce((sum, paste) => sum + (paste.views || 0), 0),
+    size: pastes.reduce((sum, paste) => sum + (paste.size || 0), 0)
+  };
+}
 
-      .result-value {
-        flex-direction: column;
-        align-items: flex-start;
-      }
+// Page: Share link, the home page opened on the view tab for one paste
+async function handleSharePage(env, linkId, locale = DEFAULT_LOCALE) {
+  try {
+    const storage = getStorage(env);
+    if (!storage) {
+      return handleErrorPage(500, locale);
+    }
 
-      .copy-btn {
-        width: 100%;
-        margin-top: 10px;
-      }
+    const link = await storage.get(LINK_KEY_PREFIX + linkId, { type: 'json' });
+    if (!link) {
+      return handleErrorPage(404, locale);
+    }
 
-      textarea, input[type="text"], select {
-        padding: 14px 16px;
-      }
+    // Link outlives its record: expired, consumed or deleted by the owner
+    const data = await storage.get(link.key, { type: 'json' });
+    if (!data || data.consumed || new Date(data.expiresAt) < new Date()) {
+      return handleErrorPage(410, locale);
+    }
 
-      button {
-        padding: 14px;
-      }
+    return handleHomePage({
+      shareId: linkId,
+      maxContentBytes: contentLimit(env),
+      maxFileBytes: env.FILES ? attachmentLimit(env) : 0,
+      maxUploadBytes: uploadBodyLimit(env, contentLimit(env), 'multipart/form-data'),
+      locale
+    });
+  } catch (error) {
+    console.error('Share page error:', error);
+    return handleErrorPage(500, locale);
+  }
+}
+
+// Page: Error pages (404 unknown, 410 gone, 500 server error), texts under errorPage.<status> in the catalog
+function handleErrorPage(status, locale = DEFAULT_LOCALE) {
+  const page = {
+    title: translate(locale, `errorPage.${status}.title`),
+    message: translate(locale, `errorPage.${status}.message`)
+  };
+  const html = `
+<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${status} ${page.title} - TempShare</title>
+  <meta name="theme-color" content="#000000">
+  <link rel="stylesheet" href="${assetPath('error.css')}">
+</head>
+<body>
+  <div class="container">
+    <div class="status">${status}</div>
+    <h1>${page.title}</h1>
+    <p>${page.message}</p>
+    <a href="/">${translate(locale, 'errorPage.home')}</a>
+  </div>
+</body>
+</html>
+  `;
+  return htmlResponse(html, status);
+}
+
+// Page: Static assets (the renderer, page scripts and styles)
+// A hash from an older deployment still gets the current file, but it is not cached
+function handleAsset(name, hash) {
+  const asset = loadAsset(name);
+  return new Response(asset.body, {
+    headers: {
+      'Content-Type': asset.type,
+      'Cache-Control': hash === asset.hash ? `public, max-age=${ASSET_MAX_AGE}, immutable` : 'no-cache',
+      ...SECURITY_HEADERS
     }
+  });
+}
 
-    /* Loading spinner */
-    .spinner {
-      display: inline-block;
-      width: 16px;
-      height: 16px;
-      border: 2px solid rgba(255, 255, 255, 0.3);
-      border-radius: 50%;
-      border-top-color: white;
-      animation: spin 0.8s linear infinite;
-      margin-right: 8px;
-      vertical-align: middle;
+// Page: Web app manifest, installs the home page and registers it as a share target
+function handleManifest(locale) {
+  const manifest = {
+    name: 'TempShare',
+    short_name: 'TempShare',
+    description: translate(locale, 'page.description'),
+    lang: locale,
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    background_color: APP_BACKGROUND_COLOR,
+    theme_color: '#000000',
+    icons: [{ src: assetPath('icon.svg'), sizes: 'any', type: 'image/svg+xml' }],
+    share_target: {
+      action: SHARE_TARGET_PATH,
+      method: 'POST',
+      enctype: 'multipart/form-data',
+      params: { title: 'title', text: 'text', url: 'url' }
+    }
+  };
+  return new Response(JSON.stringify(manifest), {
+    headers: {
+      'Content-Type': 'application/manifest+json; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      ...SECURITY_HEADERS
     }
+  });
+}
 
-    @keyframes spin {
-      to { transform: rotate(360deg); }
+// Page: Service worker, at the root so it controls the whole site
+// It embeds the hashed shell assets: every deployment that changes them also changes the worker
+function handleServiceWorker() {
+  const assets = SHELL_ASSETS.map(assetPath);
+  const options = { version: contentHash(assets.join()), assets };
+  return new Response(`(${serviceWorker.toString()})(${JSON.stringify(options)});\n`, {
+    headers: {
+      'Content-Type': 'text/javascript; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      ...SECURITY_HEADERS
     }
+  });
+}
 
-    button.loading {
-      opacity: 0.7;
-      pointer-events: none;
+// Utility: Text shared through the Web Share Target form (title, text and link, repeats left out)
+async function readSharedText(request) {
+  let form;
+  try {
+    form = await request.formData();
+  } catch (error) {
+    return '';
+  }
+  const parts = [];
+  for (const name of ['title', 'text', 'url']) {
+    const value = typeof form.get(name) === 'string' ? form.get(name).trim() : '';
+    if (value && !parts.some(part => part.includes(value))) {
+      parts.push(value);
     }
-  </style>
+  }
+  return parts.join('\n');
+}
+
+// Page: Home page / Upload page (maxFileBytes is 0 when no bucket is bound, which hides the file picker)
+// sharedText prefills the content, it comes from the Web Share Target
+function handleHomePage({ shareId = '', maxContentBytes = DEFAULT_MAX_CONTENT_BYTES, maxFileBytes = 0, maxUploadBytes = MAX_UPLOAD_BODY_BYTES, locale = DEFAULT_LOCALE, sharedText = '' } = {}) {
+  const t = (key, params) => translate(locale, key, params);
+  const formatOptions = renderer.formats
+    .map(({ id, label }) => `<option value="${id}">${id === DEFAULT_FORMAT ? t('page.format.plain') : label}</option>`)
+    .join('');
+  const languageLinks = LOCALES.filter(entry => entry !== locale)
+    .map(entry => `<a href="?lang=${entry}" data-lang="${entry}" lang="${entry}">${LOCALE_NAMES[entry]}</a>`)
+    .join('');
+  const nonce = generateNonce();
+  const html = `
+<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
+  <title>${t('page.title')}</title>
+  <meta name="description" content="${t('page.description')}">
+  <meta name="theme-color" content="#000000">
+  <link rel="manifest" href="${MANIFEST_PATH}">
+  <link rel="icon" href="${assetPath('icon.svg')}" type="image/svg+xml">
+  <link rel="stylesheet" href="${assetPath('home.css')}">
 </head>
-<body>
+<body data-share-id="${shareId}" data-max-bytes="${maxContentBytes}" data-max-file-bytes="${maxFileBytes}" data-max-upload-bytes="${maxUploadBytes}" data-max-files="${MAX_ATTACHMENTS}">
   <div class="container glass">
+    <div class="lang-switch">${languageLinks}</div>
     <h1>TempShare</h1>
-    <p class="subtitle">临时内容分享 · 安全便捷</p>
+    <p class="subtitle">${t('page.subtitle')}</p>
 
     <!-- Segmented Control -->
     <div class="segmented-control">
-      <div class="segment active" id="uploadTab" onclick="switchTab('upload')">上传</div>
-      <div class="segment" id="viewTab" onclick="switchTab('view')">查看</div>
+      <div class="segment active" id="uploadTab">${t('page.tab.upload')}</div>
+      <div class="segment" id="viewTab">${t('page.tab.view')}</div>
     </div>
 
     <div id="message" class="message"></div>
 
+    <!-- Upload Queue (uploads that failed offline, kept in IndexedDB by the page script) -->
+    <div id="queueBanner" class="queue">
+      <span id="queueText"></span>
+      <button type="button" class="copy-btn" id="queueRetry">${t('page.queue.retry')}</button>
+    </div>
+
     <!-- Upload Form -->
     <form id="uploadForm">
       <div class="form-group">
-        <label for="content">分享内容</label>
-        <textarea id="content" placeholder="输入要分享的内容，最多 10KB..." required maxlength="10240"></textarea>
-        <div class="char-count" id="charCount">0 / 10,240</div>
+        <label for="content">${t('page.content.label')}</label>
+        <textarea id="content" placeholder="${t('page.content.placeholder', { max: formatSize(maxContentBytes) })}">${escapeHtml(sharedText)}</textarea>
+        <div class="char-count" id="charCount">0 B / ${formatSize(maxContentBytes)}</div>
+      </div>
+
+      <div class="form-group"${maxFileBytes ? '' : ' hidden'}>
+        <label for="files">${t('page.files.label')}</label>
+        <input type="file" id="files" multiple>
+        <div class="hint">${t('page.files.hint', { count: MAX_ATTACHMENTS, max: formatSize(maxFileBytes), total: formatSize(maxUploadBytes) })}</div>
+      </div>
+
+      <div class="form-group">
+        <label for="format">${t('page.format.label')}</label>
+        <select id="format">
+          <option value="auto" selected>${t('page.format.auto')}</option>
+          ${formatOptions}
+        </select>
+        <div class="hint">${t('page.format.hint')}</div>
       </div>
 
       <div class="form-group">
-        <label for="expiry">过期时间</label>
+        <label for="expiry">${t('page.expiry.label')}</label>
         <select id="expiry">
-          <option value="1">1 小时</option>
-          <option value="6">6 小时</option>
-          <option value="24" selected>24 小时</option>
-          <option value="168">7 天</option>
+          <option value="1">${t('page.expiry.1h')}</option>
+          <option value="6">${t('page.expiry.6h')}</option>
+          <option value="24" selected>${t('page.expiry.24h')}</option>
+          <option value="168">${t('page.expiry.7d')}</option>
+          <option value="custom">${t('page.expiry.custom')}</option>
+        </select>
+        <input type="datetime-local" id="expiresAt">
+      </div>
+
+      <div class="form-group">
+        <label class="checkbox-row" for="useNotBefore">
+          <input type="checkbox" id="useNotBefore">
+          ${t('page.notBefore.label')}
+        </label>
+        <div id="notBeforeGroup">
+          <input type="datetime-local" id="notBefore">
+          <div class="hint">${t('page.notBefore.hint')}</div>
+        </div>
+      </div>
+
+      <div class="form-group">
+        <label for="maxViews">${t('page.maxViews.label')}</label>
+        <select id="maxViews">
+          <option value="0" selected>${t('page.maxViews.unlimited')}</option>
+          <option value="1">${t('page.maxViews.burn')}</option>
+          <option value="3">${t('page.maxViews.count', { count: 3 })}</option>
+          <option value="10">${t('page.maxViews.count', { count: 10 })}</option>
         </select>
       </div>
 
-      <button type="submit" id="uploadBtn">创建分享</button>
+      <div class="form-group">
+        <label class="checkbox-row" for="useCustomPassword">
+          <input type="checkbox" id="useCustomPassword">
+          ${t('page.customPassword.label')}
+        </label>
+        <div id="customPasswordGroup">
+          <input type="text" id="customPassword" placeholder="${t('page.customPassword.placeholder')}" maxlength="128" autocomplete="off">
+          <div class="strength-meter"><div class="strength-bar" id="strengthBar"></div></div>
+          <div class="hint" id="strengthText">${t('client.strengthEmpty')}</div>
+        </div>
+      </div>
+
+      <div class="form-group">
+        <label class="checkbox-row" for="encrypt">
+          <input type="checkbox" id="encrypt">
+          ${t('page.encrypt.label')}
+        </label>
+        <div class="hint">${t('page.encrypt.hint')}</div>
+      </div>
+
+      <button type="submit" id="uploadBtn">${t('client.uploadSubmit')}</button>
     </form>
 
     <!-- Result Box -->
     <div id="resultBox" class="result-box">
-      <h3>上传成功</h3>
-      <p>请妥善保存访问密码，内容将在指定时间后自动删除</p>
+      <h3>${t('page.result.title')}</h3>
+      <p>${t('page.result.notice')}</p>
 
       <div class="result-item">
-        <label>访问密码</label>
+        <label>${t('page.result.password')}</label>
         <div class="result-value">
           <span id="resultPassword"></span>
-          <button class="copy-btn" onclick="copyText('resultPassword')">复制</button>
+          <button class="copy-btn" data-copy="resultPassword">${t('page.copy')}</button>
+        </div>
+      </div>
+
+      <div class="result-item">
+        <label>${t('page.result.link')}</label>
+        <div class="result-value">
+          <span id="resultLink"></span>
+          <button class="copy-btn" data-copy="resultLink">${t('page.copy')}</button>
+        </div>
+      </div>
+
+      <div class="result-item">
+        <label>${t('page.result.manageToken')}</label>
+        <div class="result-value">
+          <span id="resultManageToken"></span>
+          <button class="copy-btn" data-copy="resultManageToken">${t('page.copy')}</button>
+        </div>
+      </div>
+
+      <div class="result-item" id="resultKeyItem">
+        <label>${t('page.result.key')}</label>
+        <div class="result-value">
+          <span id="resultKey"></span>
+          <button class="copy-btn" data-copy="resultKey">${t('page.copy')}</button>
         </div>
       </div>
 
       <div class="result-item">
-        <label>过期时间</label>
+        <label>${t('page.result.expiry')}</label>
         <div class="result-value">
           <span id="resultExpiry"></span>
         </div>
       </div>
 
-      <button class="secondary" onclick="resetForm()">分享新内容</button>
+      <button class="secondary" id="againBtn">${t('page.result.again')}</button>
     </div>
 
     <!-- View Form -->
-    <form id="viewForm" style="display: none;">
+    <form id="viewForm">
       <div class="view-header">
-        <h3>查看内容</h3>
-        <p>输入访问密码查看内容</p>
+        <h3>${t('page.view.title')}</h3>
+        <p>${t('page.view.intro')}</p>
       </div>
 
       <div class="form-group">
-        <label for="password">访问密码</label>
-        <input type="text" id="password" placeholder="输入 16 位访问密码" required maxlength="16" autocomplete="off">
+        <label for="password">${t('page.view.password')}</label>
+        <input type="text" id="password" placeholder="${t('page.view.passwordPlaceholder')}" required maxlength="128" autocomplete="off">
       </div>
 
-      <button type="submit" id="viewBtn">查看内容</button>
+      <div class="form-group">
+        <label for="decryptKey">${t('page.view.key')}</label>
+        <input type="text" id="decryptKey" placeholder="${t('page.view.keyPlaceholder')}" autocomplete="off">
+      </div>
+
+      <button type="submit" id="viewBtn">${t('client.viewSubmit')}</button>
     </form>
 
     <!-- View Result -->
     <div id="viewResult" class="result-box">
-      <h3 style="--ios-success: var(--ios-primary);">📄 内容详情</h3>
+      <h3>${t('page.details.title')}</h3>
       
-      <div class="result-item">
-        <label>内容</label>
-        <div class="result-value" style="align-items: flex-start; min-height: 80px; white-space: pre-wrap;">
-          <pre id="viewContent" style="margin: 0; font-family: inherit; font-size: 14px; line-height: 1.5; width: 100%;"></pre>
+      <div class="result-item" id="viewContentItem">
+        <div class="view-label-row">
+          <label>${t('page.details.content')}<span class="format-tag" id="viewFormat"></span></label>
+          <button type="button" class="copy-btn" id="rawToggle">${t('client.showRaw')}</button>
         </div>
+        <div class="result-value view-body">
+          <div id="viewContent" class="view-content"></div>
+        </div>
+      </div>
+
+      <div class="result-item" id="viewFilesItem">
+        <label>${t('page.details.files')}</label>
+        <div class="result-value file-list" id="viewFiles"></div>
       </div>
 
       <div class="result-item">
-        <label>过期时间</label>
+        <label>${t('page.details.expiry')}</label>
         <div class="result-value">
           <span id="viewExpiry"></span>
         </div>
       </div>
 
       <div class="result-item">
-        <label>访问次数</label>
+        <label>${t('page.details.views')}</label>
         <div class="result-value">
           <span id="viewViews"></span>
         </div>
       </div>
 
-      <button class="secondary" onclick="copyText('viewContent')">复制内容</button>
-      <button class="secondary" onclick="resetView()">返回</button>
-    </div>
-  </div>
-
-  <script>
-    const MAX_CHARS = 10240;
-
-    // Tab switching
-    function switchTab(tab) {
-      const uploadTab = document.getElementById('uploadTab');
-      const viewTab = document.getElementById('viewTab');
-      const uploadForm = document.getElementById('uploadForm');
-      const viewForm = document.getElementById('viewForm');
-      const resultBox = document.getElementById('resultBox');
-      const viewResult = document.getElementById('viewResult');
-
-      if (tab === 'upload') {
-        uploadTab.classList.add('active');
-        viewTab.classList.remove('active');
-        uploadForm.style.display = 'block';
-        viewForm.style.display = 'none';
-        resultBox.style.display = 'none';
-        viewResult.style.display = 'none';
-      } else {
-        viewTab.classList.add('active');
-        uploadTab.classList.remove('active');
-        viewForm.style.display = 'block';
-        uploadForm.style.display = 'none';
-        resultBox.style.display = 'none';
-        viewResult.style.display = 'none';
-      }
-      hideMessage();
-    }
-
-    // Character count
-    document.getElementById('content').addEventListener('input', function() {
-      const count = this.value.length;
-      const countEl = document.getElementById('charCount');
-      countEl.textContent = count.toLocaleString() + ' / 10,240';
-      if (count > MAX_CHARS * 0.9) {
-        countEl.classList.add('warning');
-      } else {
-        countEl.classList.remove('warning');
-      }
-    });
-
-    // Upload form
-    document.getElementById('uploadForm').addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const content = document.getElementById('content').value;
-      const expiryHours = parseInt(document.getElementById('expiry').value);
-      const btn = document.getElementById('uploadBtn');
-
-      // Show loading
-      btn.classList.add('loading');
-      btn.innerHTML = '<span class="spinner"></span>上传中...';
-
-      try {
-        const response = await fetch('/api/upload', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ content, expiryHours })
-        });
-
-        const result = await response.json();
-
-        // Reset button
-        btn.classList.remove('loading');
-        btn.textContent = '创建分享';
-
-        if (result.success) {
-          document.getElementById('uploadForm').style.display = 'none';
-          document.getElementById('resultBox').style.display = 'block';
-          document.getElementById('resultPassword').textContent = result.password;
-          document.getElementById('resultExpiry').textContent = new Date(result.expiresAt).toLocaleString('zh-CN', { 
-            year: 'numeric', 
-            month: 'short', 
-            day: 'numeric', 
-            hour: '2-digit', 
-            minute: '2-digit' 
-          });
-          showMessage('上传成功！请保存访问密码', 'success');
-        } else {
-          showMessage(escapeHtml(result.message || '上传失败'), 'error');
-        }
-      } catch (error) {
-        btn.classList.remove('loading');
-        btn.textContent = '创建分享';
-        showMessage('网络错误，请稍后重试', 'error');
-      }
-    });
-
-    // View form
-    document.getElementById('viewForm').addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const password = document.getElementById('password').value.trim();
-      const btn = document.getElementById('viewBtn');
+      <div class="result-item" id="viewRemainingItem">
+        <label>${t('page.details.remaining')}</label>
+        <div class="result-value">
+          <span id="viewRemaining"></span>
+        </div>
+      </div>
 
-      if (password.length !== 16) {
-        showMessage('密码必须是 16 位字符', 'error');
-        return;
-      }
+      <button class="secondary" id="copyViewBtn">${t('page.details.copy')}</button>
+      <button class="secondary" id="backBtn">${t('page.details.back')}</button>
+    </div>
 
-      // Show loading
-      btn.classList.add('loading');
-      btn.innerHTML = '<span class="spinner"></span>加载中...';
+    <!-- My Shares (kept in localStorage by the page script, nothing is sent to the server) -->
+    <div id="history" class="history">
+      <div class="history-header">
+        <h3>${t('page.history.title')}</h3>
+        <button type="button" class="copy-btn" id="historyForget">${t('page.history.forgetAll')}</button>
+      </div>
+      <form id="historyEnable">
+        <p class="hint">${t('page.history.intro')}</p>
+        <input type="password" id="historyNewPin" placeholder="${t('page.history.pinPlaceholder')}" autocomplete="new-password">
+        <button type="submit" class="secondary">${t('page.history.enable')}</button>
+      </form>
+      <form id="historyUnlock">
+        <input type="password" id="historyPin" placeholder="${t('page.history.pin')}" autocomplete="current-password" required>
+        <div class="hint" id="historyPending"></div>
+        <button type="submit" class="secondary">${t('page.history.unlock')}</button>
+      </form>
+      <ul class="history-list" id="historyList"></ul>
+    </div>
+  </div>
 
-      try {
-        const response = await fetch('/api/view', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ password })
-        });
+  <script type="application/json" id="messages">${scriptJson(messagesWithPrefix(locale, 'client.'))}</script>
+  <script nonce="${nonce}" src="${assetPath('render.js')}"></script>
+  <script nonce="${nonce}" src="${assetPath('home.js')}"></script>
+</body>
+</html>
+  `;
+  return htmlResponse(html, 200, nonce);
+}
 
-        const result = await response.json();
-
-        // Reset button
-        btn.classList.remove('loading');
-        btn.textContent = '查看内容';
-
-        if (result.success) {
-          document.getElementById('viewForm').style.display = 'none';
-          document.getElementById('viewResult').style.display = 'block';
-          document.getElementById('viewContent').textContent = result.content;
-          document.getElementById('viewExpiry').textContent = new Date(result.expiresAt).toLocaleString('zh-CN', { 
-            year: 'numeric', 
-            month: 'short', 
-            day: 'numeric', 
-            hour: '2-digit', 
-            minute: '2-digit' 
-          });
-          document.getElementById('viewViews').textContent = result.views + ' 次';
-        } else {
-          showMessage(escapeHtml(result.message || '查看失败'), 'error');
-        }
-      } catch (error) {
-        btn.classList.remove('loading');
-        btn.textContent = '查看内容';
-        showMessage('网络错误，请稍后重试', 'error');
-      }
-    });
+// Page: Admin dashboard
+function handleAdminPage(locale = DEFAULT_LOCALE) {
+  const t = key => translate(locale, key);
+  const nonce = generateNonce();
+  const html = `
+<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${t('admin.title')}</title>
+  <meta name="theme-color" content="#000000">
+  <link rel="stylesheet" href="${assetPath('admin.css')}">
+</head>
+<body>
+  <div class="container">
+    <h1>${t('admin.heading')}</h1>
 
-    // Copy text
-    function copyText(elementId) {
-      const text = document.getElementById(elementId).textContent;
-      if (!text) return;
-      
-      navigator.clipboard.writeText(text).then(() => {
-        showMessage('已复制到剪贴板', 'success');
-      }).catch(() => {
-        showMessage('复制失败', 'error');
-      });
-    }
+    <div id="message" class="message"></div>
 
-    // Reset forms
-    function resetForm() {
-      document.getElementById('content').value = '';
-      document.getElementById('charCount').textContent = '0 / 10,240';
-      document.getElementById('charCount').classList.remove('warning');
-      document.getElementById('resultBox').style.display = 'none';
-      document.getElementById('uploadForm').style.display = 'block';
-      switchTab('upload');
-    }
+    <!-- Login -->
+    <form id="loginForm">
+      <input type="password" id="adminPassword" placeholder="${t('admin.password')}" required autocomplete="current-password">
+      <button type="submit">${t('admin.login')}</button>
+    </form>
 
-    function resetView() {
-      document.getElementById('password').value = '';
-      document.getElementById('viewResult').style.display = 'none';
-      document.getElementById('viewForm').style.display = 'block';
-      hideMessage();
-    }
+    <!-- Dashboard -->
+    <div id="dashboard">
+      <div class="toolbar">
+        <button id="refreshBtn">${t('admin.refresh')}</button>
+        <button class="danger" id="purgeBtn">${t('admin.purge')}</button>
+        <button class="secondary" id="logoutBtn">${t('admin.logout')}</button>
+      </div>
 
-    // Show/hide message
-    function showMessage(text, type) {
-      const msg = document.getElementById('message');
-      msg.textContent = text;
-      msg.className = 'message ' + type;
-      msg.style.display = 'block';
-      setTimeout(() => {
-        hideMessage();
-      }, 4000);
-    }
+      <div class="stats" id="stats"></div>
+
+      <div class="table-wrap">
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>${t('admin.column.created')}</th>
+              <th>${t('admin.column.expires')}</th>
+              <th>${t('admin.column.views')}</th>
+              <th>${t('admin.column.size')}</th>
+              <th>${t('admin.column.status')}</th>
+              <th>${t('admin.column.actions')}</th>
+            </tr>
+          </thead>
+          <tbody id="pasteList"></tbody>
+        </table>
+      </div>
 
-    function hideMessage() {
-      document.getElementById('message').style.display = 'none';
-    }
+      <pre id="contentPreview"></pre>
+    </div>
+  </div>
 
-    // Escape HTML
-    function escapeHtml(text) {
-      if (typeof text !== 'string') return '';
-      const div = document.createElement('div');
-      div.textContent = text;
-      return div.innerHTML;
-    }
-  </script>
+  <script type="application/json" id="messages">${scriptJson(messagesWithPrefix(locale, 'admin.'))}</script>
+  <script nonce="${nonce}" src="${assetPath('admin.js')}"></script>
 </body>
 </html>
   `;
-  return htmlResponse(html);
-}
\ No newline at end of file
+  return htmlResponse(html, 200, nonce);
+}
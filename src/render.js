@@ -0,0 +1,626 @@
+// Paste formats - detection, syntax highlighting and Markdown rendering
+//
+// Everything lives inside createRenderer() so the very same code runs in the Worker
+// (format validation and auto-detection) and in the browser, which loads it from
+// /assets/render.<hash>.js. Rendered HTML is built from escaped text and a fixed set of
+// tags and classes only: no inline styles, scripts, event handlers or remote images,
+// so it works under the strict Content-Security-Policy.
+//
+//   detectFormat(text)          -> format id ('plain' when nothing fits)
+//   render(text, format)        -> HTML for the view panel
+//   formats                     -> [{ id, label }] in display order
+
+export function createRenderer() {
+  // Larger content is shown without highlighting, tokenizing megabytes would freeze the page
+  const HIGHLIGHT_LIMIT = 512 * 1024;
+  const DETECT_SAMPLE = 20000;
+
+  // Languages: comment markers, string quotes (multi-line ones marked) and keywords
+  const LANGUAGES = {
+    bash: {
+      label: 'Bash',
+      line: ['#'],
+      strings: ['"', "'"],
+      keywords: 'if then else elif fi case esac for while until do done in function return local export readonly ' +
+        'declare unset shift exit break continue source echo printf cd test true false'
+    },
+    c: {
+      label: 'C',
+      line: ['//'],
+      block: [['/*', '*/']],
+      strings: ['"', "'"],
+      word: /#?[A-Za-z_]\w*/y,
+      keywords: 'auto break case char const continue default do double else enum extern float for goto if inline int long ' +
+        'register restrict return short signed sizeof static struct switch typedef union unsigned void volatile while ' +
+        'NULL true false bool #include #define #ifdef #ifndef #endif #if #else #pragma'
+    },
+    cpp: {
+      label: 'C++',
+      line: ['//'],
+      block: [['/*', '*/']],
+      strings: ['"', "'"],
+      word: /#?[A-Za-z_]\w*/y,
+      keywords: 'auto bool break case catch char class const constexpr continue default delete do double else enum explicit ' +
+        'extern false float for friend goto if inline int long mutable namespace new noexcept nullptr operator override ' +
+        'private protected public return short signed sizeof static struct switch template this throw true try typedef ' +
+        'typename union unsigned using virtual void volatile while #include #define #ifdef #ifndef #endif #if #else #pragma'
+    },
+    csharp: {
+      label: 'C#',
+      line: ['//'],
+      block: [['/*', '*/']],
+      strings: ['"', "'"],
+      keywords: 'abstract as async await base bool break case catch char class const continue decimal default delegate do ' +
+        'double else enum event false finally float for foreach get if in int interface internal is lock long namespace new ' +
+        'null object out override params private protected public readonly ref return sealed set static string struct ' +
+        'switch this throw true try typeof using var virtual void while'
+    },
+    css: {
+      label: 'CSS',
+      block: [['/*', '*/']],
+      strings: ['"', "'"],
+      word: /[@!]?[A-Za-z_-][\w-]*/y,
+      keywords: '@media @import @font-face @keyframes @supports @charset !important'
+    },
+    go: {
+      label: 'Go',
+      line: ['//'],
+      block: [['/*', '*/']],
+      strings: ['"', "'", ['`', true]],
+      keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map ' +
+        'package range return select struct switch type var nil true false iota string int int64 float64 bool byte error'
+    },
+    html: { label: 'HTML / XML', markup: true },
+    java: {
+      label: 'Java',
+      line: ['//'],
+      block: [['/*', '*/']],
+      strings: ['"', "'"],
+      keywords: 'abstract assert boolean break byte case catch char class const continue default do double else enum extends ' +
+        'final finally float for if implements import instanceof int interface long native new null package private ' +
+        'protected public return short static super switch synchronized this throw throws true false try var void while'
+    },
+    javascript: {
+      label: 'JavaScript',
+      line: ['//'],
+      block: [['/*', '*/']],
+      strings: ['"', "'", ['`', true]],
+      keywords: 'async await break case catch class const continue debugger default delete do else export extends false ' +
+        'finally for from function if import in instanceof let new null of return static super switch this throw true ' +
+        'try typeof undefined var void while yield'
+    },
+    json: {
+      label: 'JSON',
+      strings: ['"'],
+      keywords: 'true false null'
+    },
+    php: {
+      label: 'PHP',
+      line: ['//', '#'],
+      block: [['/*', '*/']],
+      strings: ['"', "'"],
+      keywords: 'abstract array as break case catch class const continue declare default do echo else elseif empty ' +
+        'endforeach endif extends false final finally fn for foreach function global if implements include interface ' +
+        'isset list match namespace new null private protected public require require_once return static switch ' +
+        'throw trait true try unset use var while yield'
+    },
+    python: {
+      label: 'Python',
+      line: ['#'],
+      strings: [['"""', true], ["'''", true], '"', "'"],
+      keywords: 'and as assert async await break class continue def del elif else except False finally for from global if ' +
+        'import in is lambda None nonlocal not or pass raise return True try while with yield self print'
+    },
+    ruby: {
+      label: 'Ruby',
+      line: ['#'],
+      strings: ['"', "'"],
+      word: /[A-Za-z_]\w*\??/y,
+      keywords: 'alias and begin break case class def defined? do else elsif end ensure false for if in module next nil not ' +
+        'or redo rescue retry return self super then true undef unless until when while yield require puts attr_accessor'
+    },
+    rust: {
+      label: 'Rust',
+      line: ['//'],
+      block: [['/*', '*/']],
+      strings: ['"'],
+      keywords: 'as async await break const continue crate dyn else enum extern false fn for if impl in let loop match mod ' +
+        'move mut pub ref return self Self static struct super trait true type unsafe use where while Some None Ok Err'
+    },
+    sql: {
+      label: 'SQL',
+      line: ['--'],
+      block: [['/*', '*/']],
+      strings: ["'", '"'],
+      ignoreCase: true,
+      keywords: 'select from where and or not insert into values update set delete create table drop alter add index ' +
+        'primary key foreign references join left right inner outer on group by order having limit offset as distinct ' +
+        'union all null is in like between case when then else end exists default unique view begin commit rollback'
+    },
+    typescript: {
+      label: 'TypeScript',
+      line: ['//'],
+      block: [['/*', '*/']],
+      strings: ['"', "'", ['`', true]],
+      keywords: 'abstract any as async await boolean break case catch class const continue declare default delete do else ' +
+        'enum export extends false finally for from function if implements import in instanceof interface keyof let ' +
+        'namespace never new null number of private protected public readonly return static string super switch this ' +
+        'throw true try type typeof undefined unknown var void while yield'
+    },
+    yaml: {
+      label: 'YAML',
+      line: ['#'],
+      strings: ['"', "'"],
+      keywords: 'true false null yes no on off ~'
+    }
+  };
+
+  const formats = [
+    { id: 'plain', label: 'Plain text' },
+    { id: 'markdown', label: 'Markdown' },
+    ...Object.keys(LANGUAGES).map(id => ({ id, label: LANGUAGES[id].label }))
+  ];
+
+  // Fence info strings that name a language by another name
+  const ALIASES = {
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+    h: 'c', 'c++': 'cpp', cc: 'cpp', hpp: 'cpp', cs: 'csharp', 'c#': 'csharp',
+    golang: 'go', xml: 'html', svg: 'html', js: 'javascript', jsx: 'javascript', mjs: 'javascript',
+    ts: 'typescript', tsx: 'typescript', py: 'python', rb: 'ruby', rs: 'rust', yml: 'yaml', md: 'markdown'
+  };
+
+  // Detection: every matching pattern scores a point, the best language with two or more wins
+  // Line patterns match indentation with [ \t]*, \s* would run across blank lines and make them quadratic
+  const SIGNATURES = {
+    markdown: [/^#{1,6} \S/m, /^(```|~~~)/m, /^[ \t]*[-*+] \S/m, /^[ \t]*\d+\. \S/m, /\[[^[\]\n]+\]\([^()\s]+\)/, /^> /m, /\*\*[^*\n]+\*\*/, /^\|.*\|[ \t]*$/m],
+    python: [/^[ \t]*def \w+\(.*\):[ \t]*$/m, /^[ \t]*(from [\w.]+ )?import \w/m, /^[ \t]*class \w+(\(.*\))?:[ \t]*$/m, /\bself\./, /^[ \t]*(elif|except)\b.*:[ \t]*$/m, /\bprint\(/, /__name__/],
+    javascript: [/\b(const|let|var) \w+ =/, /\bfunction\s*\w*\s*\(/, /=>/, /\bconsole\.\w+\(/, /\brequire\(['"]/, /^[ \t]*(import .* from|export (default|const|function))/m, /\bdocument\.|\bwindow\./],
+    typescript: [/\binterface \w+ \{/, /:\s*(string|number|boolean|any|void)\b/, /^[ \t]*(export )?type \w+ =/m, /\b(public|private|readonly) \w+:/, /<\w+>\(/],
+    go: [/^package \w+/m, /\bfunc (\(.*\) )?\w+\(/, /:=/, /\bfmt\.\w+\(/, /^import \(/m],
+    rust: [/\bfn \w+\(/, /\blet mut\b/, /\bimpl\b/, /\b(println|vec|format)!\(/, /->\s*\w+/, /\buse \w+::/],
+    java: [/\bpublic (static )?(class|void|final)\b/, /\bSystem\.out\./, /\bprivate \w+ \w+;/, /^import java\./m, /@Override/],
+    csharp: [/^using System/m, /\bnamespace \w+/, /\bpublic (class|static|void|string)\b/, /\bConsole\.Write/, /\{ get; (private )?set; \}/],
+    c: [/^#include\s*<\w+\.h>/m, /\bint main\s*\(/, /\bprintf\(/, /\bmalloc\(/, /->\w+/],
+    cpp: [/^#include\s*<\w+>/m, /\bstd::/, /\bcout\s*<</, /\btemplate\s*</, /\bnamespace \w+/],
+    php: [/^<\?php/m, /\$\w+\s*=/, /\bfunction \w+\(.*\$\w+/, /\becho\b/, /->\w+\(/],
+    ruby: [/^[ \t]*def \w+[^:\n]*$/m, /^[ \t]*end[ \t]*$/m, /\bputs\b/, /\bdo \|\w+\|/, /^[ \t]*require ['"]/m, /@\w+ =/],
+    bash: [/^#!.*\b(ba|z)?sh\b/, /^[ \t]*(if|while) \[/m, /\$\{?\w+\}?/, /^[ \t]*(echo|export|cd|sudo|apt|npm|git|curl) /m, /\|\s*(grep|awk|sed)\b/, /^[ \t]*fi[ \t]*$/m],
+    sql: [/\bselect\b[\s\S]+?\bfrom\b/i, /\binsert into\b/i, /\bcreate table\b/i, /\bwhere\b/i, /\b(update \w+ set|delete from)\b/i, /\bjoin\b/i],
+    css: [/^[ \t]*[.#]?[a-z][\w-]*([,>+~:] ?[.#:]?[\w-]+){0,4} *\{[ \t]*$/m, /^[ \t]*[\w-]+[ \t]*:[ \t]*[^;{\n]+;[ \t]*$/m, /@media\b/, /\b\d+(px|em|rem|%)\b/, /#[0-9a-f]{3,6}\b/i],
+    yaml: [/^---[ \t]*$/m, /^[ \t]*[\w-]+:[ \t]*\S/m, /^[ \t]*[\w-]+:[ \t]*$/m, /^[ \t]*- [\w-]+:\s/m]
+  };
+
+  const keywordSets = {};
+
+  function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  function resolveLanguage(name) {
+    const id = String(name || '').toLowerCase();
+    return LANGUAGES[id] ? id : ALIASES[id] && LANGUAGES[ALIASES[id]] ? ALIASES[id] : null;
+  }
+
+  function detectFormat(text) {
+    const sample = String(text || '').slice(0, DETECT_SAMPLE);
+    const trimmed = sample.trim();
+    if (!trimmed) return 'plain';
+
+    if (/^[{[]/.test(trimmed) && text.length <= HIGHLIGHT_LIMIT) {
+      try {
+        JSON.parse(text);
+        return 'json';
+      } catch (error) {
+        // Not JSON, keep looking
+      }
+    }
+
+    if (/^<\?php/.test(trimmed)) return 'php';
+    if (/^#!.*\bpython/.test(trimmed)) return 'python';
+    if (/^#!.*\bnode\b/.test(trimmed)) return 'javascript';
+    if (/^#!.*\b(ba|z)?sh\b/.test(trimmed)) return 'bash';
+    if (/^<(!doctype html|html|\?xml|svg)\b/i.test(trimmed) ||
+        (/^<[a-z][\w-]*[\s>]/i.test(trimmed) && /<\/[a-z][\w-]*>\s*$/i.test(trimmed))) {
+      return 'html';
+    }
+
+    let best = 'plain';
+    let bestScore = 1;
+    for (const [id, patterns] of Object.entries(SIGNATURES)) {
+      const score = patterns.filter(pattern => pattern.test(sample)).length;
+      if (score > bestScore) {
+        best = id;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Code: split into { type, text } tokens, then into numbered lines
+  function tokenize(text, language) {
+    const spec = LANGUAGES[language];
+    if (spec.markup) return tokenizeMarkup(text);
+
+    if (!keywordSets[language]) {
+      const words = spec.keywords.split(' ');
+      keywordSets[language] = new Set(spec.ignoreCase ? words.map(word => word.toLowerCase()) : words);
+    }
+    const keywords = keywordSets[language];
+    const strings = (spec.strings || []).map(quote => (Array.isArray(quote) ? quote : [quote, false]));
+    const word = spec.word || /[A-Za-z_$][\w$]*/y;
+    const at = (marker, index) => text.startsWith(marker, index);
+    const tokens = [];
+    let plain = '';
+    let i = 0;
+
+    const push = (type, value) => {
+      if (plain) {
+        tokens.push({ type: '', text: plain });
+        plain = '';
+      }
+      tokens.push({ type, text: value });
+    };
+
+    while (i < text.length) {
+      const line = (spec.line || []).find(marker => at(marker, i));
+      if (line) {
+        const end = text.indexOf('\n', i);
+        const stop = end === -1 ? text.length : end;
+        push('comment', text.slice(i, stop));
+        i = stop;
+        continue;
+      }
+
+      const block = (spec.block || []).find(([open]) => at(open, i));
+      if (block) {
+        const end = text.indexOf(block[1], i + block[0].length);
+        const stop = end === -1 ? text.length : end + block[1].length;
+        push('comment', text.slice(i, stop));
+        i = stop;
+        continue;
+      }
+
+      const string = strings.find(([quote]) => at(quote, i));
+      if (string) {
+        const [quote, multiline] = string;
+        let j = i + quote.length;
+        while (j < text.length && !at(quote, j) && (multiline || text[j] !== '\n')) {
+          j += text[j] === '\\' ? 2 : 1;
+        }
+        const stop = Math.min(at(quote, j) ? j + quote.length : j, text.length);
+        push('string', text.slice(i, stop));
+        i = stop;
+        continue;
+      }
+
+      const previous = i > 0 ? text[i - 1] : '';
+      if (/[0-9]/.test(text[i]) && !/[\w$]/.test(previous)) {
+        const number = /^(0x[0-9a-f]+|\d[\d_]*(\.\d+)?(e[+-]?\d+)?)/i.exec(text.slice(i, i + 64))[0];
+        push('number', number);
+        i += number.length;
+        continue;
+      }
+
+      word.lastIndex = i;
+      const match = !/[\w$]/.test(previous) && word.exec(text);
+      if (match) {
+        const value = match[0];
+        if (keywords.has(spec.ignoreCase ? value.toLowerCase() : value)) {
+          push('keyword', value);
+        } else if (text[i + value.length] === '(') {
+          push('function', value);
+        } else {
+          plain += value;
+        }
+        i += value.length;
+        continue;
+      }
+
+      plain += text[i];
+      i++;
+    }
+
+    if (plain) tokens.push({ type: '', text: plain });
+    return tokens;
+  }
+
+  function tokenizeMarkup(text) {
+    const tokens = [];
+    const pattern = /<!--[\s\S]*?(-->|$)|<\/?[A-Za-z!?][^>]*>?/g;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+      if (match.index > last) tokens.push({ type: '', text: text.slice(last, match.index) });
+      if (match[0].startsWith('<!--')) {
+        tokens.push({ type: 'comment', text: match[0] });
+      } else {
+        // Tag name, attribute names and quoted values
+        const tag = /^(<\/?[^\s>/]*)([\s\S]*)$/.exec(match[0]);
+        tokens.push({ type: 'keyword', text: tag[1] });
+        const attributes = /("[^"]*"?|'[^']*'?)|([^\s=>/"']+)(?=\s*=)|([\s\S])/g;
+        let part;
+        while ((part = attributes.exec(tag[2]))) {
+          tokens.push({ type: part[1] ? 'string' : part[2] ? 'attr' : '', text: part[0] });
+        }
+      }
+      last = pattern.lastIndex;
+      if (match[0] === '') pattern.lastIndex++;
+    }
+
+    if (last < text.length) tokens.push({ type: '', text: text.slice(last) });
+    return tokens;
+  }
+
+  // Numbered lines, the numbers come from a CSS counter so copying the text leaves them out
+  function renderLines(tokens) {
+    const lines = [''];
+    for (const token of tokens) {
+      token.text.split('\n').forEach((part, index) => {
+        if (index > 0) lines.push('');
+        if (!part) return;
+        const html = escapeHtml(part);
+        lines[lines.length - 1] += token.type ? '<span class="tok-' + token.type + '">' + html + '</span>' : html;
+      });
+    }
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    return '<pre class="code-view"><code>' + lines.map(line => '<span class="line">' + line + '</span>').join('') + '</code></pre>';
+  }
+
+  function highlightCode(text, language) {
+    const normalized = text.replace(/\r\n?/g, '\n');
+    if (!LANGUAGES[language] || normalized.length > HIGHLIGHT_LIMIT) {
+      return renderLines([{ type: '', text: normalized }]);
+    }
+    return renderLines(tokenize(normalized, language));
+  }
+
+  // Markdown: a CommonMark subset with GitHub tables, task lists and strikethrough
+  // Raw HTML is shown as text, links are limited to http(s) and mailto, images become links
+  function safeUrl(url) {
+    return /^(https?:\/\/|mailto:)/i.test(url) ? url : null;
+  }
+
+  function renderLink(label, url) {
+    return '<a href="' + escapeHtml(url) + '" target="_blank" rel="noopener noreferrer nofollow">' + label + '</a>';
+  }
+
+  // Code spans: a backtick run closes at the next run of the same length. Closers are looked up
+  // from one backwards pass over the runs, so unmatched openers stay linear
+  function replaceCodeSpans(text, replace) {
+    const runs = [...text.matchAll(/`+/g)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+    const closers = [];
+    const nextByLength = new Map();
+    for (let i = runs.length - 1; i >= 0; i--) {
+      const length = runs[i].end - runs[i].start;
+      closers[i] = nextByLength.get(length);
+      nextByLength.set(length, i);
+    }
+
+    let result = '';
+    let last = 0;
+    for (let i = 0; i < runs.length; i++) {
+      if (closers[i] === undefined) continue;
+      const open = runs[i];
+      const close = runs[closers[i]];
+      result += text.slice(last, open.start) + replace(text.slice(open.end, close.start));
+      last = close.end;
+      i = closers[i];
+    }
+    return result + text.slice(last);
+  }
+
+  function renderInline(text) {
+    const stash = [];
+    // Finished HTML is parked behind private-use placeholders while the rest is escaped and formatted
+    const keep = html => '\uE000' + (stash.push(html) - 1) + '\uE001';
+
+    let result = replaceCodeSpans(text, code => keep('<code>' + escapeHtml(code.trim()) + '</code>'))
+      .replace(/\\([!-/:-@[-`{-~])/g, (_, char) => keep(escapeHtml(char)))
+      .replace(/!\[([^[\]\n]*)\]\(\s*<?([^\s()>]+)>?(?:\s+"[^"\n]*")?\s*\)/g, (match, alt, url) => {
+        return safeUrl(url) ? keep(renderLink(escapeHtml('🖼 ' + (alt || url)), url)) : match;
+      })
+      .replace(/\[([^[\]\n]+)\]\(\s*<?([^\s()>]+)>?(?:\s+"[^"\n]*")?\s*\)/g, (match, label, url) => {
+        return safeUrl(url) ? keep(renderLink(renderInline(label), url)) : match;
+      })
+      .replace(/<(https?:\/\/[^\s<>]+|mailto:[^\s<>]+)>/g, (_, url) => keep(renderLink(escapeHtml(url), url)))
+      .replace(/\bhttps?:\/\/[^\s<>"'`]*[^\s<>"'`.,:;!?)\]]/g, url => keep(renderLink(escapeHtml(url), url)));
+
+    result = escapeHtml(result)
+      // Spans stop at the next delimiter, an unclosed one must not scan the rest of the text
+      .replace(/\*\*(?=\S)((?:(?!\*\*)[\s\S])*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w])__(?=\S)((?:(?!__)[\s\S])*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)((?:(?!~~)[\s\S])*?\S)~~/g, '<del>$1</del>')
+      .replace(/(?<! ) {2,}\n|\\\n/g, '<br>')
+      .replace(/\n/g, '<br>');
+
+    return result.replace(/\uE000(\d+)\uE001/g, (match, index) => stash[index] ?? match);
+  }
+
+  function splitRow(line) {
+    const cells = line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/);
+    return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  function renderTable(lines) {
+    const alignments = splitRow(lines[1]).map(cell => {
+      if (/^:-+:$/.test(cell)) return ' class="align-center"';
+      if (/^-+:$/.test(cell)) return ' class="align-right"';
+      return '';
+    });
+    const row = (line, tag) => '<tr>' + splitRow(line).map((cell, index) => {
+      return '<' + tag + (alignments[index] || '') + '>' + renderInline(cell) + '</' + tag + '>';
+    }).join('') + '</tr>';
+
+    return '<table><thead>' + row(lines[0], 'th') + '</thead><tbody>' +
+      lines.slice(2).map(line => row(line, 'td')).join('') + '</tbody></table>';
+  }
+
+  const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])( +|$)(.*)$/;
+  const TABLE_DIVIDER = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+
+  function isBlockStart(line, next) {
+    return /^ {0,3}(#{1,6} |```|~~~|>|([-*_])( *\2){2,} *$)/.test(line) || LIST_ITEM.test(line) ||
+      (line.includes('|') && next !== undefined && TABLE_DIVIDER.test(next) && next.includes('-'));
+  }
+
+  function renderList(lines) {
+    const first = LIST_ITEM.exec(lines[0]);
+    const ordered = /\d/.test(first[2]);
+    const start = ordered ? parseInt(first[2], 10) : 1;
+    const indent = first[1].length;
+    const items = [];
+
+    for (const line of lines) {
+      const match = LIST_ITEM.exec(line);
+      if (match && match[1].length <= indent + 1) {
+        items.push({ offset: match[1].length + match[2].length + match[3].length, lines: [match[4]] });
+      } else {
+        const item = items[items.length - 1];
+        // Continuation lines lose the item's indentation, nested lists keep their own
+        const leading = /^ */.exec(line)[0].length;
+        item.lines.push(line.slice(Math.min(leading, item.offset)));
+      }
+    }
+
+    const html = items.map(item => {
+      while (item.lines.length && !item.lines[item.lines.length - 1].trim()) item.lines.pop();
+      let body = renderBlocks(item.lines);
+      // Tight items render their single paragraph without the <p>
+      const single = /^<p>([\s\S]*?)<\/p>([\s\S]*)$/.exec(body);
+      if (single && !item.lines.some(line => !line.trim())) body = single[1] + single[2];
+
+      const task = /^\[([ xX])\] ([\s\S]*)$/.exec(body);
+      if (task) {
+        return '<li class="task"><input type="checkbox" disabled' + (task[1] === ' ' ? '' : ' checked') + '> ' + task[2] + '</li>';
+      }
+      return '<li>' + body + '</li>';
+    }).join('');
+
+    return ordered ? '<ol' + (start !== 1 ? ' start="' + start + '"' : '') + '>' + html + '</ol>' : '<ul>' + html + '</ul>';
+  }
+
+  function renderBlocks(lines) {
+    const out = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const fence = /^ {0,3}(```+|~~~+)\s*([^\s`]*)/.exec(line);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        const language = resolveLanguage(fence[2]);
+        out.push(language ? highlightCode(code.join('\n'), language) : '<pre><code>' + escapeHtml(code.join('\n')) + '</code></pre>');
+        continue;
+      }
+
+      const heading = /^ {0,3}(#{1,6}) +(.*?)( +#+)? *$/.exec(line);
+      if (heading) {
+        const level = heading[1].length;
+        out.push('<h' + level + '>' + renderInline(heading[2]) + '</h' + level + '>');
+        i++;
+        continue;
+      }
+
+      if (/^ {0,3}([-*_])( *\1){2,} *$/.test(line)) {
+        out.push('<hr>');
+        i++;
+        continue;
+      }
+
+      if (/^ {0,3}>/.test(line)) {
+        const quote = [];
+        while (i < lines.length && lines[i].trim() && (/^ {0,3}>/.test(lines[i]) || !isBlockStart(lines[i], lines[i + 1]))) {
+          quote.push(lines[i].replace(/^ {0,3}> ?/, ''));
+          i++;
+        }
+        out.push('<blockquote>' + renderBlocks(quote) + '</blockquote>');
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        const [, lead, marker] = LIST_ITEM.exec(line);
+        const indent = lead.length;
+        const ordered = /\d/.test(marker);
+        const list = [line];
+        i++;
+        // Items, indented continuations and blank lines followed by more of the list
+        while (i < lines.length) {
+          const current = lines[i];
+          const item = LIST_ITEM.exec(current);
+          if (item && item[1].length <= indent + 1 && /\d/.test(item[2]) !== ordered) {
+            break; // A sibling of the other kind starts a new list
+          }
+          if (!current.trim()) {
+            const next = lines.slice(i).find(candidate => candidate.trim());
+            if (!next || !(/^ {2,}/.test(next) || (LIST_ITEM.test(next) && LIST_ITEM.exec(next)[1].length >= indent))) break;
+          } else if (!(item && item[1].length >= indent) && !/^ {2,}/.test(current) && isBlockStart(current, lines[i + 1])) {
+            break;
+          }
+          list.push(current);
+          i++;
+        }
+        out.push(renderList(list));
+        continue;
+      }
+
+      if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+        const table = [line, lines[i + 1]];
+        i += 2;
+        while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+          table.push(lines[i]);
+          i++;
+        }
+        out.push(renderTable(table));
+        continue;
+      }
+
+      if (/^( {4}|\t)/.test(line)) {
+        const code = [];
+        while (i < lines.length && (/^( {4}|\t)/.test(lines[i]) || !lines[i].trim())) {
+          code.push(lines[i].replace(/^( {4}|\t)/, ''));
+          i++;
+        }
+        while (code.length && !code[code.length - 1].trim()) code.pop();
+        out.push('<pre><code>' + escapeHtml(code.join('\n')) + '</code></pre>');
+        continue;
+      }
+
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !(paragraph.length && isBlockStart(lines[i], lines[i + 1]))) {
+        paragraph.push(lines[i].replace(/^ +/, ''));
+        i++;
+      }
+      out.push('<p>' + renderInline(paragraph.join('\n').replace(/(?<! ) +$/, '')) + '</p>');
+    }
+
+    return out.join('');
+  }
+
+  function renderMarkdown(text) {
+    if (text.length > HIGHLIGHT_LIMIT) return highlightCode(text, null);
+    return '<div class="markdown-view">' + renderBlocks(text.replace(/\r\n?/g, '\n').split('\n')) + '</div>';
+  }
+
+  function render(text, format) {
+    if (format === 'markdown') return renderMarkdown(text);
+    if (LANGUAGES[format]) return highlightCode(text, format);
+    return '<pre class="plain-view">' + escapeHtml(text) + '</pre>';
+  }
+
+  return { formats, detectFormat, render };
+}
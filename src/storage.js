@@ -0,0 +1,195 @@
+// Storage layer - pluggable key-value backends
+//
+// Every backend implements the subset of the KV namespace API the Worker uses:
+//   get(key, { type })                       -> string, parsed JSON (type 'json') or null
+//   put(key, value, { expiration, expirationTtl, metadata })
+//   delete(key)
+//   list({ prefix, cursor })                 -> { keys: [{ name, expiration, metadata }], list_complete, cursor }
+// Backends whose entries do not expire natively also implement purgeExpired().
+
+const LIST_PAGE_SIZE = 1000;
+
+// Backend selected by the STORAGE_BACKEND var: 'kv' (default), 'd1' or 'memory'
+const BACKENDS = {
+  kv: env => env.CONTENT_KV || null,
+  d1: env => (env.DB ? new D1Storage(env.DB) : null),
+  memory: () => memoryStorage
+};
+
+export const STORAGE_BACKENDS = Object.keys(BACKENDS);
+
+const instances = new WeakMap();
+
+// Utility: Storage backend for an environment (null when its binding is missing)
+// Throws when STORAGE_BACKEND names no backend, a typo must not silently switch to KV
+export function getStorage(env) {
+  if (!instances.has(env)) {
+    const name = unknownBackend(env);
+    if (name !== null) {
+      throw new Error(`Unknown STORAGE_BACKEND "${name}", expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+    }
+    instances.set(env, BACKENDS[env.STORAGE_BACKEND || 'kv'](env));
+  }
+  return instances.get(env);
+}
+
+// Utility: STORAGE_BACKEND value that names no backend (null when it is valid or unset)
+export function unknownBackend(env) {
+  const name = env.STORAGE_BACKEND;
+  if (name === undefined || name === null || name === '') return null;
+  return Object.hasOwn(BACKENDS, name) ? null : String(name);
+}
+
+// Utility: Absolute expiration (epoch seconds) from KV-style put options
+function resolveExpiration(options = {}) {
+  if (options.expiration) return options.expiration;
+  if (options.expirationTtl) return Math.floor(Date.now() / 1000) + options.expirationTtl;
+  return null;
+}
+
+function isExpired(expiration) {
+  return expiration !== null && expiration !== undefined && expiration <= Date.now() / 1000;
+}
+
+function decodeValue(value, options) {
+  if (value === null || value === undefined) return null;
+  const type = typeof options === 'string' ? options : options && options.type;
+  return type === 'json' ? JSON.parse(value) : value;
+}
+
+// Backend: In-memory map (per isolate, for tests and local experiments)
+export class MemoryStorage {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key, options) {
+    const entry = this.entries.get(key);
+    if (!entry || isExpired(entry.expiration)) return null;
+    return decodeValue(entry.value, options);
+  }
+
+  async put(key, value, options = {}) {
+    this.entries.set(key, {
+      value: String(value),
+      expiration: resolveExpiration(options),
+      metadata: options.metadata || null
+    });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async list({ prefix = '', cursor } = {}) {
+    const names = [...this.entries.keys()]
+      .filter(name => name.startsWith(prefix) && !isExpired(this.entries.get(name).expiration))
+      .sort();
+    const start = cursor ? Number(cursor) : 0;
+    const page = names.slice(start, start + LIST_PAGE_SIZE);
+    const listComplete = start + LIST_PAGE_SIZE >= names.length;
+
+    return {
+      keys: page.map(name => {
+        const entry = this.entries.get(name);
+        return { name, expiration: entry.expiration || undefined, metadata: entry.metadata || undefined };
+      }),
+      list_complete: listComplete,
+      cursor: listComplete ? undefined : String(start + LIST_PAGE_SIZE)
+    };
+  }
+
+  async purgeExpired() {
+    let purged = 0;
+    for (const [key, entry] of this.entries) {
+      if (isExpired(entry.expiration)) {
+        this.entries.delete(key);
+        purged++;
+      }
+    }
+    return purged;
+  }
+}
+
+const memoryStorage = new MemoryStorage();
+
+// Backend: D1 (SQL), one row per key in the `entries` table
+export class D1Storage {
+  constructor(db) {
+    this.db = db;
+    this.ready = null;
+  }
+
+  // Table is created on first use, no separate migration step needed
+  async init() {
+    if (!this.ready) {
+      this.ready = this.db.batch([
+        this.db.prepare(
+          'CREATE TABLE IF NOT EXISTS entries (key TEXT PRIMARY KEY, value TEXT NOT NULL, expiration INTEGER, metadata TEXT)'
+        ),
+        this.db.prepare('CREATE INDEX IF NOT EXISTS entries_expiration ON entries (expiration)')
+      ]).catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+  }
+
+  async get(key, options) {
+    await this.init();
+    const row = await this.db
+      .prepare('SELECT value FROM entries WHERE key = ?1 AND (expiration IS NULL OR expiration > ?2)')
+      .bind(key, Math.floor(Date.now() / 1000))
+      .first();
+    return decodeValue(row && row.value, options);
+  }
+
+  async put(key, value, options = {}) {
+    await this.init();
+    await this.db
+      .prepare(
+        'INSERT INTO entries (key, value, expiration, metadata) VALUES (?1, ?2, ?3, ?4) ' +
+        'ON CONFLICT (key) DO UPDATE SET value = excluded.value, expiration = excluded.expiration, metadata = excluded.metadata'
+      )
+      .bind(key, String(value), resolveExpiration(options), options.metadata ? JSON.stringify(options.metadata) : null)
+      .run();
+  }
+
+  async delete(key) {
+    await this.init();
+    await this.db.prepare('DELETE FROM entries WHERE key = ?1').bind(key).run();
+  }
+
+  async list({ prefix = '', cursor } = {}) {
+    await this.init();
+    const { results } = await this.db
+      .prepare(
+        'SELECT key, expiration, metadata FROM entries ' +
+        'WHERE substr(key, 1, ?1) = ?2 AND key > ?3 AND (expiration IS NULL OR expiration > ?4) ' +
+        'ORDER BY key LIMIT ?5'
+      )
+      .bind(prefix.length, prefix, cursor || '', Math.floor(Date.now() / 1000), LIST_PAGE_SIZE)
+      .all();
+    const listComplete = results.length < LIST_PAGE_SIZE;
+
+    return {
+      keys: results.map(row => ({
+        name: row.key,
+        expiration: row.expiration || undefined,
+        metadata: row.metadata ? JSON.parse(row.metadata) : undefined
+      })),
+      list_complete: listComplete,
+      cursor: listComplete ? undefined : results[results.length - 1].key
+    };
+  }
+
+  async purgeExpired() {
+    await this.init();
+    const result = await this.db
+      .prepare('DELETE FROM entries WHERE expiration IS NOT NULL AND expiration <= ?1')
+      .bind(Math.floor(Date.now() / 1000))
+      .run();
+    return result.meta.changes;
+  }
+}
@@ -0,0 +1,111 @@
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { unstable_dev } from 'wrangler';
+import { CliError, decrypt, parseArgs, parseTarget } from '../bin/tempshare.js';
+
+const CLI = new URL('../bin/tempshare.js', import.meta.url).pathname;
+
+// Runs the client in its own process, resolves with { code, stdout, stderr }
+function run(args, { input = '', env = {} } = {}) {
+  return new Promise((resolve) => {
+    const child = execFile(process.execPath, [CLI, ...args], {
+      env: { ...process.env, HOME: tmpdir(), TEMPSHARE_SERVER: '', ...env },
+      timeout: 30000
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+    child.stdin.end(input);
+  });
+}
+
+describe('argument parsing', () => {
+  it('maps short, long and inline flags to options', () => {
+    expect(parseArgs(['-e', '2', '--format=python', '-b', 'notes.txt'])).toEqual({
+      options: { expiry: '2', format: 'python', burn: true },
+      positionals: ['notes.txt']
+    });
+  });
+
+  it('collects repeated attachments and keeps - as a positional', () => {
+    expect(parseArgs(['-a', 'one.png', '--attach', 'two.zip', '-'])).toEqual({
+      options: { attach: ['one.png', 'two.zip'] },
+      positionals: ['-']
+    });
+  });
+
+  it('rejects unknown options and missing values', () => {
+    expect(() => parseArgs(['--nope'])).toThrow(CliError);
+    expect(() => parseArgs(['--expiry'])).toThrow('Missing value for --expiry');
+  });
+});
+
+describe('share links', () => {
+  it('takes a bare password as is', () => {
+    expect(parseTarget('Xy9zAb2cD3eF4gH5')).toEqual({ password: 'Xy9zAb2cD3eF4gH5' });
+  });
+
+  it('reads the server, id, password and key from a link', () => {
+    expect(parseTarget('https://paste.example.com/p/AbCdEfGh12345678#p=pass%20word&k=a%2Bb%3D')).toEqual({
+      server: 'https://paste.example.com',
+      id: 'AbCdEfGh12345678',
+      password: 'pass word',
+      key: 'a+b='
+    });
+  });
+
+  it('asks for the password when the link has none', () => {
+    expect(() => parseTarget('https://paste.example.com/p/AbCdEfGh12345678')).toThrow(CliError);
+  });
+
+  it('reports a malformed key as a decryption failure', async () => {
+    await expect(decrypt('AAAA', 'AAAAAAAAAAAAAAAA', 'not-a-key')).rejects.toThrow('Decryption failed, check the key');
+  });
+});
+
+describe('against the worker', () => {
+  let worker;
+  let server;
+  let state;
+
+  beforeAll(async () => {
+    // Fresh storage per run, failed attempts from earlier runs would lock the client out
+    state = await mkdtemp(join(tmpdir(), 'tempshare-'));
+    worker = await unstable_dev('src/index.js', {
+      config: 'wrangler.toml',
+      ip: '127.0.0.1',
+      persistTo: state,
+      experimental: { disableExperimentalWarning: true }
+    });
+    server = `http://${worker.address}:${worker.port}`;
+  });
+
+  afterAll(async () => {
+    await worker.stop();
+    await rm(state, { recursive: true, force: true });
+  });
+
+  it('uploads stdin and reads it back through the share link', async () => {
+    const uploaded = await run(['--server', server, '--json', '-m', '2'], { input: 'hello from the cli\n' });
+    expect(uploaded.code).toBe(0);
+    const result = JSON.parse(uploaded.stdout);
+    expect(result.maxViews).toBe(2);
+
+    // The dev server answers with links on the configured route, --server points back at it
+    const read = await run(['get', '--server', server, result.shareUrl]);
+    expect(read.code).toBe(0);
+    expect(read.stdout).toBe('hello from the cli\n');
+
+    const last = await run(['get', '--server', server, result.password]);
+    expect(last.stdout).toBe('hello from the cli\n');
+    expect(last.stderr).toContain('this was the last allowed view');
+  });
+
+  it('exits with the server message on failure', async () => {
+    const read = await run(['get', '--server', server, 'AAAAAAAAAAAAAAAA']);
+    expect(read.code).toBe(1);
+    expect(read.stderr).toBe('tempshare: Invalid password or content expired\n');
+  });
+});
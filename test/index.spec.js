@@ -0,0 +1,1829 @@
+import { env, SELF, createExecutionContext, createScheduledController, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi } from 'vitest';
+import worker from '../src/index.js';
+import { createRenderer } from '../src/render.js';
+import { homeScript } from '../src/assets/home.js';
+import { MESSAGES } from '../src/i18n.js';
+
+const BASE_URL = 'https://tempshare.test';
+
+let ipCounter = 0;
+
+// Each helper call gets its own client IP so the rate limit only applies where a test wants it
+function nextIp() {
+  ipCounter++;
+  return `203.0.113.${ipCounter}`;
+}
+
+function post(path, body, { ip = nextIp(), contentType = 'application/json' } = {}) {
+  const headers = { 'CF-Connecting-IP': ip };
+  if (contentType) headers['Content-Type'] = contentType;
+  return SELF.fetch(BASE_URL + path, {
+    method: 'POST',
+    headers,
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+async function upload(body, options) {
+  const response = await post('/api/upload', body, options);
+  return { response, result: await response.json() };
+}
+
+async function view(password, options) {
+  const response = await post('/api/view', { password }, options);
+  return { response, result: await response.json() };
+}
+
+function hoursFromNow(iso) {
+  return Math.round((new Date(iso).getTime() - Date.now()) / (60 * 60 * 1000));
+}
+
+describe('POST /api/upload', () => {
+  it('rejects requests with an unsupported Content-Type', async () => {
+    const response = await post('/api/upload', { content: 'hello' }, { contentType: 'application/xml' });
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ success: false, code: 'INVALID_CONTENT_TYPE', message: 'Invalid Content-Type' });
+
+    const missing = await SELF.fetch(`${BASE_URL}/api/upload`, {
+      method: 'POST',
+      headers: { 'CF-Connecting-IP': nextIp() },
+      body: new TextEncoder().encode('{"content":"hello"}')
+    });
+    expect(missing.status).toBe(400);
+    await missing.json();
+  });
+
+  it('rejects invalid JSON', async () => {
+    const response = await post('/api/upload', '{not json');
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toBe('Invalid JSON');
+  });
+
+  it('requires content', async () => {
+    const { response, result } = await upload({ expiryHours: 1 });
+    expect(response.status).toBe(400);
+    expect(result.message).toBe('Content is required');
+  });
+
+  it('rejects content over 1MB', async () => {
+    const { response, result } = await upload({ content: 'a'.repeat(1024 * 1024 + 1) });
+    expect(response.status).toBe(400);
+    expect(result.code).toBe('CONTENT_TOO_LARGE');
+    expect(result.message).toBe('Content too large (max 1MB)');
+  });
+
+  it('accepts content of exactly 1MB', async () => {
+    const { response } = await upload({ content: 'a'.repeat(1024 * 1024) });
+    expect(response.status).toBe(200);
+  });
+
+  it('counts the limit in UTF-8 bytes', async () => {
+    // 3 bytes per character: well under a million characters, but over 1MB
+    const { response, result } = await upload({ content: '中'.repeat(350 * 1024) });
+    expect(response.status).toBe(400);
+    expect(result.code).toBe('CONTENT_TOO_LARGE');
+  });
+
+  it.each([1, 6, 24, 168])('accepts expiryHours %i', async (hours) => {
+    const { response, result } = await upload({ content: 'hello', expiryHours: hours });
+    expect(response.status).toBe(200);
+    expect(result.success).toBe(true);
+    expect(result.expiresIn).toBe(hours);
+    expect(hoursFromNow(result.expiresAt)).toBe(hours);
+  });
+
+  it('defaults to 24 hours when expiryHours is missing', async () => {
+    const { result } = await upload({ content: 'hello' });
+    expect(result.success).toBe(true);
+    expect(result.expiresIn).toBe(24);
+    expect(hoursFromNow(result.expiresAt)).toBe(24);
+  });
+
+  it.each([5, 0.5, 720])('accepts a custom duration of %s hours', async (hours) => {
+    const { result } = await upload({ content: 'hello', expiryHours: hours });
+    expect(result.expiresIn).toBe(hours);
+    expect(new Date(result.expiresAt).getTime() - Date.now()).toBeCloseTo(hours * 60 * 60 * 1000, -4);
+  });
+
+  it.each([
+    ['a string', '6'],
+    ['negative', -1],
+    ['below a minute', 0.01],
+    ['over the maximum', 721]
+  ])('rejects expiryHours that is %s', async (_, expiryHours) => {
+    const { response, result } = await upload({ content: 'hello', expiryHours });
+    expect(response.status).toBe(400);
+    expect(result.code).toBe('INVALID_EXPIRY');
+  });
+
+  it('accepts an absolute expiresAt', async () => {
+    const expiresAt = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
+    const { result } = await upload({ content: 'hello', expiresAt });
+    expect(result.expiresAt).toBe(expiresAt);
+    expect(result.expiresIn).toBe(72);
+  });
+
+  it.each([
+    ['in the past', new Date(Date.now() - 1000).toISOString()],
+    ['not a time', 'tomorrow'],
+    ['too far ahead', new Date(Date.now() + 31 * 24 * 60 * 60 * 1000).toISOString()]
+  ])('rejects an expiresAt %s', async (_, expiresAt) => {
+    const { result } = await upload({ content: 'hello', expiresAt });
+    expect(result.code).toBe('INVALID_EXPIRY');
+  });
+
+  it('returns a generated 16 character password and a manage token', async () => {
+    const { result } = await upload({ content: 'hello' });
+    expect(result.password).toMatch(/^[A-Za-z0-9]{16}$/);
+    expect(result.manageToken).toMatch(/^[A-Za-z0-9]{24}$/);
+  });
+
+  it('never persists the password', async () => {
+    const { result } = await upload({ content: 'hello' });
+    const { keys } = await env.CONTENT_KV.list();
+    for (const key of keys) {
+      expect(key.name).not.toContain(result.password);
+      expect(await env.CONTENT_KV.get(key.name)).not.toContain(result.password);
+    }
+  });
+
+  it('names a mistyped STORAGE_BACKEND instead of falling back to KV', async () => {
+    const misconfigured = { ...env, STORAGE_BACKEND: 'D1' };
+    const request = new Request(BASE_URL + '/api/upload', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': nextIp() },
+      body: JSON.stringify({ content: 'hello' })
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, misconfigured, ctx);
+    await waitOnExecutionContext(ctx);
+    const result = await response.json();
+    expect(response.status).toBe(500);
+    expect(result.code).toBe('STORAGE_NOT_CONFIGURED');
+    expect(result.message).toBe('Unknown storage backend "D1", expected one of: kv, d1, memory');
+    expect((await env.CONTENT_KV.list()).keys).toHaveLength(0);
+  });
+});
+
+describe('POST /api/view', () => {
+  it('rejects requests without a JSON Content-Type', async () => {
+    const response = await post('/api/view', { password: 'abc' }, { contentType: 'text/plain' });
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toBe('Invalid Content-Type');
+  });
+
+  it.each([
+    ['missing', undefined],
+    ['empty', ''],
+    ['a number', 1234567890123456],
+    ['too long', 'a'.repeat(129)],
+    ['containing control characters', 'abcdefgh\u0000ijklmnop']
+  ])('rejects a password that is %s', async (_, password) => {
+    const { response, result } = await view(password);
+    expect(response.status).toBe(400);
+    expect(result.message).toBe('Invalid password format');
+  });
+
+  it('returns 404 for an unknown password', async () => {
+    const { response, result } = await view('AAAAAAAAAAAAAAAA');
+    expect(response.status).toBe(404);
+    expect(result.message).toBe('Invalid password or content expired');
+  });
+
+  it('returns the content and counts views', async () => {
+    const { result: uploaded } = await upload({ content: 'hello world', expiryHours: 6 });
+
+    const first = await view(uploaded.password);
+    expect(first.response.status).toBe(200);
+    expect(first.result).toMatchObject({
+      success: true,
+      content: 'hello world',
+      expiresAt: uploaded.expiresAt,
+      views: 1
+    });
+
+    const second = await view(uploaded.password);
+    expect(second.result.views).toBe(2);
+  });
+
+  it('strips control characters but keeps newlines and tabs', async () => {
+    const { result: uploaded } = await upload({ content: 'a\u0000b\u0007c\u001Fd\u007F\ne\tf\r\n' });
+    const { result } = await view(uploaded.password);
+    expect(result.content).toBe('abcd\ne\tf\r\n');
+  });
+
+  it('returns 410 and deletes the record once expired', async () => {
+    const { result: uploaded } = await upload({ content: 'soon gone', expiryHours: 1 });
+
+    // Move the stored expiry into the past, keeping the KV entry itself alive
+    const { keys } = await env.CONTENT_KV.list({ prefix: 'paste:' });
+    expect(keys).toHaveLength(1);
+    const record = await env.CONTENT_KV.get(keys[0].name, { type: 'json' });
+    record.expiresAt = new Date(Date.now() - 1000).toISOString();
+    await env.CONTENT_KV.put(keys[0].name, JSON.stringify(record));
+
+    const { response, result } = await view(uploaded.password);
+    expect(response.status).toBe(410);
+    expect(result.code).toBe('EXPIRED');
+    expect(result.message).toBe('Content expired');
+    expect(await env.CONTENT_KV.get(keys[0].name)).toBeNull();
+
+    const again = await view(uploaded.password);
+    expect(again.response.status).toBe(404);
+  });
+});
+
+describe('rate limiting', () => {
+  it('returns 429 after 10 requests per minute from one IP', async () => {
+    const ip = nextIp();
+    const { result: uploaded } = await upload({ content: 'popular' });
+    for (let i = 0; i < 10; i++) {
+      const { response } = await view(uploaded.password, { ip });
+      expect(response.status).toBe(200);
+    }
+
+    const { response, result } = await view(uploaded.password, { ip });
+    expect(response.status).toBe(429);
+    expect(result.code).toBe('RATE_LIMITED');
+    expect(result.message).toBe('Too many requests, please try again later');
+    expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+
+    // Uploads share the same budget
+    const blocked = await upload({ content: 'hello' }, { ip });
+    expect(blocked.response.status).toBe(429);
+
+    // Other clients are unaffected
+    const other = await upload({ content: 'hello' });
+    expect(other.response.status).toBe(200);
+  });
+});
+
+describe('failed lookup lockout', () => {
+  it('locks an IP out after 5 failed lookups, doubling the wait', async () => {
+    const ip = nextIp();
+    for (let i = 0; i < 5; i++) {
+      const { response } = await view('AAAAAAAAAAAAAAAA', { ip });
+      expect(response.status).toBe(404);
+    }
+
+    const { response, result } = await view('AAAAAAAAAAAAAAAA', { ip });
+    expect(response.status).toBe(429);
+    expect(result.code).toBe('TOO_MANY_FAILURES');
+    const retryAfter = Number(response.headers.get('Retry-After'));
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(30);
+
+    // Raw reads and manage requests are locked as well, a correct password included
+    const { result: uploaded } = await upload({ content: 'mine' });
+    const raw = await SELF.fetch(`${BASE_URL}/api/raw`, {
+      headers: { 'CF-Connecting-IP': ip, 'X-Paste-Password': uploaded.password }
+    });
+    expect(raw.status).toBe(429);
+    expect(raw.headers.get('X-Error-Code')).toBe('TOO_MANY_FAILURES');
+    expect(raw.headers.get('Retry-After')).toBeTruthy();
+
+    const manage = await post('/api/manage/delete', { password: uploaded.password, manageToken: uploaded.manageToken }, { ip });
+    expect(manage.status).toBe(429);
+  });
+
+  it('does not punish other clients for someone else\'s guessing', async () => {
+    const { result: uploaded } = await upload({ content: 'still readable' });
+
+    const attacker = nextIp();
+    for (let i = 0; i < 6; i++) {
+      await view('AAAAAAAAAAAAAAAA', { ip: attacker });
+    }
+    expect((await view(uploaded.password, { ip: attacker })).response.status).toBe(429);
+
+    const { response, result } = await view(uploaded.password);
+    expect(response.status).toBe(200);
+    expect(result.content).toBe('still readable');
+  });
+
+  it('counts passphrase collisions on upload as failures', async () => {
+    const passphrase = 'correct horse battery 9';
+    const { result: taken } = await upload({ content: 'taken', password: passphrase });
+
+    const ip = nextIp();
+    for (let i = 0; i < 5; i++) {
+      const { response, result } = await upload({ content: 'probe', password: passphrase }, { ip });
+      expect(response.status).toBe(409);
+      expect(result.code).toBe('PASSWORD_IN_USE');
+    }
+
+    // Locked out: neither the real passphrase nor a free one tells the prober anything
+    for (const password of [passphrase, 'another horse battery 7']) {
+      const { response, result } = await upload({ content: 'probe', password }, { ip });
+      expect(response.status).toBe(429);
+      expect(result.code).toBe('TOO_MANY_FAILURES');
+    }
+
+    // The owner sees the probes in the access log
+    const log = await (await post('/api/manage/log', { password: passphrase, manageToken: taken.manageToken })).json();
+    expect(log.entries.map(entry => [entry.action, entry.code])).toEqual(Array(5).fill(['upload', 'PASSWORD_IN_USE']));
+  });
+
+  it('counts wrong manage tokens as failures', async () => {
+    const ip = nextIp();
+    const { result: uploaded } = await upload({ content: 'owned' });
+    for (let i = 0; i < 5; i++) {
+      const response = await post('/api/manage/delete', { password: uploaded.password, manageToken: 'A'.repeat(24) }, { ip });
+      expect(response.status).toBe(403);
+    }
+
+    const response = await post('/api/manage/delete', { password: uploaded.password, manageToken: uploaded.manageToken }, { ip });
+    expect(response.status).toBe(429);
+    expect((await response.json()).code).toBe('TOO_MANY_FAILURES');
+  });
+});
+
+describe('security headers', () => {
+  const EXPECTED_HEADERS = [
+    'Content-Security-Policy',
+    'X-Frame-Options',
+    'X-Content-Type-Options',
+    'X-XSS-Protection',
+    'Referrer-Policy',
+    'Permissions-Policy'
+  ];
+
+  it.each([
+    ['home page', () => SELF.fetch(`${BASE_URL}/`)],
+    ['admin page', () => SELF.fetch(`${BASE_URL}/admin`)],
+    ['unknown route', () => SELF.fetch(`${BASE_URL}/missing`)],
+    ['upload success', () => post('/api/upload', { content: 'hello' })],
+    ['upload error', () => post('/api/upload', { content: 'hello' }, { contentType: 'application/xml' })],
+    ['view error', () => post('/api/view', { password: 'AAAAAAAAAAAAAAAA' })],
+    ['manage error', () => post('/api/manage/delete', {})],
+    ['admin unauthorized', () => SELF.fetch(`${BASE_URL}/api/admin/pastes`)]
+  ])('are set on the %s response', async (_, request) => {
+    const response = await request();
+    for (const header of EXPECTED_HEADERS) {
+      expect(response.headers.get(header), header).toBeTruthy();
+    }
+    expect(response.headers.get('X-Frame-Options')).toBe('DENY');
+    expect(response.headers.get('X-Content-Type-Options')).toBe('nosniff');
+    expect(response.headers.get('Content-Security-Policy')).not.toContain('unsafe-inline');
+    await response.arrayBuffer();
+  });
+
+  it('only runs page scripts that carry the per-request nonce', async () => {
+    const first = await SELF.fetch(`${BASE_URL}/`);
+    const second = await SELF.fetch(`${BASE_URL}/`);
+    const nonce = first.headers.get('Content-Security-Policy').match(/script-src 'nonce-([^']+)'/)[1];
+    expect(second.headers.get('Content-Security-Policy')).not.toContain(nonce);
+    await second.arrayBuffer();
+
+    const html = await first.text();
+    const scripts = [...html.matchAll(/<script[^>]*>/g)].map(([tag]) => tag);
+    for (const tag of scripts.filter(tag => !tag.includes('application/json'))) {
+      expect(tag).toContain(`nonce="${nonce}"`);
+      expect(tag).toContain('src="/assets/');
+    }
+    expect(html).not.toMatch(/ on[a-z]+=|style="|fonts\.googleapis/);
+  });
+});
+
+describe('assets', () => {
+  async function assetPaths(page) {
+    const html = await (await SELF.fetch(BASE_URL + page)).text();
+    return [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(([, path]) => path);
+  }
+
+  it('serves the page scripts and styles under a content hash with a long cache lifetime', async () => {
+    const paths = [...await assetPaths('/'), ...await assetPaths('/admin')];
+    expect(paths).toHaveLength(6);
+
+    const types = { js: /^text\/javascript/, css: /^text\/css/, svg: /^image\/svg\+xml/ };
+    for (const path of paths) {
+      const response = await SELF.fetch(BASE_URL + path);
+      expect(response.status, path).toBe(200);
+      expect(response.headers.get('Content-Type')).toMatch(types[path.split('.').pop()]);
+      expect(response.headers.get('Cache-Control')).toBe('public, max-age=31536000, immutable');
+      expect((await response.text()).length).toBeGreaterThan(0);
+    }
+  });
+
+  it('does not cache a file requested under an outdated hash', async () => {
+    const [path] = await assetPaths('/admin').then(paths => paths.filter(entry => entry.endsWith('.js')));
+    const response = await SELF.fetch(BASE_URL + path.replace(/\.[0-9a-f]{8}\./, '.00000000.'));
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Cache-Control')).toBe('no-cache');
+    expect(await response.text()).toBe(await (await SELF.fetch(BASE_URL + path)).text());
+  });
+
+  it('answers unknown assets with 404', async () => {
+    const response = await SELF.fetch(`${BASE_URL}/assets/missing.00000000.js`);
+    expect(response.status).toBe(404);
+    await response.text();
+  });
+});
+
+describe('share links', () => {
+  async function expireRecord() {
+    const { keys } = await env.CONTENT_KV.list({ prefix: 'paste:' });
+    const record = await env.CONTENT_KV.get(keys[0].name, { type: 'json' });
+    record.expiresAt = new Date(Date.now() - 1000).toISOString();
+    await env.CONTENT_KV.put(keys[0].name, JSON.stringify(record));
+  }
+
+  it('returns a link with the password in the fragment', async () => {
+    const { result } = await upload({ content: 'hello' });
+    expect(result.id).toMatch(/^[A-Za-z0-9]{16}$/);
+    expect(result.url).toBe(`${BASE_URL}/p/${result.id}`);
+    expect(result.shareUrl).toBe(`${result.url}#p=${result.password}`);
+  });
+
+  it('renders the view page for a live paste', async () => {
+    const { result } = await upload({ content: 'hello' });
+    const response = await SELF.fetch(result.url);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toContain('text/html');
+    const html = await response.text();
+    expect(html).toContain(`data-share-id="${result.id}"`);
+    expect(html).not.toContain('hello');
+  });
+
+  it('renders a 404 page for an unknown id', async () => {
+    const response = await SELF.fetch(`${BASE_URL}/p/AAAAAAAAAAAAAAAA`);
+    expect(response.status).toBe(404);
+    expect(await response.text()).toContain('页面不存在');
+  });
+
+  it('renders a 410 page once the paste expired', async () => {
+    const { result } = await upload({ content: 'hello' });
+    await expireRecord();
+    const response = await SELF.fetch(result.url);
+    expect(response.status).toBe(410);
+    expect(await response.text()).toContain('内容已失效');
+  });
+
+  it('renders a 410 page once the view limit is reached', async () => {
+    const { result } = await upload({ content: 'hello', maxViews: 1 });
+    await view(result.password);
+    const response = await SELF.fetch(result.url);
+    expect(response.status).toBe(410);
+    await response.text();
+  });
+
+  it('renders a 410 page after the owner deleted the paste', async () => {
+    const { result } = await upload({ content: 'hello' });
+    await post('/api/manage/delete', { password: result.password, manageToken: result.manageToken });
+    const response = await SELF.fetch(result.url);
+    expect(response.status).toBe(410);
+    await response.text();
+  });
+
+  it('only accepts the password of the linked paste', async () => {
+    const { result: first } = await upload({ content: 'first' });
+    const { result: second } = await upload({ content: 'second' });
+
+    const wrong = await post('/api/view', { password: second.password, id: first.id });
+    expect(wrong.status).toBe(404);
+    await wrong.json();
+
+    const right = await post('/api/view', { password: first.password, id: first.id });
+    expect((await right.json()).content).toBe('first');
+  });
+
+  it('answers unknown API routes with JSON', async () => {
+    const response = await SELF.fetch(`${BASE_URL}/api/missing`);
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({ success: false, code: 'NOT_FOUND', message: 'Not found' });
+  });
+});
+
+describe('plain text and form uploads', () => {
+  it('accepts a text/plain body with options in the query string', async () => {
+    const response = await SELF.fetch(`${BASE_URL}/api/upload?expiryHours=6&maxViews=2`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain; charset=utf-8', 'CF-Connecting-IP': nextIp() },
+      body: 'line one\nline two\n'
+    });
+    const result = await response.json();
+    expect(response.status).toBe(200);
+    expect(result.expiresIn).toBe(6);
+    expect(result.maxViews).toBe(2);
+
+    const { result: viewed } = await view(result.password);
+    expect(viewed.content).toBe('line one\nline two\n');
+  });
+
+  it('accepts an urlencoded form', async () => {
+    const response = await post('/api/upload', 'content=hello%20form&expiryHours=1', {
+      contentType: 'application/x-www-form-urlencoded'
+    });
+    const result = await response.json();
+    expect(result.expiresIn).toBe(1);
+    expect((await view(result.password)).result.content).toBe('hello form');
+  });
+
+  it('accepts a multipart form with the content as a file', async () => {
+    const form = new FormData();
+    form.append('content', new File(['file contents'], 'notes.txt', { type: 'text/plain' }));
+    form.append('maxViews', '1');
+    const response = await SELF.fetch(`${BASE_URL}/api/upload`, {
+      method: 'POST',
+      headers: { 'CF-Connecting-IP': nextIp() },
+      body: form
+    });
+    const result = await response.json();
+    expect(result.maxViews).toBe(1);
+    expect((await view(result.password)).result.content).toBe('file contents');
+  });
+
+  it('rejects an empty plain text body', async () => {
+    const response = await post('/api/upload', '', { contentType: 'text/plain' });
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toBe('Content is required');
+  });
+
+  it('rejects other content types', async () => {
+    const response = await post('/api/upload', '<p>hi</p>', { contentType: 'text/html' });
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toBe('Invalid Content-Type');
+  });
+});
+
+describe('GET /api/raw', () => {
+  function raw(password, { ip = nextIp(), query = '' } = {}) {
+    const headers = { 'CF-Connecting-IP': ip };
+    if (password !== undefined) headers['X-Paste-Password'] = password;
+    return SELF.fetch(`${BASE_URL}/api/raw${query}`, { headers });
+  }
+
+  it('returns only the content as text/plain', async () => {
+    const { result } = await upload({ content: 'raw\tcontent\n', maxViews: 3 });
+    const response = await raw(result.password);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('text/plain; charset=utf-8');
+    expect(response.headers.get('X-Views')).toBe('1');
+    expect(response.headers.get('X-Remaining-Views')).toBe('2');
+    expect(await response.text()).toBe('raw\tcontent\n');
+  });
+
+  it('counts towards the view limit', async () => {
+    const { result } = await upload({ content: 'once', maxViews: 1 });
+    expect(await (await raw(result.password)).text()).toBe('once');
+
+    const again = await raw(result.password);
+    expect(again.status).toBe(410);
+    expect(await again.text()).toBe('Content already consumed\n');
+  });
+
+  it('answers errors as plain text', async () => {
+    const missing = await raw(undefined);
+    expect(missing.status).toBe(400);
+    expect(missing.headers.get('Content-Type')).toBe('text/plain; charset=utf-8');
+    expect(missing.headers.get('X-Error-Code')).toBe('INVALID_PASSWORD');
+    expect(await missing.text()).toBe('Invalid password format\n');
+
+    const unknown = await raw('AAAAAAAAAAAAAAAA');
+    expect(unknown.status).toBe(404);
+    await unknown.text();
+  });
+
+  it('returns ciphertext with its IV for encrypted pastes', async () => {
+    const { result } = await upload({ content: 'AAAA', encrypted: true, iv: 'AAAAAAAAAAAAAAAA' });
+    const response = await raw(result.password);
+    expect(response.headers.get('X-Encrypted')).toBe('true');
+    expect(response.headers.get('X-Encryption-IV')).toBe('AAAAAAAAAAAAAAAA');
+    expect(await response.text()).toBe('AAAA');
+  });
+});
+
+describe('/api/v1', () => {
+  it('serves the same routes as the unversioned aliases', async () => {
+    const created = await post('/api/v1/upload', { content: 'versioned', maxViews: 2 });
+    expect(created.status).toBe(200);
+    const { password } = await created.json();
+
+    const viaV1 = await post('/api/v1/view', { password });
+    expect((await viaV1.json()).content).toBe('versioned');
+
+    const viaAlias = await view(password);
+    expect(viaAlias.result.content).toBe('versioned');
+    expect(viaAlias.result.remainingViews).toBe(0);
+  });
+
+  it('answers failures with a machine-readable code', async () => {
+    const response = await post('/api/v1/view', { password: 'AAAAAAAAAAAAAAAA' });
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({
+      success: false,
+      code: 'PASTE_NOT_FOUND',
+      message: 'Invalid password or content expired'
+    });
+
+    const missing = await SELF.fetch(`${BASE_URL}/api/v1/missing`);
+    expect(missing.status).toBe(404);
+    expect((await missing.json()).code).toBe('NOT_FOUND');
+  });
+
+  it('serves an OpenAPI document', async () => {
+    const response = await SELF.fetch(`${BASE_URL}/api/v1/openapi.json`);
+    expect(response.status).toBe(200);
+    const spec = await response.json();
+    expect(spec.openapi).toBe('3.1.0');
+    expect(spec.servers).toEqual([{ url: `${BASE_URL}/api/v1` }]);
+    expect(Object.keys(spec.paths)).toEqual(expect.arrayContaining(['/upload', '/view', '/raw', '/manage/delete', '/manage/log']));
+    expect(spec.components.schemas.Error.properties.code.enum).toEqual(
+      expect.arrayContaining(['CONTENT_TOO_LARGE', 'RATE_LIMITED', 'EXPIRED'])
+    );
+    expect(spec.paths['/upload'].post.responses[400].description).toContain('CONTENT_TOO_LARGE');
+  });
+});
+
+describe('CORS', () => {
+  const ORIGIN = 'https://tools.example.com';
+
+  function preflight(origin) {
+    return SELF.fetch(`${BASE_URL}/api/v1/upload`, {
+      method: 'OPTIONS',
+      headers: {
+        Origin: origin,
+        'Access-Control-Request-Method': 'POST',
+        'Access-Control-Request-Headers': 'content-type, x-api-key'
+      }
+    });
+  }
+
+  it('answers preflight requests from allowed origins', async () => {
+    const response = await preflight(ORIGIN);
+    expect(response.status).toBe(204);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe(ORIGIN);
+    expect(response.headers.get('Access-Control-Allow-Methods')).toContain('POST');
+    expect(response.headers.get('Access-Control-Allow-Headers')).toBe('content-type, x-api-key');
+  });
+
+  it('rejects preflight requests from other origins', async () => {
+    const response = await preflight('https://evil.example.com');
+    expect(response.status).toBe(403);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect((await response.json()).code).toBe('ORIGIN_NOT_ALLOWED');
+  });
+
+  it('adds CORS headers to API responses for allowed origins only', async () => {
+    const allowed = await SELF.fetch(`${BASE_URL}/api/v1/openapi.json`, { headers: { Origin: ORIGIN } });
+    expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe(ORIGIN);
+    expect(allowed.headers.get('Access-Control-Expose-Headers')).toContain('X-Error-Code');
+    await allowed.json();
+
+    const other = await SELF.fetch(`${BASE_URL}/api/v1/openapi.json`, { headers: { Origin: 'https://evil.example.com' } });
+    expect(other.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(other.headers.get('Vary')).toBe('Origin');
+    await other.json();
+  });
+});
+
+describe('API keys', () => {
+  function withKey(key, { ip = nextIp(), body = { content: 'keyed' } } = {}) {
+    return SELF.fetch(`${BASE_URL}/api/v1/upload`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip, 'X-API-Key': key },
+      body: JSON.stringify(body)
+    });
+  }
+
+  function admin(path, init = {}) {
+    return SELF.fetch(`${BASE_URL}/api/v1/admin/${path}`, {
+      ...init,
+      headers: { Authorization: 'Bearer test-admin-password', 'CF-Connecting-IP': nextIp(), ...init.headers }
+    });
+  }
+
+  it('lifts the anonymous rate limit for keys from the API_KEYS secret', async () => {
+    const ip = nextIp();
+    for (let i = 0; i < 12; i++) {
+      const response = await withKey('test-api-key', { ip });
+      expect(response.status).toBe(200);
+      await response.json();
+    }
+
+    // The same IP without a key still has its own budget
+    const anonymous = await upload({ content: 'hello' }, { ip });
+    expect(anonymous.response.status).toBe(200);
+  });
+
+  it('accepts larger content with a key', async () => {
+    const content = 'a'.repeat(2 * 1024 * 1024);
+    const anonymous = await upload({ content });
+    expect(anonymous.result.code).toBe('CONTENT_TOO_LARGE');
+
+    const keyed = await withKey('test-api-key', { body: { content } });
+    expect(keyed.status).toBe(200);
+    await keyed.json();
+  });
+
+  it('rejects unknown keys', async () => {
+    const response = await withKey('not-a-key');
+    expect(response.status).toBe(401);
+    expect((await response.json()).code).toBe('INVALID_API_KEY');
+  });
+
+  it('creates, uses and revokes stored keys through the admin API', async () => {
+    const created = await admin('keys', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'intranet', maxContentLength: 15 * 1024 })
+    });
+    const { key, id } = await created.json();
+    expect(key).toMatch(/^[A-Za-z0-9]{32}$/);
+
+    const listed = await (await admin('keys')).json();
+    expect(listed.keys).toEqual([expect.objectContaining({ id, name: 'intranet', maxContentLength: 15 * 1024 })]);
+
+    const tooLarge = await withKey(key, { body: { content: 'a'.repeat(16 * 1024) } });
+    expect(await tooLarge.json()).toMatchObject({ code: 'CONTENT_TOO_LARGE', message: 'Content too large (max 15KB)' });
+
+    const fits = await withKey(key, { body: { content: 'a'.repeat(12 * 1024) } });
+    expect(fits.status).toBe(200);
+    await fits.json();
+
+    // Stored keys are not pastes
+    const pastes = await (await admin('pastes')).json();
+    expect(pastes.pastes).toHaveLength(1);
+
+    const revoked = await admin(`keys/${id}`, { method: 'DELETE' });
+    expect(revoked.status).toBe(200);
+    await revoked.json();
+
+    const rejected = await withKey(key);
+    expect(rejected.status).toBe(401);
+    await rejected.json();
+  });
+});
+
+describe('admin API', () => {
+  function admin(path, init = {}, password = 'test-admin-password') {
+    return SELF.fetch(`${BASE_URL}/api/v1/admin/${path}`, {
+      ...init,
+      headers: { Authorization: `Bearer ${password}`, 'CF-Connecting-IP': nextIp(), ...init.headers }
+    });
+  }
+
+  async function listPastes() {
+    return (await admin('pastes')).json();
+  }
+
+  it.each([
+    ['pastes', 'GET'],
+    ['stats', 'GET'],
+    ['purge', 'POST'],
+    ['pastes/paste:abc', 'DELETE'],
+    ['pastes/paste:abc/content', 'GET']
+  ])('rejects %s without the admin password', async (path, method) => {
+    for (const response of [
+      await admin(path, { method }, 'wrong-password'),
+      await SELF.fetch(`${BASE_URL}/api/v1/admin/${path}`, { method, headers: { 'CF-Connecting-IP': nextIp() } })
+    ]) {
+      expect(response.status).toBe(401);
+      expect((await response.json()).code).toBe('UNAUTHORIZED');
+    }
+  });
+
+  it('lists metadata without content or passwords', async () => {
+    const passphrase = 'admin list passphrase 7';
+    await upload({ content: 'top secret content', password: passphrase, maxViews: 3 });
+    const { result: generated } = await upload({ content: 'another secret' });
+
+    const { pastes, stats } = await listPastes();
+    expect(pastes).toHaveLength(2);
+    for (const paste of pastes) {
+      expect(paste.id).toMatch(/^paste:[0-9a-f]{64}$/);
+      expect(paste).not.toHaveProperty('content');
+      expect(paste).not.toHaveProperty('password');
+    }
+    const listing = JSON.stringify(pastes);
+    for (const secret of ['top secret content', 'another secret', passphrase, generated.password, generated.manageToken]) {
+      expect(listing).not.toContain(secret);
+    }
+    expect(pastes.find(paste => paste.maxViews === 3)).toMatchObject({ views: 0, size: 18, consumed: false, expired: false });
+    expect(stats).toMatchObject({ total: 2, active: 2, views: 0 });
+  });
+
+  it('counts views and burned pastes in the stats', async () => {
+    const { result: burned } = await upload({ content: 'once', maxViews: 1 });
+    const { result: kept } = await upload({ content: 'twice' });
+    await view(burned.password);
+    await view(kept.password);
+    await view(kept.password);
+
+    const { stats } = await (await admin('stats')).json();
+    expect(stats).toMatchObject({ total: 2, active: 1, consumed: 1, expired: 0, views: 3 });
+  });
+
+  it('reveals content without counting a view', async () => {
+    const { result: uploaded } = await upload({ content: 'only for the admin', maxViews: 1 });
+    const [{ id }] = (await listPastes()).pastes;
+
+    const revealed = await (await admin(`pastes/${id}/content`)).json();
+    expect(revealed).toEqual({ success: true, id, content: 'only for the admin', encrypted: false, consumed: false });
+
+    // The one allowed view is still there
+    const { result } = await view(uploaded.password);
+    expect(result.content).toBe('only for the admin');
+    expect(result.remainingViews).toBe(0);
+  });
+
+  it('deletes a single paste', async () => {
+    const { result: uploaded } = await upload({ content: 'delete me' });
+    const [{ id }] = (await listPastes()).pastes;
+
+    const deleted = await admin(`pastes/${id}`, { method: 'DELETE' });
+    expect(await deleted.json()).toEqual({ success: true });
+    expect((await view(uploaded.password)).response.status).toBe(404);
+
+    const again = await admin(`pastes/${id}`, { method: 'DELETE' });
+    expect(again.status).toBe(404);
+    expect((await again.json()).code).toBe('NOT_FOUND');
+  });
+
+  it('purges every paste with its links and access logs', async () => {
+    const { result: first } = await upload({ content: 'first' });
+    await upload({ content: 'second' });
+    await view(first.password);
+
+    const accessLog = async linkId => {
+      const stub = env.COORDINATOR.get(env.COORDINATOR.idFromName(`accesslog:${linkId}`));
+      return (await (await stub.fetch('https://coordinator/accesslog', { method: 'POST', body: '{}' })).json()).entries;
+    };
+    expect(await accessLog(first.id)).toHaveLength(1);
+
+    const purged = await (await admin('purge', { method: 'POST' })).json();
+    expect(purged).toEqual({ success: true, deleted: 2, complete: true });
+    expect((await listPastes()).pastes).toEqual([]);
+    expect((await env.CONTENT_KV.list()).keys).toEqual([]);
+    expect(await accessLog(first.id)).toEqual([]);
+  });
+
+  it('purges in bounded rounds until complete', async () => {
+    await Promise.all(Array.from({ length: 450 }, (_, i) => {
+      return env.CONTENT_KV.put(`paste:${String(i).padStart(64, '0')}`, JSON.stringify({ expiresAt: new Date(Date.now() + 3600000).toISOString() }));
+    }));
+
+    expect(await (await admin('purge', { method: 'POST' })).json()).toEqual({ success: true, deleted: 400, complete: false });
+    expect(await (await admin('purge', { method: 'POST' })).json()).toEqual({ success: true, deleted: 50, complete: true });
+    expect((await listPastes()).pastes).toEqual([]);
+  });
+});
+
+describe('large pastes', () => {
+  // Random text barely compresses, so several megabytes need more than one chunk
+  function randomText(length) {
+    const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789 \n';
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i += 65536) {
+      crypto.getRandomValues(bytes.subarray(i, i + 65536));
+    }
+    return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+  }
+
+  // Anonymous uploads stop at 1MB, the test API key allows 10MB
+  function uploadWithKey(body) {
+    return SELF.fetch(`${BASE_URL}/api/v1/upload`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': nextIp(), 'X-API-Key': 'test-api-key' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  async function chunkKeys() {
+    const { keys } = await env.CONTENT_KV.list({ prefix: 'chunk:' });
+    return keys.map(key => key.name);
+  }
+
+  it('keeps small content inline in the record', async () => {
+    await upload({ content: 'small' });
+    expect(await chunkKeys()).toEqual([]);
+  });
+
+  it('compresses large content into chunks and reassembles it on read', async () => {
+    const content = randomText(3 * 1024 * 1024);
+    const response = await uploadWithKey({ content, maxViews: 2 });
+    const { password } = await response.json();
+
+    const chunks = await chunkKeys();
+    expect(chunks.length).toBeGreaterThan(1);
+
+    const { keys } = await env.CONTENT_KV.list({ prefix: 'paste:' });
+    const record = await env.CONTENT_KV.get(keys[0].name, { type: 'json' });
+    expect(record.content).toBeUndefined();
+    expect(record.chunks).toMatchObject({ count: chunks.length, size: content.length });
+
+    const { result } = await view(password);
+    expect(result.content).toBe(content);
+
+    // The last allowed read removes the chunks along with the content
+    const raw = await SELF.fetch(`${BASE_URL}/api/v1/raw`, { headers: { 'X-Paste-Password': password, 'CF-Connecting-IP': nextIp() } });
+    expect(await raw.text()).toBe(content);
+    expect(await chunkKeys()).toEqual([]);
+  });
+
+  it('shrinks compressible content', async () => {
+    const content = 'log line repeated over and over\n'.repeat(20000);
+    const { result } = await upload({ content });
+
+    const chunks = await chunkKeys();
+    expect(chunks).toHaveLength(1);
+    expect((await env.CONTENT_KV.get(chunks[0])).length).toBeLessThan(content.length / 10);
+    expect((await view(result.password)).result.content).toBe(content);
+  });
+
+  it('replaces the chunks when the owner changes the content', async () => {
+    const { result } = await upload({ content: 'x'.repeat(100 * 1024) });
+    const [before] = await chunkKeys();
+
+    const response = await post('/api/v1/manage/content', {
+      password: result.password,
+      manageToken: result.manageToken,
+      content: 'y'.repeat(200 * 1024)
+    });
+    expect(response.status).toBe(200);
+    await response.json();
+
+    const after = await chunkKeys();
+    expect(after).toHaveLength(1);
+    expect(after[0]).not.toBe(before);
+    expect((await view(result.password)).result.content).toBe('y'.repeat(200 * 1024));
+  });
+});
+
+describe('scheduled release', () => {
+  const inHours = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+  async function release(password) {
+    // Move notBefore into the past, as if the release time had come
+    const { keys } = await env.CONTENT_KV.list({ prefix: 'paste:' });
+    const record = await env.CONTENT_KV.get(keys[0].name, { type: 'json' });
+    record.notBefore = new Date(Date.now() - 1000).toISOString();
+    await env.CONTENT_KV.put(keys[0].name, JSON.stringify(record));
+    return view(password);
+  }
+
+  it('reports a paste as locked until notBefore without counting a view', async () => {
+    const notBefore = inHours(2);
+    const { result: uploaded } = await upload({ content: 'later', notBefore, expiryHours: 1, maxViews: 1 });
+    expect(uploaded.notBefore).toBe(notBefore);
+    expect(uploaded.expiresAt).toBe(new Date(Date.parse(notBefore) + 60 * 60 * 1000).toISOString());
+
+    const { response, result } = await view(uploaded.password);
+    expect(response.status).toBe(423);
+    expect(result).toMatchObject({ code: 'LOCKED', notBefore });
+
+    const raw = await SELF.fetch(`${BASE_URL}/api/v1/raw`, {
+      headers: { 'X-Paste-Password': uploaded.password, 'CF-Connecting-IP': nextIp() }
+    });
+    expect(raw.status).toBe(423);
+    expect(raw.headers.get('X-Not-Before')).toBe(notBefore);
+    await raw.text();
+
+    const released = await release(uploaded.password);
+    expect(released.result.content).toBe('later');
+    expect(released.result.remainingViews).toBe(0);
+  });
+
+  it('rejects notBefore in the past or beyond the maximum expiry', async () => {
+    for (const notBefore of [inHours(-1), inHours(721), 'soon']) {
+      const { response, result } = await upload({ content: 'hello', notBefore });
+      expect(response.status).toBe(400);
+      expect(result.code).toBe('INVALID_NOT_BEFORE');
+    }
+  });
+
+  it('rejects an expiresAt before the release', async () => {
+    const { result } = await upload({ content: 'hello', notBefore: inHours(2), expiresAt: inHours(1) });
+    expect(result.code).toBe('INVALID_EXPIRY');
+  });
+});
+
+describe('formats', () => {
+  it('stores the chosen format and returns it on read', async () => {
+    const { result: uploaded } = await upload({ content: '# Notes', format: 'markdown' });
+    expect(uploaded.format).toBe('markdown');
+
+    const { result } = await view(uploaded.password);
+    expect(result.format).toBe('markdown');
+
+    const raw = await SELF.fetch(`${BASE_URL}/api/raw`, {
+      headers: { 'CF-Connecting-IP': nextIp(), 'X-Paste-Password': uploaded.password }
+    });
+    expect(raw.headers.get('X-Format')).toBe('markdown');
+  });
+
+  it('defaults to plain and detects the format on request', async () => {
+    const { result: plain } = await upload({ content: 'def main():\n    import os\n    print(os.name)\n' });
+    expect(plain.format).toBe('plain');
+
+    const { result: detected } = await upload({ content: 'def main():\n    import os\n    print(os.name)\n', format: 'auto' });
+    expect(detected.format).toBe('python');
+
+    const { result: form } = await upload('content=%7B%22a%22%3A1%7D&format=auto', { contentType: 'application/x-www-form-urlencoded' });
+    expect(form.format).toBe('json');
+  });
+
+  it('keeps encrypted content plain when asked to detect', async () => {
+    const { result } = await upload({ content: 'AAAAAAAAAAAAAAAAAAAAAA==', encrypted: true, iv: 'AAAAAAAAAAAAAAAA', format: 'auto' });
+    expect(result.format).toBe('plain');
+  });
+
+  it('rejects unknown formats', async () => {
+    const { response, result } = await upload({ content: 'hello', format: 'cobol' });
+    expect(response.status).toBe(400);
+    expect(result.code).toBe('INVALID_FORMAT');
+  });
+
+  it('keeps the format when the owner replaces the content unless a new one is given', async () => {
+    const { result: uploaded } = await upload({ content: 'a: 1', format: 'yaml' });
+    const manage = body => post('/api/manage/content', { password: uploaded.password, manageToken: uploaded.manageToken, ...body });
+
+    expect((await (await manage({ content: 'b: 2' })).json()).format).toBe('yaml');
+    expect((await (await manage({ content: 'SELECT 1;', format: 'sql' })).json()).format).toBe('sql');
+    expect((await view(uploaded.password)).result.format).toBe('sql');
+  });
+
+  it('serves the renderer to the page', async () => {
+    const page = await (await SELF.fetch(BASE_URL + '/')).text();
+    const [path] = page.match(/\/assets\/render\.[0-9a-f]{8}\.js/);
+
+    const response = await SELF.fetch(BASE_URL + path);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toContain('javascript');
+    expect(await response.text()).toContain('const TempShareRender = (');
+  });
+});
+
+describe('attachments', () => {
+  function uploadFiles(files, fields = {}) {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    for (const file of files) form.append('file', file);
+    return SELF.fetch(`${BASE_URL}/api/v1/upload`, { method: 'POST', headers: { 'CF-Connecting-IP': nextIp() }, body: form });
+  }
+
+  function download(body) {
+    return post('/api/v1/file', body);
+  }
+
+  async function objectKeys() {
+    const { objects } = await env.FILES.list({ prefix: 'attachments/' });
+    return objects.map(object => object.key);
+  }
+
+  // Straight into the worker, so the declared length stays as given; reading the body fails the test
+  async function uploadUnread(headers, workerEnv = env) {
+    let read = false;
+    const body = new ReadableStream({ pull() { read = true; throw new Error('body read'); } }, { highWaterMark: 0 });
+    const request = new Request(`${BASE_URL}/api/v1/upload`, {
+      method: 'POST',
+      headers: { 'CF-Connecting-IP': nextIp(), 'Content-Type': 'multipart/form-data; boundary=x', ...headers },
+      body
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, workerEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return { response, result: await response.json(), read };
+  }
+
+  it('refuses a form without a length before reading it', async () => {
+    const { response, result, read } = await uploadUnread({});
+    expect(response.status).toBe(411);
+    expect(result.code).toBe('LENGTH_REQUIRED');
+    expect(read).toBe(false);
+  });
+
+  it('refuses a form over the upload body limit before reading it', async () => {
+    const { response, result, read } = await uploadUnread({ 'Content-Length': String(32 * 1024 * 1024 + 1) });
+    expect(response.status).toBe(413);
+    expect(result.code).toBe('UPLOAD_TOO_LARGE');
+    expect(result.message).toContain('max 32MB');
+    expect(read).toBe(false);
+  });
+
+  it('bounds the form by the content and attachment limits', async () => {
+    // 1MB of content in its longest encoding, 10 files of 1KB and the form overhead
+    const limit = 6 * 1024 * 1024 + 10 * 1024 + 64 * 1024;
+    const small = { ...env, MAX_ATTACHMENT_BYTES: '1024' };
+    const { response, result } = await uploadUnread({ 'Content-Length': String(limit + 1) }, small);
+    expect(response.status).toBe(413);
+    expect(result.message).toContain('max 6.1MB');
+
+    const json = await uploadUnread({ 'Content-Type': 'application/json', 'Content-Length': String(6 * 1024 * 1024 + 64 * 1024 + 1) });
+    expect(json.response.status).toBe(413);
+  });
+
+  it('stores files next to the content and serves them under their original name', async () => {
+    const response = await uploadFiles([
+      new File(['PNG bytes'], 'shot.png', { type: 'image/png' }),
+      new File(['zip bytes'], '报告 final.zip', { type: 'application/zip' })
+    ], { content: 'see attached' });
+    const uploaded = await response.json();
+    expect(uploaded.attachments).toEqual([
+      { index: 0, name: 'shot.png', size: 9, type: 'image/png' },
+      { index: 1, name: '报告 final.zip', size: 9, type: 'application/zip' }
+    ]);
+    expect(await objectKeys()).toHaveLength(2);
+
+    const { result } = await view(uploaded.password);
+    expect(result.content).toBe('see attached');
+    expect(result.attachments).toHaveLength(2);
+
+    const file = await download({ password: uploaded.password, id: uploaded.id, index: 1 });
+    expect(file.status).toBe(200);
+    expect(file.headers.get('Content-Type')).toBe('application/zip');
+    expect(file.headers.get('Content-Disposition')).toBe(
+      `attachment; filename="__ final.zip"; filename*=UTF-8''${encodeURIComponent('报告 final.zip')}`
+    );
+    expect(await file.text()).toBe('zip bytes');
+
+    // Downloads are not views, without a view limit the password alone is enough
+    expect((await view(uploaded.password)).result.views).toBe(2);
+  });
+
+  it('streams a raw body as a single file and makes the content optional', async () => {
+    const response = await SELF.fetch(`${BASE_URL}/api/upload?filename=${encodeURIComponent('dir/data.bin')}&maxViews=3`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream', 'CF-Connecting-IP': nextIp() },
+      body: new Uint8Array([0, 1, 2, 255])
+    });
+    const uploaded = await response.json();
+    expect(uploaded.maxViews).toBe(3);
+    expect(uploaded.attachments).toEqual([{ index: 0, name: 'data.bin', size: 4, type: 'application/octet-stream' }]);
+
+    const { result } = await view(uploaded.password);
+    expect(result.content).toBe('');
+
+    const file = await download({ password: uploaded.password, index: 0, downloadToken: result.downloadToken });
+    expect(new Uint8Array(await file.arrayBuffer())).toEqual(new Uint8Array([0, 1, 2, 255]));
+  });
+
+  it('checks the password like a view', async () => {
+    const uploaded = await (await uploadFiles([new File(['secret'], 'a.txt')])).json();
+
+    const wrong = await download({ password: 'not-the-password', index: 0 });
+    expect(wrong.status).toBe(404);
+    expect((await wrong.json()).code).toBe('PASTE_NOT_FOUND');
+
+    const missing = await download({ password: uploaded.password, index: 5 });
+    expect(missing.status).toBe(404);
+    expect((await missing.json()).code).toBe('ATTACHMENT_NOT_FOUND');
+  });
+
+  it('rejects too many or too large files before storing anything', async () => {
+    const many = Array.from({ length: 11 }, (_, i) => new File(['x'], `${i}.txt`));
+    const tooMany = await uploadFiles(many, { content: 'hi' });
+    expect(tooMany.status).toBe(400);
+    expect((await tooMany.json()).code).toBe('TOO_MANY_FILES');
+
+    const tooLarge = await uploadFiles([new File([new Uint8Array(10 * 1024 * 1024 + 1)], 'big.bin')]);
+    expect(tooLarge.status).toBe(400);
+    expect((await tooLarge.json()).message).toBe('File too large: big.bin (max 10MB)');
+    expect(await objectKeys()).toEqual([]);
+  });
+
+  it('deletes the objects with the paste', async () => {
+    const uploaded = await (await uploadFiles([new File(['bye'], 'bye.txt')])).json();
+    expect(await objectKeys()).toHaveLength(1);
+
+    await post('/api/manage/delete', { password: uploaded.password, manageToken: uploaded.manageToken });
+    expect(await objectKeys()).toEqual([]);
+  });
+
+  it('rejects downloads of a limited paste without the token of a counted view', async () => {
+    const uploaded = await (await uploadFiles([new File(['once'], 'once.txt')], { maxViews: '1' })).json();
+
+    for (const downloadToken of [undefined, `${Math.floor(Date.now() / 1000) + 600}.${'0'.repeat(64)}`]) {
+      const response = await download({ password: uploaded.password, index: 0, downloadToken });
+      expect(response.status).toBe(403);
+      expect((await response.json()).code).toBe('DOWNLOAD_TOKEN_REQUIRED');
+    }
+
+    // The intended reader's view is still the first one
+    const { result } = await view(uploaded.password);
+    expect(result.views).toBe(1);
+    expect(result.remainingViews).toBe(0);
+  });
+
+  it('lets only the last reader of a burned paste download its files', async () => {
+    const uploaded = await (await uploadFiles([new File(['once'], 'once.txt')], { maxViews: '1' })).json();
+
+    const { result } = await view(uploaded.password);
+    expect(result.remainingViews).toBe(0);
+    expect(result.downloadToken).toMatch(/^\d+\.[0-9a-f]{64}$/);
+
+    const without = await download({ password: uploaded.password, index: 0 });
+    expect(without.status).toBe(410);
+    expect((await without.json()).code).toBe('CONSUMED');
+
+    const file = await download({ password: uploaded.password, index: 0, downloadToken: result.downloadToken });
+    expect(await file.text()).toBe('once');
+  });
+
+  it('sweeps the objects of expired pastes', async () => {
+    const live = await (await uploadFiles([new File(['stay'], 'stay.txt')])).json();
+    const gone = await (await uploadFiles([new File(['go'], 'go.txt')])).json();
+
+    // Expire one record in place, its KV entry stays until its own TTL
+    const { keys } = await env.CONTENT_KV.list({ prefix: 'paste:' });
+    for (const key of keys) {
+      const record = await env.CONTENT_KV.get(key.name, { type: 'json' });
+      if (record.linkId === gone.id) {
+        record.expiresAt = new Date(Date.now() - 1000).toISOString();
+        await env.CONTENT_KV.put(key.name, JSON.stringify(record));
+      }
+    }
+
+    const ctx = createExecutionContext();
+    await worker.scheduled(createScheduledController(), env, ctx);
+    await waitOnExecutionContext(ctx);
+
+    expect(await objectKeys()).toEqual([`attachments/${live.id}/0`]);
+  });
+});
+
+describe('access log', () => {
+  function read(path, body, headers = {}) {
+    return SELF.fetch(BASE_URL + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': nextIp(), ...headers },
+      body: JSON.stringify(body)
+    });
+  }
+
+  async function accessLog(uploaded, manageToken = uploaded.manageToken) {
+    const response = await post('/api/v1/manage/log', { password: uploaded.password, manageToken });
+    return { response, result: await response.json() };
+  }
+
+  it('shows the owner each read with its country, network and browser', async () => {
+    const { result: uploaded } = await upload({ content: 'secret', maxViews: 1 });
+
+    await (await read('/api/view', { password: uploaded.password, id: uploaded.id }, {
+      'CF-Connecting-IP': '198.51.100.23',
+      'CF-IPCountry': 'DE',
+      'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'
+    })).json();
+    await (await read('/api/view', { password: uploaded.password }, {
+      'CF-Connecting-IP': '2001:db8:abcd:12::1',
+      'User-Agent': 'curl/8.5.0'
+    })).json();
+
+    // Burned pastes keep their log until they expire
+    const { result } = await accessLog(uploaded);
+    expect(result.views).toBe(1);
+    expect(result.entries).toEqual([
+      { at: expect.any(String), action: 'view', success: false, code: 'CONSUMED', country: null, network: '2001:db8:abcd::/48', agent: 'curl' },
+      { at: expect.any(String), action: 'view', success: true, country: 'DE', network: '198.51.100.0/24', agent: 'Chrome' }
+    ]);
+  });
+
+  it('attributes wrong passwords sent through the share link', async () => {
+    const { result: uploaded } = await upload({ content: 'secret' });
+    const { result: other } = await upload({ content: 'other' });
+
+    await (await read('/api/view', { password: 'wrong-password', id: uploaded.id })).json();
+    await (await read('/api/view', { password: other.password, id: uploaded.id })).json();
+    await (await read('/api/view', { password: 'wrong-password' })).json();
+    await (await SELF.fetch(`${BASE_URL}/api/raw?id=${uploaded.id}`, {
+      headers: { 'X-Paste-Password': uploaded.password, 'CF-Connecting-IP': nextIp() }
+    })).text();
+
+    const { result } = await accessLog(uploaded);
+    expect(result.entries.map(entry => [entry.action, entry.code || 'OK'])).toEqual([
+      ['raw', 'OK'],
+      ['view', 'PASTE_NOT_FOUND'],
+      ['view', 'PASTE_NOT_FOUND']
+    ]);
+
+    // The password of the other paste was tried on the wrong link, its own log stays empty
+    expect((await accessLog(other)).result.entries).toEqual([]);
+  });
+
+  it('logs attachment downloads and locked reads', async () => {
+    const form = new FormData();
+    form.append('notBefore', new Date(Date.now() + 60 * 60 * 1000).toISOString());
+    form.append('file', new File(['later'], 'later.txt'));
+    const uploaded = await (await SELF.fetch(`${BASE_URL}/api/v1/upload`, {
+      method: 'POST', headers: { 'CF-Connecting-IP': nextIp() }, body: form
+    })).json();
+
+    await (await read('/api/v1/file', { password: uploaded.password, id: uploaded.id, index: 0 })).json();
+    await (await read('/api/view', { password: uploaded.password })).json();
+
+    const { result } = await accessLog(uploaded);
+    expect(result.entries.map(entry => [entry.action, entry.code])).toEqual([['view', 'LOCKED'], ['file', 'LOCKED']]);
+  });
+
+  it('requires the manage token', async () => {
+    const { result: uploaded } = await upload({ content: 'secret' });
+    const { response, result } = await accessLog(uploaded, 'A'.repeat(24));
+    expect(response.status).toBe(403);
+    expect(result.code).toBe('INVALID_MANAGE_TOKEN');
+  });
+});
+
+describe('scheduled cleanup', () => {
+  async function sweep() {
+    const ctx = createExecutionContext();
+    await worker.scheduled(createScheduledController(), env, ctx);
+    await waitOnExecutionContext(ctx);
+  }
+
+  it('moves legacy records off their raw password key', async () => {
+    const password = 'Lg7aCy8rEc9oRd0x';
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    await env.CONTENT_KV.put(password, JSON.stringify({ content: 'old', password, createdAt: new Date().toISOString(), expiresAt, views: 0 }));
+
+    await sweep();
+
+    expect(await env.CONTENT_KV.get(password)).toBeNull();
+    const { keys } = await env.CONTENT_KV.list({ prefix: 'paste:' });
+    expect(keys).toHaveLength(1);
+    expect(keys[0].expiration).toBeGreaterThan(0);
+    expect(await env.CONTENT_KV.get(keys[0].name, { type: 'json' })).not.toHaveProperty('password');
+
+    // The admin list no longer shows the password as an id
+    const listed = await (await SELF.fetch(`${BASE_URL}/api/admin/pastes`, {
+      headers: { Authorization: 'Bearer test-admin-password' }
+    })).json();
+    expect(JSON.stringify(listed)).not.toContain(password);
+
+    expect((await view(password)).result.content).toBe('old');
+  });
+
+  it('also moves raw password records that already got an expiration', async () => {
+    const password = 'Tt1lEg2aCy3rEc4d';
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    await env.CONTENT_KV.put(password, JSON.stringify({ content: 'old', password, createdAt: new Date().toISOString(), expiresAt, views: 0 }), {
+      expirationTtl: 60 * 60
+    });
+
+    await sweep();
+
+    expect(await env.CONTENT_KV.get(password)).toBeNull();
+    expect((await view(password)).result.content).toBe('old');
+  });
+});
+
+describe('installable app', () => {
+  it('links a manifest that registers the share target', async () => {
+    const html = await (await SELF.fetch(BASE_URL)).text();
+    expect(html).toContain('<link rel="manifest" href="/manifest.webmanifest">');
+
+    const response = await SELF.fetch(`${BASE_URL}/manifest.webmanifest`);
+    expect(response.headers.get('Content-Type')).toContain('application/manifest+json');
+    const manifest = await response.json();
+    expect(manifest).toMatchObject({ start_url: '/', display: 'standalone' });
+    expect(manifest.share_target).toMatchObject({ action: '/share-target', method: 'POST', enctype: 'multipart/form-data' });
+
+    const icon = await SELF.fetch(BASE_URL + manifest.icons[0].src);
+    expect(icon.headers.get('Content-Type')).toBe('image/svg+xml');
+    expect(await icon.text()).toContain('<svg');
+  });
+
+  it('serves a service worker that caches the current shell assets', async () => {
+    const html = await (await SELF.fetch(BASE_URL)).text();
+    const response = await SELF.fetch(`${BASE_URL}/sw.js`);
+    expect(response.headers.get('Content-Type')).toContain('javascript');
+    expect(response.headers.get('Cache-Control')).toBe('no-cache');
+    const script = await response.text();
+    for (const [, path] of html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)) {
+      expect(script).toContain(path);
+    }
+  });
+
+  it('allows the service worker under the page policy', async () => {
+    const response = await SELF.fetch(BASE_URL);
+    expect(response.headers.get('Content-Security-Policy')).toContain("worker-src 'self'");
+    await response.text();
+  });
+
+  it('prefills the content with shared text when no service worker is installed yet', async () => {
+    const form = new FormData();
+    form.append('title', 'Notes <b>');
+    form.append('text', 'Read this https://example.com/a');
+    form.append('url', 'https://example.com/a');
+    const response = await SELF.fetch(`${BASE_URL}/share-target`, { method: 'POST', body: form });
+    expect(response.status).toBe(200);
+    const html = await response.text();
+    expect(html).toMatch(/<textarea id="content"[^>]*>Notes &lt;b&gt;\nRead this https:\/\/example\.com\/a<\/textarea>/);
+  });
+});
+
+describe('languages', () => {
+  it('has the same messages in every locale', () => {
+    expect(Object.keys(MESSAGES.en).sort()).toEqual(Object.keys(MESSAGES['zh-CN']).sort());
+  });
+
+  it('picks the page language from Accept-Language', async () => {
+    const english = await SELF.fetch(BASE_URL, { headers: { 'Accept-Language': 'en-GB,en;q=0.9' } });
+    expect(english.headers.get('Content-Language')).toBe('en');
+    const html = await english.text();
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('Temporary sharing');
+
+    const chinese = await SELF.fetch(BASE_URL, { headers: { 'Accept-Language': 'fr, zh-TW;q=0.8' } });
+    expect(await chinese.text()).toContain('<html lang="zh-CN">');
+  });
+
+  it('remembers a ?lang override in a cookie', async () => {
+    const response = await SELF.fetch(`${BASE_URL}/?lang=en`, { headers: { 'Accept-Language': 'zh-CN' } });
+    expect(response.headers.get('Set-Cookie')).toContain('lang=en');
+    expect(await response.text()).toContain('<html lang="en">');
+
+    const page = await SELF.fetch(`${BASE_URL}/p/AAAAAAAAAAAAAAAA`, {
+      headers: { 'Accept-Language': 'zh-CN', 'Cookie': 'lang=en' }
+    });
+    expect(page.status).toBe(404);
+    expect(await page.text()).toContain('Page not found');
+  });
+
+  it('answers API errors in English unless another language is asked for', async () => {
+    const content = 'a'.repeat(1024 * 1024 + 1);
+    const response = await SELF.fetch(`${BASE_URL}/api/upload`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept-Language': 'zh-CN', 'CF-Connecting-IP': nextIp() },
+      body: JSON.stringify({ content })
+    });
+    expect(response.headers.get('Content-Language')).toBe('zh-CN');
+    expect(await response.json()).toEqual({ success: false, code: 'CONTENT_TOO_LARGE', message: '内容过大（最多 1MB）' });
+
+    const { result } = await upload({ content });
+    expect(result.message).toBe('Content too large (max 1MB)');
+  });
+
+  it('translates plain text errors', async () => {
+    const response = await SELF.fetch(`${BASE_URL}/api/raw?lang=zh-CN`, { headers: { 'CF-Connecting-IP': nextIp() } });
+    expect(response.status).toBe(400);
+    expect(response.headers.get('X-Error-Code')).toBe('INVALID_PASSWORD');
+    expect(await response.text()).toBe('密码格式无效\n');
+  });
+});
+
+describe('home page script', () => {
+  // In-memory IndexedDB with the one auto-increment store the upload queue uses
+  function createIndexedDB(items = []) {
+    const rows = new Map(items.map((item, index) => [index + 1, { ...item, id: index + 1 }]));
+    let nextId = rows.size + 1;
+    const store = {
+      add(value) { rows.set(nextId, { ...value, id: nextId }); return { result: nextId++ }; },
+      put(value) { rows.set(value.id, { ...value }); return { result: value.id }; },
+      delete(id) { rows.delete(id); return {}; },
+      count() { return { result: rows.size }; },
+      getAll(query, count) { return { result: [...rows.values()].slice(0, count) }; }
+    };
+    const db = {
+      transaction() {
+        const transaction = { objectStore: () => store };
+        setTimeout(() => transaction.oncomplete());
+        return transaction;
+      },
+      close() {}
+    };
+    return {
+      rows,
+      open() {
+        const request = { result: db };
+        setTimeout(() => request.onsuccess());
+        return request;
+      }
+    };
+  }
+
+  // Runs the served script against a bare-bones DOM, its requests go to the worker unless `fetch` answers them.
+  // Timers are recorded, not run; pass the same `storage` map to reload the page with its localStorage,
+  // a `link` to open it through a share link
+  function loadHomePage({ indexedDB, fetch: answer, storage = new Map(), link } = {}) {
+    const url = new URL(link || `${BASE_URL}/`);
+    const elements = {};
+    const listeners = {};
+    const timers = [];
+    const classList = (...names) => {
+      const classes = new Set(names);
+      return {
+        add: name => classes.add(name),
+        remove: name => classes.delete(name),
+        toggle: (name, force = !classes.has(name)) => force ? classes.add(name) : classes.delete(name),
+        contains: name => classes.has(name)
+      };
+    };
+    const element = id => ({
+      id, style: {}, dataset: {}, classList: id === 'uploadTab' ? classList('active') : classList(), children: [],
+      value: '', checked: false, textContent: '', innerHTML: '', files: [],
+      addEventListener(type, listener) { listeners[`${id}:${type}`] = listener; },
+      appendChild(child) { this.children.push(child); return child; },
+      append(...children) { this.children.push(...children); },
+      replaceChildren(...children) { this.children = children; },
+      querySelectorAll() { return []; },
+      setAttribute() {}, removeAttribute() {}, focus() {}, remove() {}, click() {}
+    });
+    const document = {
+      documentElement: { lang: 'en' },
+      body: {
+        dataset: { maxBytes: '1048576', maxFiles: '10', maxFileBytes: '0', shareId: link ? url.pathname.split('/').pop() : '' },
+        appendChild() {}
+      },
+      getElementById: id => id === 'messages' ? { textContent: JSON.stringify({}) } : (elements[id] ||= element(id)),
+      createElement: tag => element(tag),
+      querySelectorAll: () => []
+    };
+    const window = { addEventListener() {}, history: { replaceState() {} } };
+    if (indexedDB) window.indexedDB = indexedDB;
+    const fetch = answer || ((path, init) => SELF.fetch(BASE_URL + path, {
+      ...init,
+      headers: { ...init.headers, 'CF-Connecting-IP': nextIp() }
+    }));
+    const globals = {
+      document, window, fetch, indexedDB,
+      navigator: { onLine: true },
+      location: { href: url.href, hash: url.hash, search: url.search, pathname: url.pathname },
+      localStorage: {
+        getItem: name => storage.has(name) ? storage.get(name) : null,
+        setItem: (name, value) => storage.set(name, String(value)),
+        removeItem: name => storage.delete(name)
+      },
+      confirm: () => true,
+      setInterval() {},
+      setTimeout: (callback, delay) => timers.push({ callback, delay }),
+      clearTimeout() {},
+      TempShareRender: createRenderer()
+    };
+    const names = Object.keys(globals);
+    new Function(...names, `(${homeScript})();`)(...names.map(name => globals[name]));
+
+    return {
+      timers,
+      element: id => document.getElementById(id),
+      async submit(id) {
+        await listeners[`${id}:submit`]({ preventDefault() {} });
+      },
+      async click(id) {
+        await listeners[`${id}:click`]({ preventDefault() {} });
+      }
+    };
+  }
+
+  async function uploadThroughPage(fields, page = loadHomePage()) {
+    const values = { content: "SELECT password FROM users WHERE name = 'admin';", format: 'auto', expiry: '24', maxViews: '0', ...fields };
+    for (const [id, value] of Object.entries(values)) {
+      const field = page.element(id);
+      if (typeof value === 'boolean') field.checked = value;
+      else field.value = value;
+    }
+    await page.submit('uploadForm');
+    return page;
+  }
+
+  it('detects the format of a plain upload in the browser', async () => {
+    const page = await uploadThroughPage({ encrypt: false });
+    const { result } = await view(page.element('resultPassword').textContent);
+    expect(result.format).toBe('sql');
+  });
+
+  it('keeps the format of an encrypted upload from the server', async () => {
+    const page = await uploadThroughPage({ encrypt: true });
+    expect(page.element('resultKey').textContent).toBeTruthy();
+    expect(page.element('resultLink').textContent).not.toContain('&f=');
+
+    const { result } = await view(page.element('resultPassword').textContent);
+    expect(result.encrypted).toBe(true);
+    expect(result.format).toBe('plain');
+    expect(result.content).not.toContain('SELECT');
+  });
+
+  it('carries the chosen format of an encrypted upload in the link', async () => {
+    const page = await uploadThroughPage({ encrypt: true, format: 'python', content: 'total = 1' });
+    const link = page.element('resultLink').textContent;
+    expect(new URLSearchParams(new URL(link).hash.slice(1)).get('f')).toBe('python');
+
+    const shared = loadHomePage({ link });
+    await shared.submit('viewForm');
+    expect(shared.element('viewContent').innerHTML).toContain('tok-');
+    expect(shared.element('viewFormat').textContent).toBe('Python');
+  });
+
+  it('detects the format of an encrypted share when the link names none', async () => {
+    const page = await uploadThroughPage({ encrypt: true });
+    const shared = loadHomePage({ link: page.element('resultLink').textContent + '&f=nonsense' });
+    await shared.submit('viewForm');
+    expect(shared.element('viewFormat').textContent).toBe('SQL');
+  });
+
+  describe('my shares', () => {
+    const readRecord = storage => JSON.parse(storage.get('tempshare-history'));
+
+    async function turnOn(storage, pin = '') {
+      const page = loadHomePage({ storage });
+      page.element('historyNewPin').value = pin;
+      await page.submit('historyEnable');
+      return page;
+    }
+
+    async function unlock(page, pin) {
+      page.element('historyPin').value = pin;
+      await page.submit('historyUnlock');
+    }
+
+    const listedLabels = page => page.element('historyList').children.map(item => item.children[0].textContent);
+
+    it('remembers nothing until turned on', async () => {
+      const storage = new Map();
+      await uploadThroughPage({ encrypt: false }, loadHomePage({ storage }));
+      expect(storage.size).toBe(0);
+    });
+
+    it('records each share with its password in a plain list', async () => {
+      const storage = new Map();
+      const page = await uploadThroughPage({ encrypt: false }, await turnOn(storage));
+      await vi.waitFor(() => expect(readRecord(storage).entries).toHaveLength(1));
+
+      const [entry] = readRecord(storage).entries;
+      expect(entry.password).toBe(page.element('resultPassword').textContent);
+      expect(entry.label).toBe("SELECT password FROM users WHERE name = 'admin';");
+      expect(entry.link).toBe(page.element('resultLink').textContent);
+      expect(listedLabels(page)).toEqual([entry.label]);
+    });
+
+    it('encrypts the list with a PIN and opens it with the right one', async () => {
+      const storage = new Map();
+      const page = await uploadThroughPage({ encrypt: false }, await turnOn(storage, '2468'));
+      const password = page.element('resultPassword').textContent;
+      await vi.waitFor(() => expect(listedLabels(page)).toHaveLength(1));
+
+      const record = readRecord(storage);
+      expect(Object.keys(record).sort()).toEqual(['data', 'iv', 'privateKey', 'publicKey', 'salt']);
+      expect(storage.get('tempshare-history')).not.toContain(password);
+
+      const reloaded = loadHomePage({ storage });
+      await vi.waitFor(() => expect(reloaded.element('historyUnlock').style.display).toBe('block'));
+      expect(listedLabels(reloaded)).toEqual([]);
+
+      await unlock(reloaded, '1357');
+      expect(reloaded.element('message').textContent).toBe('historyWrongPin');
+      await unlock(reloaded, '2468');
+      expect(reloaded.element('historyUnlock').style.display).toBe('none');
+      expect(listedLabels(reloaded)).toEqual(["SELECT password FROM users WHERE name = 'admin';"]);
+    });
+
+    it('keeps shares created while locked and merges them on unlock', async () => {
+      const storage = new Map();
+      await turnOn(storage, '2468');
+
+      // Created on a locked page that is closed before anyone unlocks it
+      const locked = await uploadThroughPage({ encrypt: false, content: 'while locked' }, loadHomePage({ storage }));
+      const password = locked.element('resultPassword').textContent;
+      await vi.waitFor(() => expect(JSON.parse(storage.get('tempshare-history-pending') || '[]')).toHaveLength(1));
+      expect(storage.get('tempshare-history-pending')).not.toContain(password);
+      expect(locked.element('historyPending').textContent).toBe('historyPending');
+
+      const page = loadHomePage({ storage });
+      await unlock(page, '2468');
+      expect(listedLabels(page)).toEqual(['while locked']);
+      expect(storage.has('tempshare-history-pending')).toBe(false);
+
+      // Saved into the encrypted list itself
+      const reloaded = loadHomePage({ storage });
+      await unlock(reloaded, '2468');
+      expect(listedLabels(reloaded)).toEqual(['while locked']);
+      expect(reloaded.element('historyPending').textContent).toBe('');
+    });
+
+    it('forgets the list and its pending log', async () => {
+      const storage = new Map();
+      await turnOn(storage, '2468');
+      await uploadThroughPage({ encrypt: false }, loadHomePage({ storage }));
+      await vi.waitFor(() => expect(storage.has('tempshare-history-pending')).toBe(true));
+
+      const page = loadHomePage({ storage });
+      await page.click('historyForget');
+      expect(storage.size).toBe(0);
+    });
+  });
+
+  describe('upload queue', () => {
+    const queuedUpload = (payload, fields) => ({
+      queuedAt: Date.now(),
+      payload: { content: 'queued note', expiryHours: 24, maxViews: 0, ...payload },
+      files: [], key: '', label: 'queued note',
+      ...fields
+    });
+    const answer = (status, body, headers) => vi.fn(async () => new Response(JSON.stringify(body), { status, headers }));
+
+    it('sends a queued upload and shows its password', async () => {
+      const indexedDB = createIndexedDB([queuedUpload()]);
+      const page = loadHomePage({ indexedDB });
+      await vi.waitFor(() => expect(page.element('resultPassword').textContent).toBeTruthy());
+      expect(indexedDB.rows.size).toBe(0);
+
+      const { result } = await view(page.element('resultPassword').textContent);
+      expect(result.content).toBe('queued note');
+    });
+
+    it.each([
+      [429, { 'Retry-After': '120' }, 0, 120000],
+      [503, {}, 0, 30000],
+      [502, {}, 2, 120000]
+    ])('keeps the upload after a %i and backs off', async (status, headers, attempts, delay) => {
+      const indexedDB = createIndexedDB([queuedUpload({}, { attempts, retryAt: Date.now() - 1 })]);
+      const page = loadHomePage({ indexedDB, fetch: answer(status, { success: false, message: 'Busy' }, headers) });
+      await vi.waitFor(() => expect(page.element('message').textContent).toBe('queueRetryLater'));
+
+      const item = indexedDB.rows.get(1);
+      expect(item.attempts).toBe(attempts + 1);
+      expect(item.retryAt - Date.now()).toBeGreaterThan(delay - 5000);
+      expect(page.timers.map(timer => timer.delay)).toContain(delay);
+    });
+
+    it('waits for the scheduled retry', async () => {
+      const indexedDB = createIndexedDB([queuedUpload({}, { attempts: 1, retryAt: Date.now() + 60000 })]);
+      const fetch = answer(200, { success: true });
+      const page = loadHomePage({ indexedDB, fetch });
+      await vi.waitFor(() => expect(page.timers).toHaveLength(1));
+      expect(fetch).not.toHaveBeenCalled();
+      expect(indexedDB.rows.size).toBe(1);
+    });
+
+    it('drops an upload the server refuses for good', async () => {
+      const indexedDB = createIndexedDB([queuedUpload({ format: 'no-such-format' })]);
+      const page = loadHomePage({ indexedDB });
+      await vi.waitFor(() => expect(indexedDB.rows.size).toBe(0));
+      expect(page.element('message').textContent).toBe(MESSAGES.en['error.INVALID_FORMAT']);
+    });
+
+    it.each([
+      ['queueExpired', { expiryHours: undefined, expiresAt: new Date(Date.now() - 60000).toISOString() }],
+      ['queueReleasePassed', { notBefore: new Date(Date.now() - 60000).toISOString() }]
+    ])('discards a stale upload with %s', async (message, payload) => {
+      const indexedDB = createIndexedDB([queuedUpload(payload)]);
+      const fetch = answer(200, { success: true });
+      const page = loadHomePage({ indexedDB, fetch });
+      await vi.waitFor(() => expect(page.element('message').textContent).toBe(message));
+      expect(fetch).not.toHaveBeenCalled();
+      expect(indexedDB.rows.size).toBe(0);
+    });
+  });
+});
+
+describe('renderer', () => {
+  const renderer = createRenderer();
+
+  it('escapes raw HTML and drops unsafe links in Markdown', () => {
+    const html = renderer.render('<img src=x onerror=alert(1)>\n\n[a](javascript:alert(1)) [b](https://example.com/?x=1&y="2")', 'markdown');
+    expect(html).not.toContain('<img');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).not.toContain('href="javascript:');
+    expect(html).toContain('href="https://example.com/?x=1&amp;y=&quot;2&quot;"');
+  });
+
+  it('renders common Markdown blocks', () => {
+    const html = renderer.render('# Title\n\n- **one**\n- [x] two\n\n| a | b |\n|---|--:|\n| 1 | 2 |\n\n```js\nconst a = 1;\n```', 'markdown');
+    expect(html).toContain('<h1>Title</h1>');
+    expect(html).toContain('<li><strong>one</strong></li>');
+    expect(html).toContain('<input type="checkbox" disabled checked>');
+    expect(html).toContain('<td class="align-right">2</td>');
+    expect(html).toContain('<span class="tok-keyword">const</span>');
+  });
+
+  it('highlights code with one element per line', () => {
+    const html = renderer.render('x = "<b>"  # note\ny = 2\n', 'python');
+    expect(html.match(/<span class="line">/g)).toHaveLength(2);
+    expect(html).toContain('<span class="tok-string">&quot;&lt;b&gt;&quot;</span>');
+    expect(html).toContain('<span class="tok-comment"># note</span>');
+  });
+
+  it.each([
+    ['{"a": [1, 2]}', 'json'],
+    ['# Heading\n\nSome *text* with a [link](https://example.com)\n\n- item', 'markdown'],
+    ['package main\n\nfunc main() {\n\tfmt.Println("hi")\n}', 'go'],
+    ['#!/bin/bash\necho "hi"', 'bash'],
+    ['SELECT id FROM users WHERE name = \'a\';', 'sql'],
+    ['class Point:\n    def norm(self):\r\n        return self.x\n', 'python'],
+    ['server:\n  host: localhost\n  port: 8080\n', 'yaml'],
+    ['Just a note to remember.', 'plain']
+  ])('detects %j as %s', (text, format) => {
+    expect(renderer.detectFormat(text)).toBe(format);
+  });
+
+  it('closes code spans on a backtick run of the same length', () => {
+    const html = renderer.render('a ``x ` y`` and `z` but ```w``', 'markdown');
+    expect(html).toContain('<code>x ` y</code>');
+    expect(html).toContain('<code>z</code>');
+    expect(html).toContain('```w``');
+  });
+
+  // Each of these took from 0.4 to 8 seconds while patterns rescanned the text from every line or delimiter
+  it.each([
+    ['blank lines', 'x\n' + '\n'.repeat(19990) + 'y'],
+    ['indented blank lines', 'x\n' + ' \n'.repeat(9990) + 'y'],
+    ['open brackets', '['.repeat(30000)],
+    ['backticks', 'a' + '`'.repeat(30000)],
+    ['backtick runs', Array.from({ length: 240 }, (_, i) => '`'.repeat(i + 1) + 'a').join('')],
+    ['spaces', 'a' + ' '.repeat(30000) + 'x']
+  ])('detects and renders %s in linear time', (name, text) => {
+    const start = performance.now();
+    renderer.detectFormat(text);
+    renderer.render(text, 'markdown');
+    expect(performance.now() - start).toBeLessThan(250);
+  });
+});
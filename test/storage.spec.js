@@ -0,0 +1,90 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { getStorage, MemoryStorage, D1Storage } from '../src/storage.js';
+
+const now = () => Math.floor(Date.now() / 1000);
+
+describe.each([
+  ['MemoryStorage', () => new MemoryStorage()],
+  ['D1Storage', () => new D1Storage(env.DB)]
+])('%s', (name, createStorage) => {
+  it('gets, puts and deletes values', async () => {
+    const storage = createStorage();
+    expect(await storage.get('missing')).toBeNull();
+
+    await storage.put('paste:a', JSON.stringify({ views: 1 }), { metadata: { size: 5 } });
+    expect(await storage.get('paste:a')).toBe('{"views":1}');
+    expect(await storage.get('paste:a', { type: 'json' })).toEqual({ views: 1 });
+    expect(await storage.get('paste:a', 'json')).toEqual({ views: 1 });
+
+    await storage.put('paste:a', 'replaced');
+    expect(await storage.get('paste:a')).toBe('replaced');
+
+    await storage.delete('paste:a');
+    expect(await storage.get('paste:a')).toBeNull();
+  });
+
+  it('lists by prefix in pages joined by the cursor', async () => {
+    const storage = createStorage();
+    const names = Array.from({ length: 1001 }, (_, i) => `link:${String(i).padStart(4, '0')}`);
+    for (const key of names) {
+      await storage.put(key, '{}');
+    }
+    await storage.put('paste:other', '{}', { expiration: now() + 3600, metadata: { views: 2 } });
+
+    const first = await storage.list({ prefix: 'link:' });
+    expect(first.keys).toHaveLength(1000);
+    expect(first.list_complete).toBe(false);
+    expect(first.cursor).toBeTruthy();
+
+    const second = await storage.list({ prefix: 'link:', cursor: first.cursor });
+    expect(second.list_complete).toBe(true);
+    expect(second.cursor).toBeUndefined();
+    expect([...first.keys, ...second.keys].map(key => key.name)).toEqual(names);
+
+    const { keys } = await storage.list({ prefix: 'paste:' });
+    expect(keys).toEqual([{ name: 'paste:other', expiration: expect.any(Number), metadata: { views: 2 } }]);
+  });
+
+  it('hides expired entries and purges them', async () => {
+    const storage = createStorage();
+    await storage.put('ratelimit:old', '{}', { expiration: now() - 10 });
+    await storage.put('ratelimit:live', '{}', { expirationTtl: 60 });
+    await storage.put('apikey:forever', '{}');
+
+    expect(await storage.get('ratelimit:old')).toBeNull();
+    expect((await storage.list()).keys.map(key => key.name)).toEqual(['apikey:forever', 'ratelimit:live']);
+
+    expect(await storage.purgeExpired()).toBe(1);
+    expect(await storage.purgeExpired()).toBe(0);
+    expect(await storage.get('ratelimit:live')).toBe('{}');
+  });
+});
+
+describe('backend selection', () => {
+  it('uses KV unless STORAGE_BACKEND names another backend', () => {
+    expect(getStorage({ CONTENT_KV: env.CONTENT_KV })).toBe(env.CONTENT_KV);
+    expect(getStorage({ CONTENT_KV: env.CONTENT_KV, STORAGE_BACKEND: 'kv' })).toBe(env.CONTENT_KV);
+  });
+
+  it('refuses a STORAGE_BACKEND that names no backend', () => {
+    expect(() => getStorage({ CONTENT_KV: env.CONTENT_KV, STORAGE_BACKEND: 'redis' })).toThrow('Unknown STORAGE_BACKEND "redis"');
+    expect(() => getStorage({ CONTENT_KV: env.CONTENT_KV, STORAGE_BACKEND: 'D1' })).toThrow('expected one of: kv, d1, memory');
+    expect(() => getStorage({ CONTENT_KV: env.CONTENT_KV, STORAGE_BACKEND: 'constructor' })).toThrow();
+  });
+
+  it('picks D1 and memory backends', () => {
+    expect(getStorage({ DB: env.DB, STORAGE_BACKEND: 'd1' })).toBeInstanceOf(D1Storage);
+    expect(getStorage({ STORAGE_BACKEND: 'memory' })).toBeInstanceOf(MemoryStorage);
+  });
+
+  it('returns null when the binding is missing', () => {
+    expect(getStorage({})).toBeNull();
+    expect(getStorage({ STORAGE_BACKEND: 'd1' })).toBeNull();
+  });
+
+  it('keeps one instance per environment', () => {
+    const environment = { DB: env.DB, STORAGE_BACKEND: 'd1' };
+    expect(getStorage(environment)).toBe(getStorage(environment));
+  });
+});
@@ -0,0 +1,42 @@
+import { defineConfig } from 'vitest/config';
+import { defineWorkersProject } from '@cloudflare/vitest-pool-workers/config';
+
+export default defineConfig({
+  test: {
+    projects: [
+      // The Worker, run inside workerd
+      defineWorkersProject({
+        test: {
+          name: 'worker',
+          include: ['test/index.spec.js', 'test/storage.spec.js'],
+          poolOptions: {
+            workers: {
+              wrangler: { configPath: './wrangler.toml' },
+              miniflare: {
+                // The R2 binding is optional in wrangler.toml, the tests always run with one
+                r2Buckets: ['FILES'],
+                // Only the storage tests use it, the Worker stays on KV
+                d1Databases: ['DB'],
+                bindings: {
+                  ADMIN_PASSWORD: 'test-admin-password',
+                  API_KEYS: 'test-api-key',
+                  CORS_ALLOWED_ORIGINS: 'https://tools.example.com'
+                }
+              }
+            }
+          }
+        }
+      }),
+      // The command-line client, run in Node against a local dev server
+      {
+        test: {
+          name: 'cli',
+          include: ['test/cli.spec.js'],
+          environment: 'node',
+          testTimeout: 60000,
+          hookTimeout: 120000
+        }
+      }
+    ]
+  }
+});